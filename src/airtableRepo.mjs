@@ -1,14 +1,7 @@
 import { cfg } from "./config.mjs";
-import { requestJSON } from "./http.mjs";
-
-// Airtable API base URL constructed from the configured base ID
-const API = `https://api.airtable.com/v0/${cfg.airtable.baseId}`;
-
-// Standard headers for all Airtable API requests
-const HEADERS = {
-  Authorization: `Bearer ${cfg.airtable.token}`,
-  "Content-Type": "application/json",
-};
+import { HttpError, requestJSON } from "./http.mjs";
+import { logger as rootLogger } from "./logger.mjs";
+import { limiterFor } from "./rateLimiter.mjs";
 
 /**
  * Splits an array into smaller chunks of specified size
@@ -29,14 +22,96 @@ const chunk = (arr, size) =>
  */
 const quote = (v) => String(v).replace(/"/g, '\\"');
 
+/**
+ * Reads the message of an Airtable error body, `{ error: { type, message } }`
+ * @param {string} text - Response body
+ * @returns {string} The message, or the whole body when it has none
+ */
+const errorMessage = (text) => {
+  try {
+    const { error } = JSON.parse(text);
+    return typeof error?.message === "string" ? error.message : text;
+  } catch {
+    return text;
+  }
+};
+
+/**
+ * Tells whether a failed performUpsert was rejected because a merge key matched
+ * more than one existing record
+ * Only the message is looked at, as the body also holds error types such as
+ * INVALID_MULTIPLE_CHOICE_OPTIONS
+ * @param {Error} err - Error thrown by requestJSON
+ * @returns {boolean} True for Airtable's ambiguous-match 422 response
+ */
+const isAmbiguousMatch = (err) =>
+  err instanceof HttpError &&
+  err.status === 422 &&
+  /\b(more than one|multiple) (existing )?records?\b/i.test(
+    errorMessage(err.body)
+  );
+
 /**
  * Repository class for interacting with Airtable tables
  * Provides CRUD operations with proper error handling, batching, and rate limiting
+ * @implements {import("./repo.mjs").Repository}
  */
 export class AirtableRepo {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.baseId] - Airtable base ID, defaults to cfg.airtable.baseId
+   * @param {string} [options.token] - Personal access token, defaults to cfg.airtable.token
+   * @param {string} [options.apiUrl] - API origin, defaults to cfg.airtable.apiUrl
+   * @param {import("./rateLimiter.mjs").RateLimiter} [options.limiter] - Rate limiter, defaults to the one shared by every repo on the base
+   * @param {import("./logger.mjs").Logger} [options.logger] - Logger receiving a line per request
+   * @param {AbortSignal} [options.signal] - Aborts every request of the repo, those in flight included
+   */
+  constructor({
+    baseId = cfg.airtable.baseId,
+    token = cfg.airtable.token,
+    apiUrl = cfg.airtable.apiUrl,
+    limiter = limiterFor(baseId),
+    logger = rootLogger,
+    signal = null,
+  } = {}) {
+    // Airtable API base URL for the base
+    this.api = `${apiUrl}/v0/${baseId}`;
+    // Standard headers for all Airtable API requests
+    this.headers = {
+      Authorization: `Bearer ${token}`,
+      "Content-Type": "application/json",
+    };
+    this.limiter = limiter;
+    this.logger = logger;
+    this.signal = signal;
+  }
+
+  /**
+   * Sends an authenticated request through the base's rate limiter
+   * @param {string} url - Request URL
+   * @param {Object} [options] - fetch options
+   * @param {{table?: string, operation?: string}} [context] - Added to the request's log lines
+   * @returns {Promise<any>} Parsed JSON response
+   */
+  request(url, options = {}, context = {}) {
+    return requestJSON(
+      url,
+      {
+        ...options,
+        headers: this.headers,
+        ...(this.signal && { signal: this.signal }),
+      },
+      {
+        ...cfg.airtable.retry,
+        limiter: this.limiter,
+        logger: this.logger.child(context),
+      }
+    );
+  }
+
   /**
    * Finds all records in a table where a specific field matches a value
-   * Uses Airtable's filterByFormula to search efficiently
+   * Uses Airtable's filterByFormula to search efficiently, following every result page
    * @param {string} table - Name of the Airtable table
    * @param {string} field - Field name to search on
    * @param {any} value - Value to match against
@@ -44,12 +119,50 @@ export class AirtableRepo {
    */
   async findAllByField(table, field, value) {
     // Create Airtable filter formula: {fieldName} = "value"
-    const filter = encodeURIComponent(`{${field}} = "${quote(value)}"`);
-    const url = `${API}/${encodeURIComponent(
-      table
-    )}?filterByFormula=${filter}&pageSize=100`;
-    const json = await requestJSON(url, { headers: HEADERS });
-    return json.records || [];
+    const filterByFormula = `{${field}} = "${quote(value)}"`;
+    const out = [];
+    for await (const rec of this.listAll(table, { filterByFormula })) {
+      out.push(rec);
+    }
+    return out;
+  }
+
+  /**
+   * Streams every record of a table matching the options, page by page
+   * Follows Airtable's offset cursor until the last page, so results are never truncated
+   * @param {string} table - Name of the Airtable table
+   * @param {Object} [options]
+   * @param {string} [options.filterByFormula] - Airtable formula records must match
+   * @param {string[]} [options.fields] - Only return these fields
+   * @param {string} [options.view] - Name or ID of the view to list from
+   * @param {number} [options.maxRecords] - Safety limit on the number of records listed
+   * @yields {Object} Airtable records ({ id, fields, createdTime })
+   * @throws {Error} If more than maxRecords records match
+   */
+  async *listAll(table, { filterByFormula, fields, view, maxRecords } = {}) {
+    const params = [];
+    if (filterByFormula) params.push(["filterByFormula", filterByFormula]);
+    if (view) params.push(["view", view]);
+    for (const f of fields || []) params.push(["fields[]", f]);
+    params.push(["pageSize", 100]);
+
+    let offset;
+    let count = 0;
+    do {
+      const query = [...params, ...(offset ? [["offset", offset]] : [])]
+        .map(([k, v]) => `${encodeURIComponent(k)}=${encodeURIComponent(v)}`)
+        .join("&");
+      const url = `${this.api}/${encodeURIComponent(table)}?${query}`;
+      const json = await this.request(url, {}, { table, operation: "list" });
+
+      for (const rec of json.records || []) {
+        if (maxRecords && ++count > maxRecords) {
+          throw new Error(`Listing ${table} exceeded maxRecords=${maxRecords}`);
+        }
+        yield rec;
+      }
+      offset = json.offset;
+    } while (offset);
   }
 
   /**
@@ -72,55 +185,97 @@ export class AirtableRepo {
   }
 
   /**
-   * Creates multiple records in a table with proper batching and rate limiting
+   * Sends records in batches, isolating the records Airtable rejects
+   * Airtable fails a whole batch with a 422 when any one record is invalid (an
+   * unknown select option, a bad link ID...), so a rejected batch is split in
+   * halves until the bad records are found and the rest are written
+   * @param {string} table - Name of the Airtable table
+   * @param {"POST"|"PATCH"} method - POST to create, PATCH to update
+   * @param {Array} records - Records to send
+   * @returns {Promise<{succeeded: Array, failed: Array<{record: Object, error: Error}>}>} Written records, and each rejected record with its error
+   * @throws {Error} If a request fails for any other reason than a 422
+   */
+  async writeMany(table, method, records) {
+    const url = `${this.api}/${encodeURIComponent(table)}`;
+    const succeeded = [];
+    const failed = [];
+    const send = async (group) => {
+      try {
+        const json = await this.request(
+          url,
+          { method, body: JSON.stringify({ records: group }) },
+          { table, operation: method === "POST" ? "create" : "update" }
+        );
+        succeeded.push(...(json.records || []));
+      } catch (e) {
+        if (!(e instanceof HttpError && e.status === 422)) throw e;
+        if (group.length === 1) {
+          failed.push({ record: group[0], error: e });
+          return;
+        }
+        const half = Math.ceil(group.length / 2);
+        await send(group.slice(0, half));
+        await send(group.slice(half));
+      }
+    };
+    for (const group of chunk(records, cfg.airtable.limits.batchSize)) {
+      await send(group);
+    }
+    return { succeeded, failed };
+  }
+
+  /**
+   * Creates multiple records in a table with proper batching
    * Respects Airtable's API limits: max 10 records per request
    * @param {string} table - Name of the Airtable table
    * @param {Array} records - Array of record objects to create
-   * @returns {Promise<Array>} Array of created records with their IDs
+   * @returns {Promise<{succeeded: Array, failed: Array}>} Created records with their IDs, and the records Airtable rejected, see writeMany
    */
   async createMany(table, records) {
-    const out = [];
-    // Process records in batches to respect API limits
-    for (const group of chunk(records, cfg.airtable.limits.batchSize)) {
-      const url = `${API}/${encodeURIComponent(table)}`;
-      const body = JSON.stringify({ records: group });
-      const json = await requestJSON(url, {
-        method: "POST",
-        headers: HEADERS,
-        body,
-      });
-      out.push(...(json.records || []));
-      // Add polite delay between requests to avoid rate limiting
-      await new Promise((r) =>
-        setTimeout(r, cfg.airtable.limits.politeDelayMs)
-      );
-    }
-    return out;
+    return this.writeMany(table, "POST", records);
   }
 
   /**
-   * Updates multiple existing records in a table with proper batching and rate limiting
+   * Updates multiple existing records in a table with proper batching
    * Uses PATCH method to update only specified fields
    * @param {string} table - Name of the Airtable table
    * @param {Array} records - Array of record objects with IDs and fields to update
-   * @returns {Promise<Array>} Array of updated records
+   * @returns {Promise<{succeeded: Array, failed: Array}>} Updated records, and the records Airtable rejected, see writeMany
    */
   async updateMany(table, records) {
+    return this.writeMany(table, "PATCH", records);
+  }
+
+  /**
+   * Fetches a single record by its ID
+   * @param {string} table - Name of the Airtable table
+   * @param {string} id - Airtable record ID
+   * @returns {Promise<Object>} The record ({ id, fields, createdTime })
+   */
+  async getRecord(table, id) {
+    const url = `${this.api}/${encodeURIComponent(table)}/${id}`;
+    return this.request(url, {}, { table, operation: "get" });
+  }
+
+  /**
+   * Deletes multiple records by ID with proper batching
+   * @param {string} table - Name of the Airtable table
+   * @param {Array<string>} ids - Airtable record IDs to delete
+   * @returns {Promise<Array>} Array of `{ id, deleted }` results
+   */
+  async deleteMany(table, ids) {
     const out = [];
-    // Process records in batches to respect API limits
-    for (const group of chunk(records, cfg.airtable.limits.batchSize)) {
-      const url = `${API}/${encodeURIComponent(table)}`;
-      const body = JSON.stringify({ records: group });
-      const json = await requestJSON(url, {
-        method: "PATCH",
-        headers: HEADERS,
-        body,
-      });
-      out.push(...(json.records || []));
-      // Add polite delay between requests to avoid rate limiting
-      await new Promise((r) =>
-        setTimeout(r, cfg.airtable.limits.politeDelayMs)
+    for (const group of chunk(ids, cfg.airtable.limits.batchSize)) {
+      const query = group
+        .map((id) => `records[]=${encodeURIComponent(id)}`)
+        .join("&");
+      const url = `${this.api}/${encodeURIComponent(table)}?${query}`;
+      const json = await this.request(
+        url,
+        { method: "DELETE" },
+        { table, operation: "delete" }
       );
+      out.push(...(json.records || []));
     }
     return out;
   }
@@ -131,7 +286,7 @@ export class AirtableRepo {
    * @param {string} table - Name of the Airtable table
    * @param {string} keyField - Field name to use as unique identifier
    * @param {Object} fields - Field values for the record
-   * @returns {Promise<string>} ID of the created or updated record
+   * @returns {Promise<{id: string, created: boolean}>} ID of the record and whether it was newly created
    * @throws {Error} If keyField value is missing from fields
    */
   async upsertByKey(table, keyField, fields) {
@@ -142,25 +297,85 @@ export class AirtableRepo {
     const existing = await this.findOneByField(table, keyField, keyVal);
     if (existing) {
       // Update existing record
-      const url = `${API}/${encodeURIComponent(table)}/${existing.id}`;
+      const url = `${this.api}/${encodeURIComponent(table)}/${existing.id}`;
       const body = JSON.stringify({ fields });
-      const json = await requestJSON(url, {
-        method: "PATCH",
-        headers: HEADERS,
-        body,
-      });
-      return json.id;
+      const json = await this.request(
+        url,
+        { method: "PATCH", body },
+        { table, operation: "update" }
+      );
+      return { id: json.id, created: false };
     } else {
       // Create new record
-      const url = `${API}/${encodeURIComponent(table)}`;
+      const url = `${this.api}/${encodeURIComponent(table)}`;
       const body = JSON.stringify({ records: [{ fields }] });
-      const json = await requestJSON(url, {
-        method: "POST",
-        headers: HEADERS,
-        body,
+      const json = await this.request(
+        url,
+        { method: "POST", body },
+        { table, operation: "create" }
+      );
+      return { id: json.records[0].id, created: true };
+    }
+  }
+
+  /**
+   * Upserts many records in batches using Airtable's performUpsert, merging on a key field
+   * Falls back to per-record upsertByKey for a batch when Airtable reports that a key
+   * matches more than one existing record, so strictDuplicates applies as usual
+   * @param {string} table - Name of the Airtable table
+   * @param {string} keyField - Field name to use as unique identifier
+   * @param {Array<Object>} records - Field objects for each record to upsert
+   * @returns {Promise<Map<string, {id: string, created: boolean}>>} Map of key values to record ID and whether it was newly created
+   * @throws {Error} If any record is missing its keyField value
+   */
+  async upsertManyByKey(table, keyField, records) {
+    // Airtable rejects a request that merges on the same key twice, so the last copy wins
+    const byKey = new Map();
+    for (const fields of records) {
+      const keyVal = fields[keyField];
+      if (!keyVal) throw new Error(`Upsert missing ${keyField}`);
+      byKey.set(String(keyVal), fields);
+    }
+
+    const out = new Map();
+    const url = `${this.api}/${encodeURIComponent(table)}`;
+    for (const group of chunk(
+      [...byKey.values()],
+      cfg.airtable.limits.batchSize
+    )) {
+      let json;
+      try {
+        json = await this.request(
+          url,
+          {
+            method: "PATCH",
+            body: JSON.stringify({
+              performUpsert: { fieldsToMergeOn: [keyField] },
+              records: group.map((fields) => ({ fields })),
+            }),
+          },
+          { table, operation: "upsert" }
+        );
+      } catch (e) {
+        if (!isAmbiguousMatch(e)) throw e;
+        for (const fields of group) {
+          out.set(
+            String(fields[keyField]),
+            await this.upsertByKey(table, keyField, fields)
+          );
+        }
+        continue;
+      }
+
+      const created = new Set(json.createdRecords || []);
+      (json.records || []).forEach((rec, i) => {
+        out.set(String(group[i][keyField]), {
+          id: rec.id,
+          created: created.has(rec.id),
+        });
       });
-      return json.records[0].id;
     }
+    return out;
   }
 
   /**
@@ -169,9 +384,11 @@ export class AirtableRepo {
    * @param {string} table - Name of the Airtable table
    * @param {string} keyField - Field name to search on
    * @param {Array} keys - Array of key values to find
-   * @returns {Promise<Map>} Map of key values to record IDs
+   * @param {Object} [options]
+   * @param {boolean} [options.withFields=false] - Map keys to `{ id, fields }` instead of bare record IDs
+   * @returns {Promise<Map>} Map of key values to record IDs (or records when withFields is set)
    */
-  async findRecordsByKeys(table, keyField, keys) {
+  async findRecordsByKeys(table, keyField, keys, { withFields = false } = {}) {
     const map = new Map();
     // Filter out empty/null keys and create OR conditions
     const parts = keys
@@ -181,16 +398,17 @@ export class AirtableRepo {
     // Process in groups of 20 to avoid URL length limits and improve performance
     for (const group of chunk(parts, 20)) {
       // Create OR formula: OR({field} = "key1", {field} = "key2", ...)
-      const filter = encodeURIComponent(`OR(${group.join(",")})`);
-      const url = `${API}/${encodeURIComponent(
-        table
-      )}?filterByFormula=${filter}&pageSize=100`;
-      const json = await requestJSON(url, { headers: HEADERS });
+      const filterByFormula = `OR(${group.join(",")})`;
 
       // Build map of key values to record IDs
-      for (const rec of json.records || []) {
+      for await (const rec of this.listAll(table, { filterByFormula })) {
         const val = rec.fields?.[keyField];
-        if (val) map.set(String(val), rec.id);
+        if (val) {
+          map.set(
+            String(val),
+            withFields ? { id: rec.id, fields: rec.fields } : rec.id
+          );
+        }
       }
     }
     return map;
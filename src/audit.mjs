@@ -0,0 +1,47 @@
+import { open } from "node:fs/promises";
+
+/**
+ * Append-only history of the field changes an import makes to existing records,
+ * one JSON entry per changed field and line:
+ * `{ at, table, key, recordId, field, from, to }`
+ */
+export class AuditLog {
+  constructor(path) {
+    this.path = path;
+    this.count = 0;
+    this.fh = null;
+  }
+
+  /**
+   * Opens the log for appending, so history accumulates across runs
+   * @param {string} path - Log file path
+   * @returns {Promise<AuditLog>} Opened log
+   */
+  static async open(path) {
+    const log = new AuditLog(path);
+    log.fh = await open(path, "a");
+    return log;
+  }
+
+  /**
+   * Appends the changes made to one record
+   * @param {string} table - Table the record belongs to
+   * @param {string} key - Value of the record's key field
+   * @param {string} recordId - Record ID
+   * @param {Array<{field: string, from: any, to: any}>} changes - Changes from diffFields
+   * @param {Date} [at] - When the changes were written
+   */
+  async add(table, key, recordId, changes, at = new Date()) {
+    if (!changes.length) return;
+    const lines = changes.map((c) =>
+      JSON.stringify({ at: at.toISOString(), table, key, recordId, ...c })
+    );
+    await this.fh.write(`${lines.join("\n")}\n`);
+    this.count += changes.length;
+  }
+
+  async close() {
+    await this.fh?.close();
+    this.fh = null;
+  }
+}
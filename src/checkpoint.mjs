@@ -0,0 +1,130 @@
+import { createHash } from "node:crypto";
+import { createReadStream } from "node:fs";
+import { mkdir, open, readFile } from "node:fs/promises";
+import { join } from "node:path";
+
+/**
+ * Hashes a file's contents, so a journal is only ever resumed against the same input
+ * @param {string} path - Path to the input file
+ * @returns {Promise<string>} First 16 hex characters of the SHA-256 digest
+ */
+export async function hashFile(path) {
+  const hash = createHash("sha256");
+  for await (const chunk of createReadStream(path)) hash.update(chunk);
+  return hash.digest("hex").slice(0, 16);
+}
+
+/**
+ * Append-only journal of import progress, one JSON entry per line
+ * Records each business that finished (with its lead record ID and the review
+ * writes made for it) and each business that failed, so an interrupted run can
+ * be resumed, or only its failures re-run
+ */
+export class Checkpoint {
+  /**
+   * @param {string} path - Journal file path
+   * @param {Object} [options]
+   * @param {"resume"|"retry-failed"|null} [options.mode] - Which businesses to import again; null starts over
+   */
+  constructor(path, { mode = null } = {}) {
+    this.path = path;
+    this.mode = mode;
+    this.completed = new Map(); // placeId -> lead record ID
+    this.failed = new Map(); // placeId -> last error message
+    this.fh = null;
+  }
+
+  /**
+   * Opens the journal for the given input file, under `<dir>/<input-hash>.jsonl`
+   * Resuming replays the previous journal; starting over truncates it
+   * @param {string} inputPath - Path to the input file
+   * @param {Object} [options]
+   * @param {string} [options.dir=".import-state"] - Directory holding the journals
+   * @param {"resume"|"retry-failed"|null} [options.mode] - Which businesses to import again
+   * @returns {Promise<Checkpoint>} Opened checkpoint
+   */
+  static async forInput(
+    inputPath,
+    { dir = ".import-state", mode = null } = {}
+  ) {
+    await mkdir(dir, { recursive: true });
+    const cp = new Checkpoint(join(dir, `${await hashFile(inputPath)}.jsonl`), {
+      mode,
+    });
+    if (mode) await cp.replay();
+    cp.fh = await open(cp.path, mode ? "a" : "w");
+    return cp;
+  }
+
+  /**
+   * Rebuilds the completed/failed state from the journal file, if there is one
+   * A business that failed and later completed counts as completed
+   */
+  async replay() {
+    let text;
+    try {
+      text = await readFile(this.path, "utf8");
+    } catch (e) {
+      if (e.code === "ENOENT") return;
+      throw e;
+    }
+    // The last line may be cut short if the previous run was killed mid-write
+    for (const line of text.split("\n")) {
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        continue;
+      }
+      if (entry.type === "done") {
+        this.completed.set(entry.placeId, entry.recordId);
+        this.failed.delete(entry.placeId);
+      } else if (entry.type === "failed") {
+        this.failed.set(entry.placeId, entry.error);
+      }
+    }
+  }
+
+  /**
+   * Tells whether a business still needs importing in the current mode
+   * @param {string} placeId - Business key
+   * @returns {boolean} False when the journal says to skip it
+   */
+  shouldImport(placeId) {
+    if (this.mode === "resume") return !this.completed.has(placeId);
+    if (this.mode === "retry-failed") return this.failed.has(placeId);
+    return true;
+  }
+
+  async append(entry) {
+    await this.fh.write(`${JSON.stringify({ ...entry, at: new Date() })}\n`);
+  }
+
+  /**
+   * Records a business whose lead and reviews were all written
+   * @param {string} placeId - Business key
+   * @param {string} recordId - Lead record ID
+   * @param {Object} reviews - Review writes made: `{ created, updated, pruned }`
+   */
+  async done(placeId, recordId, reviews) {
+    this.completed.set(placeId, recordId);
+    this.failed.delete(placeId);
+    await this.append({ type: "done", placeId, recordId, reviews });
+  }
+
+  /**
+   * Records a business that failed to import
+   * @param {string} placeId - Business key
+   * @param {string} error - Error message
+   * @param {string} [recordId] - Lead record ID, when the lead was written before the failure
+   */
+  async fail(placeId, error, recordId = null) {
+    this.failed.set(placeId, error);
+    await this.append({ type: "failed", placeId, recordId, error });
+  }
+
+  async close() {
+    await this.fh?.close();
+    this.fh = null;
+  }
+}
@@ -2,14 +2,26 @@ import "./bootstrap.mjs";
 
 const env = (k, d = undefined) => process.env[k] ?? d;
 
+// "appA=5,appB=2" -> { appA: 5, appB: 2 }
+const numberPairs = (v) =>
+  Object.fromEntries(
+    v
+      .split(",")
+      .filter((pair) => pair.includes("="))
+      .map((pair) => pair.split("=").map((s) => s.trim()))
+      .map(([key, n]) => [key, Number(n)])
+  );
+
 export const cfg = {
   airtable: {
     baseId: env("AIRTABLE"),
     token: env("AIRTABLE_TOKEN"),
+    apiUrl: env("AIRTABLE_API_URL", "https://api.airtable.com"), // point at a stub server in tests
     tables: {
       leads: {
         name: env("AIRTABLE_MAIN_TABLE", "leads"),
         keyField: "placeId", //unique recordId
+        reviewsField: env("AIRTABLE_LEADS_REVIEWS_FIELD", "reviews"), //inverse of the reviews link
       },
       reviews: {
         name: env("AIRTABLE_REVIEWS_TABLE", "reviews"),
@@ -17,11 +29,42 @@ export const cfg = {
         linkToLeadField: env("AIRTABLE_REVIEWS_LINK_FIELD", "lead"),
       },
     },
-    limits: { batchSize: 10, politeDelayMs: 120 }, // airtable max 10 per batch
+    retry: {
+      retries: Number(env("AIRTABLE_RETRIES", "5")),
+      timeoutMs: Number(env("AIRTABLE_TIMEOUT_MS", "30000")), // per attempt
+    },
+    limits: {
+      batchSize: 10, // airtable max 10 per batch
+      requestsPerSecond: Number(env("AIRTABLE_REQUESTS_PER_SECOND", "5")), // airtable allows 5 per base
+      perBase: numberPairs(env("AIRTABLE_BASE_RATE_LIMITS", "")), // overrides for individual bases
+    },
+  },
+  profiles: {
+    file: env("PROFILES_FILE", "profiles.json"), // named bases chosen with --profile
+  },
+  storage: {
+    backend: env("STORAGE_BACKEND", "airtable"), // airtable | file
+    dir: env("STORAGE_DIR", ".local-db"), // table files of the file backend
+  },
+  mapping: {
+    file: env("MAPPING_FILE"), // JSON or JS mapping profile, defaults to src/mappings/default.mjs
+  },
+  enrichment: {
+    weights: numberPairs(env("LEAD_SCORE_WEIGHTS", "")), // e.g. "ownerResponseRate=3,hasWebsite=0"
+  },
+  logging: {
+    level: env("LOG_LEVEL", "info"), // debug | info | warn | error
+    file: env("LOG_FILE", ""), // JSON log lines go to stderr when unset
+    report: env("RUN_REPORT", "run-report.json"), // machine-readable summary of each run
   },
   behavior: {
     strictDuplicates:
       String(env("STRICT_DUPLICATES", "true")).toLowerCase() == "true",
     concurrency: Number(env("CONCURRENCY", "3")),
+    pruneReviews: env("PRUNE_REVIEWS", "off"), // off | unlink | delete
+    auditLog: env("AUDIT_LOG", ""), // JSONL file receiving lead field changes
+    maxFailures: Number(env("MAX_FAILURES", "Infinity")), // failed businesses after which a run stops
+    incrementalReviews:
+      String(env("INCREMENTAL_REVIEWS", "false")).toLowerCase() == "true", // only sync reviews since the last run
   },
 };
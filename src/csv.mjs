@@ -0,0 +1,272 @@
+import { readFile } from "node:fs/promises";
+
+/**
+ * Stream-parses CSV (RFC 4180), yielding one row at a time
+ * Quoted fields may hold commas, doubled quotes and line breaks; CRLF and LF
+ * line endings are both accepted and a leading byte order mark is skipped
+ * @param {AsyncIterable<string>} chunks - Text chunks, e.g. a utf8 read stream
+ * @yields {string[]} Fields of each non-empty row, in order
+ * @throws {Error} If a quoted field is never closed, naming its line
+ */
+export async function* parseCsv(chunks) {
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+  let quoteSeen = false; // a quote inside quotes: either closing, or the first of ""
+  let started = false;
+  let line = 1;
+  let quoteLine = 0;
+
+  const endRow = function* () {
+    row.push(field);
+    if (row.length > 1 || row[0] !== "") yield row;
+    row = [];
+    field = "";
+  };
+
+  for await (const chunk of chunks) {
+    for (let i = 0; i < chunk.length; i++) {
+      const c = chunk[i];
+      if (!started) {
+        started = true;
+        if (c === "\uFEFF") continue;
+      }
+      if (inQuotes) {
+        if (quoteSeen) {
+          quoteSeen = false;
+          if (c === '"') {
+            field += '"';
+            continue;
+          }
+          inQuotes = false;
+          // fall through: c follows the closing quote
+        } else {
+          if (c === '"') quoteSeen = true;
+          else {
+            if (c === "\n") line++;
+            field += c;
+          }
+          continue;
+        }
+      }
+      if (c === '"' && field === "") {
+        inQuotes = true;
+        quoteLine = line;
+      } else if (c === ",") {
+        row.push(field);
+        field = "";
+      } else if (c === "\n") {
+        line++;
+        yield* endRow();
+      } else if (c !== "\r") {
+        field += c;
+      }
+    }
+  }
+  if (inQuotes && !quoteSeen) {
+    throw new Error(
+      `Unclosed quote in the CSV field starting on line ${quoteLine}`
+    );
+  }
+  yield* endRow();
+}
+
+/**
+ * Formats one CSV row (RFC 4180), quoting the cells that need it
+ * Lists are joined with ", " and objects written as JSON, so a row reads back
+ * through csvRecords with list and json column types
+ * @param {Array<any>} cells - Cell values; null and undefined are left empty
+ * @returns {string} The row, ending with CRLF
+ */
+export function formatCsvRow(cells) {
+  const text = cells.map((v) => {
+    const s =
+      v == null
+        ? ""
+        : Array.isArray(v) && v.every((x) => typeof x !== "object")
+        ? v.join(", ")
+        : typeof v === "object"
+        ? JSON.stringify(v)
+        : String(v);
+    return /[",\r\n]|^\s|\s$/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  });
+  return `${text.join(",")}\r\n`;
+}
+
+// Canonical fields whose CSV text is converted, keyed by dotted path without
+// array indices; review fields are listed under "reviews."
+const FIELD_TYPES = {
+  number: [
+    "totalScore",
+    "reviewsCount",
+    "rank",
+    "imagesCount",
+    "price",
+    "location.lat",
+    "location.lng",
+    "reviewsDistribution.oneStar",
+    "reviewsDistribution.twoStar",
+    "reviewsDistribution.threeStar",
+    "reviewsDistribution.fourStar",
+    "reviewsDistribution.fiveStar",
+    "reviews.stars",
+    "reviews.rating",
+    "reviews.likesCount",
+    "reviews.reviewerNumberOfReviews",
+  ],
+  boolean: [
+    "isAdvertisement",
+    "permanentlyClosed",
+    "temporarilyClosed",
+    "claimThisBusiness",
+    "reviews.isLocalGuide",
+  ],
+  list: ["categories"],
+};
+const TYPE_OF = new Map(
+  Object.entries(FIELD_TYPES).flatMap(([type, paths]) =>
+    paths.map((p) => [p, type])
+  )
+);
+const COLUMN_TYPES = ["string", "number", "boolean", "list", "json"];
+
+const convert = {
+  string: (v) => v,
+  number: (v) => {
+    const n = Number(v);
+    return Number.isFinite(n) ? n : v;
+  },
+  boolean: (v) =>
+    /^(true|yes|1)$/i.test(v) ? true : /^(false|no|0)$/i.test(v) ? false : v,
+  list: (v) =>
+    v
+      .split(",")
+      .map((s) => s.trim())
+      .filter(Boolean),
+  json: (v) => {
+    try {
+      return JSON.parse(v);
+    } catch {
+      return v;
+    }
+  },
+};
+
+/**
+ * Sets a value at a path, creating objects for name segments and arrays for
+ * numeric ones ("reviews/0/stars" or "location.lat")
+ * @param {Object} obj - Object to write to
+ * @param {string[]} segments - Path segments
+ * @param {any} value - Value to set
+ */
+function setPath(obj, segments, value) {
+  let o = obj;
+  segments.forEach((key, i) => {
+    if (i === segments.length - 1) {
+      o[key] = value;
+      return;
+    }
+    o[key] ??= /^\d+$/.test(segments[i + 1]) ? [] : {};
+    o = o[key];
+  });
+}
+
+// Arrays built from indexed columns have holes where every cell was empty
+const compact = (v) =>
+  Array.isArray(v)
+    ? v.filter((x) => x !== undefined).map(compact)
+    : v && typeof v === "object"
+    ? Object.fromEntries(Object.entries(v).map(([k, x]) => [k, compact(x)]))
+    : v;
+
+/**
+ * Compiles the columns of a CSV header into setters
+ * Each column goes to the field its header names, unless the column mapping
+ * says otherwise. Headers are paths, so "location/lat" or "reviews/0/text" (the
+ * columns of an Apify CSV export) rebuild nested values
+ * @param {string[]} header - First row of the file
+ * @param {"leads"|"reviews"} table - What a row describes: a business or a review
+ * @param {Object<string, string|{field: string, type?: string}>} [columns] - Header -> field path, or `{ field, type }`; a null field drops the column
+ * @returns {Array<{segments: string[], type: string}|null>} Setter per column, null for dropped columns
+ * @throws {Error} If a column type is unknown
+ */
+function compileHeader(header, table, columns = {}) {
+  return header.map((name) => {
+    const def = Object.hasOwn(columns, name) ? columns[name] : name;
+    const { field, type } =
+      def && typeof def === "object" ? def : { field: def, type: undefined };
+    if (!field) return null;
+    const segments = String(field).split(/[./]/);
+    const key = segments.filter((s) => !/^\d+$/.test(s)).join(".");
+    const resolved =
+      type ?? TYPE_OF.get(table === "reviews" ? `reviews.${key}` : key);
+    if (resolved !== undefined && !COLUMN_TYPES.includes(resolved)) {
+      throw new Error(`Unknown column type "${resolved}" for ${name}`);
+    }
+    // Indexed columns ("categories/0") each hold one element of the list
+    const single = resolved === "list" && /^\d+$/.test(segments.at(-1));
+    return { segments, type: single ? "string" : resolved ?? "string" };
+  });
+}
+
+/**
+ * Turns CSV rows into records, the first row being the header
+ * Empty cells are left out, so they read as missing fields
+ * @param {AsyncIterable<string[]>} rows - Rows from parseCsv
+ * @param {Object} [options]
+ * @param {"leads"|"reviews"} [options.table="leads"] - What a row describes
+ * @param {Object} [options.columns] - Column mapping, see compileHeader
+ * @yields {Object} One record per data row
+ */
+export async function* csvRecords(rows, { table = "leads", columns } = {}) {
+  let setters = null;
+  for await (const row of rows) {
+    if (!setters) {
+      setters = compileHeader(
+        row.map((h) => h.trim()),
+        table,
+        columns
+      );
+      continue;
+    }
+    const record = {};
+    row.forEach((cell, i) => {
+      const setter = setters[i];
+      if (!setter || cell.trim() === "") return;
+      setPath(record, setter.segments, convert[setter.type](cell.trim()));
+    });
+    yield compact(record);
+  }
+}
+
+/**
+ * Loads a CSV column mapping file
+ * The file is JSON with a mapping per table, each mapping a header to a field
+ * path or to `{ field, type }` (type is one of string, number, boolean, list
+ * or json):
+ *
+ *   { "leads": { "Business Name": "title", "Rating": { "field": "totalScore", "type": "number" } },
+ *     "reviews": { "Place": "placeId", "Comment": "text" } }
+ * @param {string} path - Path to the mapping file
+ * @returns {Promise<{leads?: Object, reviews?: Object}>} Column mapping per table
+ * @throws {Error} If the file isn't a valid mapping, naming the file
+ */
+export async function loadColumns(path) {
+  let spec;
+  try {
+    spec = JSON.parse(await readFile(path, "utf8"));
+  } catch (e) {
+    throw new Error(`${path}: ${e.message}`);
+  }
+  const valid =
+    spec &&
+    typeof spec === "object" &&
+    Object.entries(spec).every(
+      ([table, cols]) =>
+        ["leads", "reviews"].includes(table) && cols && typeof cols === "object"
+    );
+  if (!valid) {
+    throw new Error(`${path}: expected { "leads": {...}, "reviews": {...} }`);
+  }
+  return spec;
+}
@@ -0,0 +1,97 @@
+const keyOf = (biz) =>
+  biz && typeof biz === "object" && biz.placeId != null && biz.placeId !== ""
+    ? String(biz.placeId)
+    : null;
+
+const scrapedTime = (biz) => {
+  const t = Date.parse(biz.scrapedAt);
+  return Number.isNaN(t) ? -Infinity : t;
+};
+
+/**
+ * Counts how often each placeId appears in the input
+ * Only the keys are kept in memory, never the records themselves
+ * @param {Iterable|AsyncIterable} businesses - Business records from the scrape
+ * @returns {Promise<Map<string, number>>} placeId -> number of copies, for placeIds seen more than once
+ */
+export async function countCopies(businesses) {
+  const counts = new Map();
+  for await (const biz of businesses) {
+    const key = keyOf(biz);
+    if (key !== null) counts.set(key, (counts.get(key) ?? 0) + 1);
+  }
+  for (const [key, n] of counts) if (n < 2) counts.delete(key);
+  return counts;
+}
+
+/**
+ * Merges copies of the same business into one record
+ * - scalar fields come from the copy with the newest `scrapedAt`, falling back
+ *   to older copies where the newer one has no value
+ * - `rank` is the best (lowest) rank of any copy
+ * - `reviews` is the union of every copy's reviews by `reviewId`, the newest
+ *   copy of a review winning
+ * @param {Array<Object>} copies - Records sharing one placeId
+ * @returns {Object} Merged business
+ */
+export function mergeBusinesses(copies) {
+  // Oldest first, so each newer copy overwrites what came before
+  const sorted = [...copies].sort((a, b) => scrapedTime(a) - scrapedTime(b));
+  const merged = {};
+  for (const copy of sorted) {
+    for (const [field, value] of Object.entries(copy)) {
+      if (value != null && value !== "") merged[field] = value;
+    }
+  }
+
+  const ranks = copies.map((c) => c.rank).filter(Number.isFinite);
+  if (ranks.length) merged.rank = Math.min(...ranks);
+
+  if (sorted.some((c) => Array.isArray(c.reviews))) {
+    const byId = new Map();
+    const unkeyed = [];
+    for (const copy of sorted) {
+      for (const r of Array.isArray(copy.reviews) ? copy.reviews : []) {
+        if (r && r.reviewId) {
+          // Delete first so the review takes the position of its newest copy
+          byId.delete(String(r.reviewId));
+          byId.set(String(r.reviewId), r);
+        } else {
+          unkeyed.push(r);
+        }
+      }
+    }
+    merged.reviews = [...byId.values(), ...unkeyed];
+  }
+  return merged;
+}
+
+/**
+ * Streams businesses with duplicate placeIds merged into one record each
+ * Businesses seen once pass straight through; copies of a duplicated business
+ * are held until its last copy arrives, then the merged record is emitted in
+ * place of that last copy. Only duplicated businesses are ever buffered
+ * @param {Iterable|AsyncIterable} businesses - Business records from the scrape
+ * @param {Map<string, number>} copies - Copy counts from countCopies over the same input
+ * @yields {Object} Business records with unique placeIds
+ */
+export async function* mergeDuplicates(businesses, copies) {
+  const pending = new Map();
+  for await (const biz of businesses) {
+    const key = keyOf(biz);
+    if (key === null || !copies.has(key)) {
+      yield biz;
+      continue;
+    }
+    const seen = pending.get(key) ?? [];
+    seen.push(biz);
+    if (seen.length < copies.get(key)) {
+      pending.set(key, seen);
+      continue;
+    }
+    pending.delete(key);
+    yield mergeBusinesses(seen);
+  }
+  // The input changed between passes; don't drop what was held back
+  for (const seen of pending.values()) yield mergeBusinesses(seen);
+}
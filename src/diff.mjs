@@ -0,0 +1,20 @@
+/**
+ * Compares the fields of an existing record with the fields about to be written
+ * Empty values (null, missing, "", [] and false) are treated as equal, since
+ * Airtable omits empty fields and unchecked checkboxes from the records it returns
+ * @param {Object} before - Fields currently stored on the record
+ * @param {Object} after - Fields that would be written
+ * @returns {Array<{field: string, from: any, to: any}>} Changed fields only
+ */
+export function diffFields(before = {}, after = {}) {
+  const empty = (v) =>
+    v == null || v === "" || v === false || (Array.isArray(v) && !v.length);
+  const norm = (v) => JSON.stringify(empty(v) ? null : v);
+  return Object.keys(after)
+    .filter((field) => norm(before[field]) !== norm(after[field]))
+    .map((field) => ({
+      field,
+      from: before[field] ?? null,
+      to: after[field] ?? null,
+    }));
+}
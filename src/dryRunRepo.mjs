@@ -0,0 +1,215 @@
+import { diffFields } from "./diff.mjs";
+
+// Records kept from lookups, enough for the batches of a run in flight
+const FETCHED_LIMIT = 1000;
+
+/**
+ * Stand-in repository that records every write instead of sending it
+ * Reads return nothing unless a reader repo is given, in which case lookups are
+ * delegated to it so updates can be shown as field-level diffs
+ * Records looked up with their fields are kept for a while, so upserting them
+ * right after (as importBatch does) diffs against them instead of reading them
+ * again
+ */
+export class DryRunRepo {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.reader] - Repo used for read-only lookups (e.g. an AirtableRepo)
+   */
+  constructor({ reader = null } = {}) {
+    this.reader = reader;
+    this.writes = [];
+    this.seq = 0;
+    this.fetched = new Map(); // "<table>\u0000<key>" -> { id, fields }
+  }
+
+  /**
+   * Generates a placeholder ID for records that would be created
+   * @returns {string} Fake record ID, unique within this run
+   */
+  fakeId() {
+    return `dryRun${++this.seq}`;
+  }
+
+  async *listAll(table, options) {
+    if (this.reader) yield* this.reader.listAll(table, options);
+  }
+
+  async findAllByField(table, field, value) {
+    return this.reader ? this.reader.findAllByField(table, field, value) : [];
+  }
+
+  async findOneByField(table, field, value) {
+    return this.reader ? this.reader.findOneByField(table, field, value) : null;
+  }
+
+  async findRecordsByKeys(table, keyField, keys, options) {
+    if (!this.reader) return new Map();
+    const found = await this.reader.findRecordsByKeys(
+      table,
+      keyField,
+      keys,
+      options
+    );
+    if (options?.withFields) {
+      for (const [key, rec] of found) {
+        this.fetched.set(`${table}\u0000${key}`, rec);
+      }
+      for (const k of this.fetched.keys()) {
+        if (this.fetched.size <= FETCHED_LIMIT) break;
+        this.fetched.delete(k);
+      }
+    }
+    return found;
+  }
+
+  async getRecord(table, id) {
+    // Records that would have been created don't exist to look up
+    if (!this.reader || id.startsWith("dryRun")) return null;
+    return this.reader.getRecord(table, id);
+  }
+
+  async createMany(table, records) {
+    const out = records.map((r) => ({ id: this.fakeId(), fields: r.fields }));
+    for (const rec of out) {
+      this.writes.push({ table, op: "create", id: rec.id, fields: rec.fields });
+    }
+    return { succeeded: out, failed: [] };
+  }
+
+  async updateMany(table, records) {
+    for (const rec of records) {
+      this.writes.push({ table, op: "update", id: rec.id, fields: rec.fields });
+    }
+    return { succeeded: records, failed: [] };
+  }
+
+  async deleteMany(table, ids) {
+    for (const id of ids) this.writes.push({ table, op: "delete", id });
+    return ids.map((id) => ({ id, deleted: true }));
+  }
+
+  async upsertByKey(table, keyField, fields) {
+    const keyVal = fields[keyField];
+    if (!keyVal) throw new Error(`Upsert missing ${keyField}`);
+    return this.recordUpsert(
+      table,
+      keyVal,
+      fields,
+      await this.findOneByField(table, keyField, keyVal)
+    );
+  }
+
+  /**
+   * Upserts records on a key field, looking up in one request only the records
+   * that weren't just looked up
+   * @param {string} table - Table name
+   * @param {string} keyField - Field to match records on
+   * @param {Object[]} records - Fields of each record, key field included
+   * @returns {Promise<Map>} Map of key values to `{ id, created }`
+   * @throws {Error} If a record has no key
+   */
+  async upsertManyByKey(table, keyField, records) {
+    const existing = new Map();
+    const missing = [];
+    for (const fields of records) {
+      const keyVal = fields[keyField];
+      if (!keyVal) throw new Error(`Upsert missing ${keyField}`);
+      const cacheKey = `${table}\u0000${keyVal}`;
+      if (this.fetched.has(cacheKey)) {
+        existing.set(String(keyVal), this.fetched.get(cacheKey));
+        this.fetched.delete(cacheKey);
+      } else {
+        missing.push(keyVal);
+      }
+    }
+    if (missing.length && this.reader) {
+      const found = await this.reader.findRecordsByKeys(
+        table,
+        keyField,
+        missing,
+        { withFields: true }
+      );
+      for (const [key, rec] of found) existing.set(String(key), rec);
+    }
+
+    const out = new Map();
+    for (const fields of records) {
+      const key = String(fields[keyField]);
+      out.set(
+        key,
+        this.recordUpsert(table, fields[keyField], fields, existing.get(key))
+      );
+    }
+    return out;
+  }
+
+  /**
+   * Records the write an upsert would make
+   * @param {string} table - Table name
+   * @param {any} keyVal - Key value of the record
+   * @param {Object} fields - Fields to write
+   * @param {{id: string, fields: Object}|null} [existing] - Record stored under the key
+   * @returns {{id: string, created: boolean}} Existing or placeholder ID
+   */
+  recordUpsert(table, keyVal, fields, existing) {
+    if (existing) {
+      this.writes.push({
+        table,
+        op: "update",
+        id: existing.id,
+        key: keyVal,
+        fields,
+        diff: diffFields(existing.fields, fields),
+      });
+      return { id: existing.id, created: false };
+    }
+    const id = this.fakeId();
+    this.writes.push({ table, op: "create", id, key: keyVal, fields });
+    return { id, created: true };
+  }
+
+  /**
+   * Summarizes the recorded writes
+   * @returns {{counts: Object, writes: Array}} Create/update/delete counts per table and every recorded write
+   */
+  plan() {
+    const counts = {};
+    for (const w of this.writes) {
+      counts[w.table] ??= { create: 0, update: 0, delete: 0 };
+      counts[w.table][w.op]++;
+    }
+    return { counts, writes: this.writes };
+  }
+}
+
+/**
+ * Renders a dry-run plan as readable text
+ * Updates are shown as a field-level diff when the existing record was looked up,
+ * creates are shown with their full mapped payload
+ * @param {{counts: Object, writes: Array}} plan - Plan returned by DryRunRepo#plan
+ * @returns {string} Multi-line plan description
+ */
+export function formatPlan({ counts, writes }) {
+  const lines = ["Dry run - nothing was written", ""];
+  for (const [table, c] of Object.entries(counts)) {
+    lines.push(
+      `${table}: ${c.create} to create, ${c.update} to update, ${c.delete} to delete`
+    );
+  }
+  for (const w of writes) {
+    const label = w.key ? `${w.id} (${w.key})` : w.id;
+    lines.push("", `${w.op} ${w.table} ${label}`);
+    if (w.diff) {
+      if (!w.diff.length) lines.push("  (no field changes)");
+      for (const d of w.diff) {
+        lines.push(
+          `  ${d.field}: ${JSON.stringify(d.from)} -> ${JSON.stringify(d.to)}`
+        );
+      }
+    } else if (w.fields) {
+      lines.push(`  ${JSON.stringify(w.fields)}`);
+    }
+  }
+  return lines.join("\n");
+}
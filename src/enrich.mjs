@@ -0,0 +1,176 @@
+import { cfg } from "./config.mjs";
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const round = (v, digits = 2) => Math.round(v * 10 ** digits) / 10 ** digits;
+
+const time = (v) => {
+  const t = v ? Date.parse(v) : NaN;
+  return Number.isNaN(t) ? null : t;
+};
+
+const median = (xs) => {
+  const s = [...xs].sort((a, b) => a - b);
+  const mid = Math.floor(s.length / 2);
+  return s.length % 2 ? s[mid] : (s[mid - 1] + s[mid]) / 2;
+};
+
+// Scraped reviews, or null when the business was scraped without them
+const reviewsOf = (biz) =>
+  Array.isArray(biz.reviews)
+    ? biz.reviews.filter((r) => r && typeof r === "object")
+    : null;
+
+/**
+ * Derived lead fields, keyed by name
+ * `compute(biz, now)` returns the value, null when the data it needs is missing;
+ * `signal(value)` rates it from 0 (weak lead) to 1 (strong lead) for leadScore.
+ * Responsive, active, well-rated businesses rate highest
+ */
+export const ENRICHERS = {
+  // Share of scraped reviews the owner replied to
+  ownerResponseRate: {
+    compute: (biz) => {
+      const reviews = reviewsOf(biz);
+      if (!reviews?.length) return null;
+      const answered = reviews.filter(
+        (r) => r.responseFromOwnerText || r.responseFromOwnerDate
+      );
+      return round(answered.length / reviews.length);
+    },
+    signal: (v) => v,
+  },
+  // Median hours between a review and the owner's reply
+  medianResponseHours: {
+    compute: (biz) => {
+      const hours = (reviewsOf(biz) ?? [])
+        .map((r) => [time(r.publishedAtDate), time(r.responseFromOwnerDate)])
+        .filter(([at, reply]) => at != null && reply != null && reply >= at)
+        .map(([at, reply]) => (reply - at) / HOUR_MS);
+      return hours.length ? round(median(hours), 1) : null;
+    },
+    // Replying within a day rates 0.5, within the hour close to 1
+    signal: (v) => 1 / (1 + v / 24),
+  },
+  // Scraped reviews published in the 90 days before the scrape
+  reviewsLast90Days: {
+    compute: (biz, now) => {
+      const reviews = reviewsOf(biz);
+      if (!reviews) return null;
+      return reviews.filter((r) => {
+        const at = time(r.publishedAtDate);
+        return at != null && at <= now && now - at <= 90 * DAY_MS;
+      }).length;
+    },
+    // 5 recent reviews rate 0.5
+    signal: (v) => v / (v + 5),
+  },
+  // Share of 1-2 star reviews, from the full distribution when it was scraped
+  lowStarShare: {
+    compute: (biz) => {
+      const d = biz.reviewsDistribution;
+      if (d && typeof d === "object") {
+        const keys = [
+          "oneStar",
+          "twoStar",
+          "threeStar",
+          "fourStar",
+          "fiveStar",
+        ];
+        const counts = keys.map((k) => Number(d[k]) || 0);
+        const total = counts.reduce((a, b) => a + b, 0);
+        if (total) return round((counts[0] + counts[1]) / total);
+      }
+      const stars = (reviewsOf(biz) ?? [])
+        .map((r) => r.stars ?? r.rating)
+        .filter(Number.isFinite);
+      return stars.length
+        ? round(stars.filter((s) => s <= 2).length / stars.length)
+        : null;
+    },
+    signal: (v) => 1 - v,
+  },
+  // Days between the owner's latest post and the scrape
+  daysSinceOwnerUpdate: {
+    compute: (biz, now) => {
+      const dates = (Array.isArray(biz.ownerUpdates) ? biz.ownerUpdates : [])
+        .map((u) => time(u?.date))
+        .filter((t) => t != null);
+      if (!dates.length) return null;
+      return Math.max(0, Math.floor((now - Math.max(...dates)) / DAY_MS));
+    },
+    // A post in the last month rates 0.5 or more
+    signal: (v) => 1 / (1 + v / 30),
+  },
+  hasWebsite: {
+    compute: (biz) =>
+      typeof biz.website === "string" && biz.website.trim() !== "",
+    signal: (v) => (v ? 1 : 0),
+  },
+};
+
+// Weight of each enricher's signal in leadScore; LEAD_SCORE_WEIGHTS overrides them
+export const DEFAULT_WEIGHTS = {
+  ownerResponseRate: 3,
+  medianResponseHours: 1,
+  reviewsLast90Days: 2,
+  lowStarShare: 2,
+  daysSinceOwnerUpdate: 1,
+  hasWebsite: 1,
+};
+
+/**
+ * Creates the enrichment stage run on each validated business before it is mapped
+ * The derived values are added to the business as `enrichment`, along with
+ * `leadScore`: the weighted mean of every signal scaled to 0-100, where a value
+ * that couldn't be derived rates 0. Mappings read them as "enrichment.<name>"
+ *
+ * Values are derived relative to the business's scrapedAt (or the current time
+ * when it has none), so importing the same scrape twice derives the same values
+ * Values the business already carries in `enrichment` are kept: an export
+ * holds the values stored in the base, and the review fields some of them were
+ * derived from (e.g. responseFromOwnerDate) may not be stored, so deriving them
+ * again would change them
+ * @param {Object} [options]
+ * @param {Object} [options.enrichers] - Enrichers to run, see ENRICHERS; pass `{ ...ENRICHERS, custom }` to add one
+ * @param {Object<string, number>} [options.weights] - Weight per enricher, overriding DEFAULT_WEIGHTS; 0 leaves one out of the score
+ * @returns {(biz: Object) => Object} Function returning a copy of the business with `enrichment` set
+ * @throws {Error} If a weight names an unknown enricher or isn't a non-negative number
+ */
+export function createEnricher({
+  enrichers = ENRICHERS,
+  weights = cfg.enrichment.weights,
+} = {}) {
+  // Enrichers without a default weight only count towards the score when weighted
+  const merged = Object.fromEntries(
+    Object.keys(enrichers).map((name) => [name, DEFAULT_WEIGHTS[name] ?? 0])
+  );
+  for (const [name, w] of Object.entries(weights)) {
+    if (!Object.hasOwn(enrichers, name)) {
+      throw new Error(`Unknown lead score signal "${name}"`);
+    }
+    if (!Number.isFinite(w) || w < 0) {
+      throw new Error(`Invalid weight for ${name}: ${w}`);
+    }
+    merged[name] = w;
+  }
+  const total = Object.values(merged).reduce((a, b) => a + b, 0);
+
+  return (biz) => {
+    const now = time(biz.scrapedAt) ?? Date.now();
+    const given = biz.enrichment ?? {};
+    const enrichment = {};
+    for (const [name, e] of Object.entries(enrichers)) {
+      enrichment[name] = given[name] ?? e.compute(biz, now) ?? null;
+    }
+    let score = 0;
+    for (const [name, w] of Object.entries(merged)) {
+      const v = enrichment[name];
+      if (w && v != null) score += w * enrichers[name].signal(v);
+    }
+    enrichment.leadScore =
+      given.leadScore ?? (total ? Math.round((100 * score) / total) : null);
+    return { ...biz, enrichment };
+  };
+}
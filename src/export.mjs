@@ -0,0 +1,182 @@
+import { mkdir, open } from "node:fs/promises";
+import { join } from "node:path";
+import { cfg } from "./config.mjs";
+import { formatCsvRow } from "./csv.mjs";
+import { defaultMapper } from "./mapping.mjs";
+
+export const EXPORT_FORMATS = ["json", "jsonl", "csv"];
+
+/**
+ * Builds the lead filter of an export
+ * Leads are read back through the mapping, so the filters apply to the scrape
+ * fields whatever the columns are called
+ * @param {Object} [options]
+ * @param {Date} [options.since] - Keep leads scraped at or after this time
+ * @param {Date} [options.until] - Keep leads scraped before this time
+ * @param {string} [options.category] - Keep leads of this category, case-insensitive
+ * @param {Object} [options.mapper] - Compiled mapping, see compileMapping
+ * @returns {(lead: {fields: Object}) => boolean} Filter over lead records; leads without scrapedAt fail a date range
+ */
+export function leadFilter({
+  since = null,
+  until = null,
+  category = null,
+  mapper = defaultMapper,
+} = {}) {
+  return (lead) => {
+    const biz = mapper.unmapLead(lead.fields ?? {});
+    if (since || until) {
+      const at = new Date(biz.scrapedAt ?? NaN);
+      if (Number.isNaN(at.getTime())) return false;
+      if ((since && at < since) || (until && at >= until)) return false;
+    }
+    if (category) {
+      return (
+        String(biz.categoryName ?? "").toLowerCase() === category.toLowerCase()
+      );
+    }
+    return true;
+  };
+}
+
+/**
+ * Reads the leads of a base with their reviews, as stored
+ * Each review is put under the lead its link field points to; reviews of leads
+ * that aren't exported are left out
+ * @param {Object} repo - Repository to read, see Repository in repo.mjs
+ * @param {Object} [options]
+ * @param {Object} [options.tables] - Table settings, defaults to cfg.airtable.tables
+ * @param {(lead: Object) => boolean} [options.filter] - Leads to export, see leadFilter
+ * @returns {Promise<Array<{lead: Object, reviews: Object[]}>>} Leads in table order, each with its review records
+ */
+export async function readSnapshot(
+  repo,
+  { tables = cfg.airtable.tables, filter = () => true } = {}
+) {
+  const byId = new Map();
+  for await (const lead of repo.listAll(tables.leads.name)) {
+    if (filter(lead)) byId.set(lead.id, { lead, reviews: [] });
+  }
+  if (byId.size) {
+    const link = tables.reviews.linkToLeadField;
+    for await (const review of repo.listAll(tables.reviews.name)) {
+      const [leadId] = review.fields?.[link] ?? [];
+      byId.get(leadId)?.reviews.push(review);
+    }
+  }
+  return [...byId.values()];
+}
+
+/**
+ * Turns an exported lead back into a business record of the scrape, with its
+ * reviews, so the export can be imported again
+ * @param {{lead: Object, reviews: Object[]}} entry - Entry of readSnapshot
+ * @param {Object} [mapper] - Compiled mapping, see compileMapping
+ * @returns {Object} Business record
+ */
+export function toBusiness({ lead, reviews }, mapper = defaultMapper) {
+  return {
+    ...mapper.unmapLead(lead.fields),
+    reviews: reviews.map((r) => mapper.unmapReview(r.fields)),
+  };
+}
+
+// Column names in the order the mapping lists them, then any other field seen
+const columnsOf = (records, mapped, skip = []) => {
+  const seen = new Set(mapped);
+  for (const r of records) {
+    for (const name of Object.keys(r.fields)) seen.add(name);
+  }
+  return [...seen].filter((name) => !skip.includes(name));
+};
+
+/**
+ * Writes lines to a new file
+ * @param {string} path - Output file path
+ * @param {Iterable<string>} lines - Text to write, line endings included
+ */
+async function writeLines(path, lines) {
+  const fh = await open(path, "w");
+  try {
+    for (const line of lines) await fh.write(line);
+  } finally {
+    await fh.close();
+  }
+}
+
+/**
+ * Writes an export
+ * - json: an array of business records, as the scraper writes them, one per line
+ * - jsonl: one business record per line
+ * - csv: `leads.csv` and `reviews.csv` in the `out` directory, holding the
+ *   fields as stored in the base with each record's ID; reviews name their
+ *   lead by its key field instead of the link
+ * @param {Array<{lead: Object, reviews: Object[]}>} snapshot - Result of readSnapshot
+ * @param {Object} options
+ * @param {string} options.out - Output file, or directory for csv
+ * @param {string} [options.format="json"] - One of EXPORT_FORMATS
+ * @param {Object} [options.tables] - Table settings, defaults to cfg.airtable.tables
+ * @param {Object} [options.mapper] - Compiled mapping, see compileMapping
+ * @returns {Promise<{leads: number, reviews: number, files: string[]}>} Records exported and files written
+ * @throws {Error} If the format is unknown
+ */
+export async function writeExport(
+  snapshot,
+  { out, format = "json", tables = cfg.airtable.tables, mapper = defaultMapper }
+) {
+  const counts = {
+    leads: snapshot.length,
+    reviews: snapshot.reduce((n, e) => n + e.reviews.length, 0),
+  };
+  if (format === "json" || format === "jsonl") {
+    const lines = snapshot.map((e) => JSON.stringify(toBusiness(e, mapper)));
+    await writeLines(
+      out,
+      format === "jsonl"
+        ? lines.map((l) => `${l}\n`)
+        : [`[\n${lines.join(",\n")}${lines.length ? "\n" : ""}]\n`]
+    );
+    return { ...counts, files: [out] };
+  }
+  if (format !== "csv") {
+    throw new Error(
+      `Unknown export format "${format}" (use ${EXPORT_FORMATS.join(", ")})`
+    );
+  }
+
+  const { leads, reviews } = tables;
+  await mkdir(out, { recursive: true });
+  const leadRecords = snapshot.map((e) => e.lead);
+  const leadColumns = columnsOf(
+    leadRecords,
+    mapper.schema.leads.map((c) => c.name),
+    [leads.reviewsField]
+  );
+  const reviewRows = snapshot.flatMap(({ lead, reviews: rs }) =>
+    rs.map((r) => ({ key: lead.fields[leads.keyField], review: r }))
+  );
+  const reviewColumns = columnsOf(
+    reviewRows.map((r) => r.review),
+    mapper.schema.reviews.map((c) => c.name),
+    [reviews.linkToLeadField, leads.keyField]
+  );
+
+  const files = [join(out, "leads.csv"), join(out, "reviews.csv")];
+  await writeLines(files[0], [
+    formatCsvRow(["id", ...leadColumns]),
+    ...leadRecords.map((r) =>
+      formatCsvRow([r.id, ...leadColumns.map((c) => r.fields[c])])
+    ),
+  ]);
+  await writeLines(files[1], [
+    formatCsvRow(["id", leads.keyField, ...reviewColumns]),
+    ...reviewRows.map(({ key, review }) =>
+      formatCsvRow([
+        review.id,
+        key,
+        ...reviewColumns.map((c) => review.fields[c]),
+      ])
+    ),
+  ]);
+  return { ...counts, files };
+}
@@ -1,25 +1,228 @@
-const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+import { logger as rootLogger } from "./logger.mjs";
 
-export async function requestJSON(
+// Waits ms, or rejects with the signal's reason as soon as it is aborted
+const sleep = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    signal?.throwIfAborted();
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+
+// Path of a request URL for logs; the query can hold long filter formulas
+const pathOf = (url) => {
+  try {
+    return new URL(url).pathname;
+  } catch {
+    return String(url);
+  }
+};
+
+/**
+ * Error thrown by requestJSON once a request has failed for good
+ * `status` is null when no response was received (network error or timeout)
+ */
+export class HttpError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [details]
+   * @param {number|null} [details.status] - HTTP status code
+   * @param {string|null} [details.type] - Airtable error type, e.g. "INVALID_REQUEST_UNKNOWN"
+   * @param {number} [details.attempts] - Requests sent, retries included
+   * @param {string} [details.body] - Raw response body
+   * @param {Error} [details.cause] - Underlying fetch error
+   */
+  constructor(
+    message,
+    { status = null, type = null, attempts = 1, body = "", cause } = {}
+  ) {
+    super(message, cause ? { cause } : undefined);
+    this.name = "HttpError";
+    this.status = status;
+    this.type = type;
+    this.attempts = attempts;
+    this.body = body;
+  }
+}
+
+/**
+ * Reads the error type from an Airtable error body
+ * Airtable sends either `{ error: "NOT_FOUND" }` or `{ error: { type, message } }`
+ * @param {string} text - Response body
+ * @returns {string|null} Error type, null when the body isn't an Airtable error
+ */
+function errorType(text) {
+  try {
+    const { error } = JSON.parse(text);
+    return typeof error === "string" ? error : error?.type ?? null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Reads a Retry-After header, given either in seconds or as an HTTP date
+ * @param {Response} res - Fetch response
+ * @returns {number|null} Delay in milliseconds, null without a usable header
+ */
+function retryAfterMs(res) {
+  const value = res.headers?.get?.("retry-after");
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const at = Date.parse(value);
+  return Number.isNaN(at) ? null : Math.max(0, at - Date.now());
+}
+
+/**
+ * Full-jitter exponential backoff: a random delay up to the capped exponential step
+ * @param {number} attempt - Zero-based retry number
+ * @param {number} baseDelayMs - First step
+ * @param {number} maxDelayMs - Cap on any step
+ * @returns {number} Delay in milliseconds
+ */
+const backoff = (attempt, baseDelayMs, maxDelayMs) =>
+  Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+
+/**
+ * Sends a request and parses its JSON response, retrying transient failures
+ *
+ * 429s, 5xx responses, network errors and timeouts are retried with full-jitter
+ * backoff, or after the server's Retry-After delay when it sends one (capped at
+ * maxDelayMs, so a bogus header can't stall a worker for hours). POSTs are
+ * not idempotent, so they are only retried after a 429 (the request was refused
+ * before being processed) unless the caller says the request is idempotent
+ * @param {string} url - Request URL
+ * @param {Object} [options] - fetch options; aborting `options.signal` cancels the request, backoff waits included
+ * @param {Object} [policy]
+ * @param {number} [policy.retries=5] - Retries after the first attempt
+ * @param {number} [policy.baseDelayMs=400] - First backoff step
+ * @param {number} [policy.maxDelayMs=30000] - Cap on any wait before a retry, Retry-After included
+ * @param {number} [policy.timeoutMs=30000] - Per-attempt timeout, response body included
+ * @param {boolean} [policy.idempotent] - Whether failed attempts may be resent, defaults to true for anything but POST
+ * @param {import("./rateLimiter.mjs").RateLimiter} [policy.limiter] - Limiter every attempt waits on
+ * @param {import("./logger.mjs").Logger} [policy.logger] - Logger receiving a line per request (debug) and per failure (warn), with the attempts made
+ * @returns {Promise<any>} Parsed JSON response
+ * @throws {HttpError} Once the request fails and may not be, or can no longer be, retried
+ */
+export async function requestJSON(url, options = {}, policy = {}) {
+  const { logger = rootLogger } = policy;
+  const request = {
+    method: String(options.method ?? "GET").toUpperCase(),
+    url: pathOf(url),
+  };
+  const started = Date.now();
+  try {
+    const { json, status, attempts } = await send(url, options, policy);
+    logger.debug("request", {
+      ...request,
+      status,
+      attempts,
+      durationMs: Date.now() - started,
+    });
+    return json;
+  } catch (e) {
+    if (e instanceof HttpError) {
+      logger.warn("request failed", {
+        ...request,
+        status: e.status,
+        attempts: e.attempts,
+        durationMs: Date.now() - started,
+        error: e.message,
+      });
+    }
+    throw e;
+  }
+}
+
+/**
+ * The retry loop of requestJSON
+ * @returns {Promise<{json: any, status: number, attempts: number}>} Parsed response, its status and the requests sent
+ */
+async function send(
   url,
-  options = {},
-  { retries = 5, baseDelayMs = 400 } = {}
+  options,
+  {
+    retries = 5,
+    baseDelayMs = 400,
+    maxDelayMs = 30000,
+    timeoutMs = 30000,
+    idempotent = String(options.method ?? "GET").toUpperCase() !== "POST",
+    limiter = null,
+    logger = rootLogger,
+  }
 ) {
-  for (let i = 0; i <= retries; i++) {
-    const res = await fetch(url, options);
+  for (let i = 0; ; i++) {
+    const attempts = i + 1;
+    const canRetry = i < retries;
+    // Retries count against the rate limit like any other request
+    await limiter?.acquire();
+    options.signal?.throwIfAborted();
 
-    if (res.status === 429 || res.status >= 500) {
-      if (i === retries) {
-        const text = await res.text().catch(() => "");
-        throw new Error(`HTTP ${res.status} after ${retries} retries: ${text}`);
+    const timeout = new AbortController();
+    const timer = setTimeout(() => timeout.abort(), timeoutMs);
+    const signal = options.signal
+      ? AbortSignal.any([options.signal, timeout.signal])
+      : timeout.signal;
+    let res;
+    try {
+      res = await fetch(url, { ...options, signal });
+      if (res.ok) {
+        return { json: await res.json(), status: res.status, attempts };
       }
-      await sleep(baseDelayMs * 2 ** i);
+    } catch (e) {
+      // The caller cancelled, or the body of a successful response isn't JSON
+      if (options.signal?.aborted || (res && !timeout.signal.aborted)) throw e;
+      const reason = timeout.signal.aborted
+        ? `Request timed out after ${timeoutMs}ms`
+        : e.message;
+      if (!idempotent || !canRetry) {
+        throw new HttpError(i ? `${reason} after ${i} retries` : reason, {
+          attempts,
+          cause: e,
+        });
+      }
+      const delayMs = backoff(i, baseDelayMs, maxDelayMs);
+      logger.debug("retrying", { url: pathOf(url), attempts, reason, delayMs });
+      await sleep(delayMs, options.signal);
       continue;
+    } finally {
+      clearTimeout(timer);
     }
-    if (!res.ok) {
-      const text = await res.text().catch(() => "");
-      throw new Error(`HTTP ${res.status}: ${text}`);
+
+    const text = await res.text().catch(() => "");
+    const details = {
+      status: res.status,
+      type: errorType(text),
+      attempts,
+      body: text,
+    };
+    if (res.status === 429) limiter?.throttled();
+    const retryable = res.status === 429 || (res.status >= 500 && idempotent);
+    if (!retryable) throw new HttpError(`HTTP ${res.status}: ${text}`, details);
+    if (!canRetry) {
+      throw new HttpError(
+        `HTTP ${res.status} after ${retries} retries: ${text}`,
+        details
+      );
     }
-    return res.json();
+    const retryAfter = retryAfterMs(res);
+    const delayMs =
+      retryAfter === null
+        ? backoff(i, baseDelayMs, maxDelayMs)
+        : Math.min(maxDelayMs, retryAfter);
+    logger.debug("retrying", {
+      url: pathOf(url),
+      attempts,
+      status: res.status,
+      delayMs,
+    });
+    await sleep(delayMs, options.signal);
   }
 }
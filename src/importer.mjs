@@ -0,0 +1,393 @@
+import { cfg } from "./config.mjs";
+import { diffFields } from "./diff.mjs";
+import { createEnricher } from "./enrich.mjs";
+import { logger } from "./logger.mjs";
+import { defaultMapper } from "./mapping.mjs";
+import { normalizeBiz } from "./normalize.mjs";
+import { Pool } from "./pool.mjs";
+import { syncReviews } from "./reviewSync.mjs";
+import { checkBiz } from "./validation.mjs";
+
+/**
+ * Imports a batch of businesses: upserts all their leads in one pass, then
+ * syncs the reviews of each business
+ * Leads are first compared with the stored records: unchanged leads aren't
+ * written at all, changed leads only get the fields that differ, so re-running
+ * the same scrape doesn't use up quota or fire automations on last-modified time
+ * A failed lead upsert fails the whole batch; a failed review sync only fails
+ * its own business
+ * With review cursors, only the reviews picked by the cursor of an existing
+ * lead are synced; a lead just created gets all of them
+ * @param {Object} repo - Repository used for all reads and writes
+ * @param {Array} bizs - Validated business records, at most one upsert batch
+ * @param {Object} [options]
+ * @param {Object} [options.tables] - Table settings, defaults to cfg.airtable.tables
+ * @param {string} [options.prune] - Review prune mode, see syncReviews
+ * @param {Object} [options.mapper] - Compiled mapping, see compileMapping
+ * @param {import("./reviewCursors.mjs").ReviewCursors} [options.cursors] - Cursors narrowing the reviews synced; pruning must be off
+ * @returns {Promise<Array<Object>>} One result per business: `{ biz, status, leadId, changes, reviews }` or `{ biz, error, leadId }`, where status is created, updated or unchanged and changes lists the fields updated
+ */
+export async function importBatch(
+  repo,
+  bizs,
+  {
+    tables = cfg.airtable.tables,
+    prune = cfg.behavior.pruneReviews,
+    mapper = defaultMapper,
+    cursors = null,
+  } = {}
+) {
+  const { leads } = tables;
+  // Results keep the order of the batch; each entry is filled in as its business progresses
+  const results = bizs.map((biz) => ({ biz }));
+
+  // A business that can't be mapped (e.g. a required field is empty) fails on its own
+  const mapped = [];
+  for (const res of results) {
+    try {
+      mapped.push({ res, fields: mapper.mapLead(res.biz) });
+    } catch (error) {
+      res.error = error;
+    }
+  }
+  if (!mapped.length) return results;
+
+  let upserted;
+  try {
+    const existing = await repo.findRecordsByKeys(
+      leads.name,
+      leads.keyField,
+      mapped.map((m) => m.fields[leads.keyField]),
+      { withFields: true }
+    );
+    const writes = [];
+    for (const m of mapped) {
+      const key = m.fields[leads.keyField];
+      const rec = existing.get(String(key));
+      if (!rec) {
+        writes.push(m.fields);
+        continue;
+      }
+      m.existingId = rec.id;
+      m.changes = diffFields(rec.fields, m.fields);
+      if (m.changes.length) {
+        writes.push({
+          [leads.keyField]: key,
+          ...Object.fromEntries(m.changes.map((d) => [d.field, d.to])),
+        });
+      }
+    }
+    upserted = writes.length
+      ? await repo.upsertManyByKey(leads.name, leads.keyField, writes)
+      : new Map();
+  } catch (error) {
+    for (const { res } of mapped) res.error = error;
+    return results;
+  }
+
+  for (const { res, fields, existingId, changes = [] } of mapped) {
+    const written = upserted.get(String(fields[leads.keyField]));
+    res.leadId = written?.id ?? existingId;
+    const biz =
+      cursors && !written?.created
+        ? { ...res.biz, reviews: cursors.pending(res.biz) }
+        : res.biz;
+    try {
+      res.reviews = await syncReviews(repo, biz, res.leadId, {
+        tables,
+        prune,
+        mapper,
+      });
+      res.changes = changes;
+      res.status = !written
+        ? "unchanged"
+        : written.created
+        ? "created"
+        : "updated";
+    } catch (error) {
+      res.error = error;
+    }
+  }
+  return results;
+}
+
+/**
+ * Runs a full import over a stream of businesses, spreading batches across a Pool
+ * Input is read only as fast as the pool drains it, so memory use stays flat
+ * however large the input is. Records with validation errors are skipped (and
+ * written to the rejected report), records with only warnings are imported and
+ * their warnings counted per field, records that fail to write are counted as
+ * failed; none of these stops the rest of the run. Each warning is logged at
+ * debug level; the summary only keeps a count and a first example per field, so
+ * it stays small however many warnings a large scrape raises
+ * Valid records have their phone, website and address normalized and then go
+ * through the enrichment stage, which adds derived fields such as leadScore,
+ * before they are mapped
+ * Batches holding the same placeId never run at the same time. The run stops
+ * early when the signal is aborted or more than maxFailures businesses failed:
+ * no more input is read and the batches in flight finish, so the checkpoint
+ * journal is left ready for --resume. Aborting `cancel` cancels the pool
+ * instead; the repository is expected to share that signal, so the requests
+ * in flight are cut short too (see the second Ctrl+C in index.mjs)
+ * With review cursors, a business's cursor moves on once all its reviews were
+ * written, so the next run skips them
+ * With a repository that buffers its writes (see `flushed` in repo.mjs),
+ * businesses are journaled only once their writes are on disk, so a crash
+ * can't leave --resume skipping businesses that were never saved
+ * @param {Iterable|AsyncIterable} businesses - Business records from the scrape
+ * @param {Object} options
+ * @param {Object} options.repo - Repository used for all reads and writes
+ * @param {number} [options.concurrency] - Batches processed in parallel
+ * @param {number} [options.batchSize] - Businesses per lead upsert batch
+ * @param {Object} [options.tables] - Table settings, defaults to cfg.airtable.tables
+ * @param {string} [options.prune] - Review prune mode, see syncReviews
+ * @param {Object} [options.mapper] - Compiled mapping, see compileMapping
+ * @param {import("./checkpoint.mjs").Checkpoint} [options.checkpoint] - Journal recording progress and deciding which businesses to import
+ * @param {import("./validation.mjs").RejectedReport} [options.rejected] - Report receiving each skipped record with its issues
+ * @param {import("./audit.mjs").AuditLog} [options.audit] - Log receiving the field changes made to existing leads
+ * @param {Function} [options.enrich] - Enrichment stage run on each valid business before mapping, see createEnricher
+ * @param {{tick: (n?: number) => void}} [options.progress] - Told about each business once it is accounted for, see Progress
+ * @param {AbortSignal} [options.signal] - Stops the run once aborted
+ * @param {AbortSignal} [options.cancel] - Cancels the pool once aborted, see Pool
+ * @param {number} [options.maxFailures] - Failed businesses after which the run stops
+ * @param {import("./reviewCursors.mjs").ReviewCursors} [options.cursors] - Cursors for an incremental review sync, see importBatch
+ * @returns {Promise<Object>} Summary with created/updated/unchanged/skipped/failed counts, per-record errors, warnings by field as `warningsByField` and, for a run stopped early, the reason as `stopped`
+ * @throws {Error} If review cursors are given with pruning on
+ */
+export async function runImport(
+  businesses,
+  {
+    repo,
+    concurrency = cfg.behavior.concurrency,
+    batchSize = cfg.airtable.limits.batchSize,
+    tables = cfg.airtable.tables,
+    prune = cfg.behavior.pruneReviews,
+    mapper = defaultMapper,
+    checkpoint = null,
+    rejected = null,
+    audit = null,
+    enrich = createEnricher(),
+    progress = null,
+    signal = null,
+    cancel = null,
+    maxFailures = cfg.behavior.maxFailures,
+    cursors = null,
+  } = {}
+) {
+  // Pruning unlinks every review missing from the list synced, which with
+  // cursors is only the newest few
+  if (cursors && prune !== "off") {
+    throw new Error("Incremental review sync can't be combined with pruning");
+  }
+  const pool = new Pool(concurrency, {
+    signal: cancel,
+    maxFailures,
+    onProgress: (stats) => logger.debug("pool", stats),
+  });
+  const interrupt = () => pool.stop(signal.reason);
+  if (signal?.aborted) interrupt();
+  signal?.addEventListener("abort", interrupt, { once: true });
+  const summary = {
+    total: 0,
+    created: 0,
+    updated: 0,
+    unchanged: 0,
+    skipped: 0,
+    failed: 0,
+    resumed: 0,
+    warnings: 0,
+    warningsByField: {},
+    reviews: { created: 0, updated: 0, pruned: 0, failed: 0 },
+    errors: [],
+    stopped: null,
+  };
+
+  // Journal entries wait for the repository to persist the writes they vouch
+  // for, without holding up the batches that follow; a failed journal write
+  // surfaces once the run is over
+  let journal = Promise.resolve();
+  const journaled = (entries) => {
+    journal = journal
+      .then(() => repo.flushed?.())
+      .then(async () => {
+        for (const write of entries) await write();
+      });
+    journal.catch(() => {});
+  };
+
+  const record = async (batch, results, durationMs) => {
+    logger.debug("batch", { businesses: batch.length, durationMs });
+    const entries = [];
+    for (const [i, res] of results.entries()) {
+      progress?.tick();
+      if (res.error) {
+        logger.error("business failed", {
+          placeId: res.biz.placeId,
+          index: batch[i].index,
+          leadId: res.leadId,
+          error: res.error.message,
+        });
+        summary.failed++;
+        pool.fail();
+        summary.errors.push({
+          index: batch[i].index,
+          placeId: res.biz.placeId,
+          kind: "failed",
+          message: res.error.message,
+        });
+        entries.push(() =>
+          checkpoint.fail(res.biz.placeId, res.error.message, res.leadId)
+        );
+      } else {
+        summary[res.status]++;
+        await audit?.add(
+          tables.leads.name,
+          res.biz.placeId,
+          res.leadId,
+          res.changes
+        );
+        for (const op of Object.keys(summary.reviews)) {
+          summary.reviews[op] += res.reviews[op] ?? 0;
+        }
+        const { failures = [], ...counts } = res.reviews;
+        logger.debug("business imported", {
+          placeId: res.biz.placeId,
+          table: tables.leads.name,
+          operation: res.status,
+          leadId: res.leadId,
+          reviews: counts,
+        });
+        for (const { reviewId, error } of failures) {
+          logger.warn("review failed", {
+            placeId: res.biz.placeId,
+            table: tables.reviews.name,
+            reviewId,
+            error: error.message,
+          });
+          summary.errors.push({
+            index: batch[i].index,
+            placeId: res.biz.placeId,
+            kind: "review failed",
+            message: `review ${reviewId}: ${error.message}`,
+          });
+        }
+        // Journaled as failed so --retry-failed writes the missing reviews again
+        if (failures.length) {
+          entries.push(() =>
+            checkpoint.fail(
+              res.biz.placeId,
+              `${failures.length} reviews failed`,
+              res.leadId
+            )
+          );
+        } else {
+          cursors?.advance(res.biz);
+          entries.push(() =>
+            checkpoint.done(res.biz.placeId, res.leadId, counts)
+          );
+        }
+      }
+    }
+    if (checkpoint) journaled(entries);
+  };
+
+  const inflight = new Set();
+  const submit = async (batch) => {
+    const bizs = batch.map((item) => item.biz);
+    let started;
+    const task = pool
+      .run(
+        () => {
+          started = Date.now();
+          // Failures are counted per business by record(), not once more by
+          // the pool for the whole batch
+          return importBatch(repo, bizs, {
+            tables,
+            prune,
+            mapper,
+            cursors,
+          }).catch((error) => bizs.map((biz) => ({ biz, error })));
+        },
+        { key: bizs.map((biz) => biz.placeId) }
+      )
+      .then(
+        (results) => record(batch, results, Date.now() - started),
+        // The pool stopped before the batch started
+        (error) =>
+          record(
+            batch,
+            bizs.map((biz) => ({ biz, error })),
+            0
+          )
+      )
+      .then(() => inflight.delete(task));
+    inflight.add(task);
+    // Backpressure: stop reading input while every worker is busy
+    while (inflight.size >= concurrency) await Promise.race(inflight);
+  };
+
+  let batch = [];
+  for await (const biz of businesses) {
+    if (pool.stopped) break;
+    const index = summary.total++;
+    const issues = checkBiz(biz);
+    const errors = issues.filter((i) => i.level === "error");
+    if (errors.length) {
+      progress?.tick();
+      logger.warn("business skipped", {
+        placeId: biz?.placeId,
+        index,
+        issues: errors.map((e) => e.message),
+      });
+      summary.skipped++;
+      summary.errors.push({
+        index,
+        placeId: biz?.placeId,
+        kind: "skipped",
+        message: errors.map((e) => e.message).join("; "),
+      });
+      await rejected?.add(index, biz, issues);
+      continue;
+    }
+    for (const w of issues) {
+      logger.debug("business warning", {
+        placeId: biz.placeId,
+        index,
+        field: w.field,
+        message: w.message,
+      });
+      summary.warnings++;
+      // reviews[3].stars and reviews[7].stars are counted together
+      const field = w.field.replace(/\[\d+\]/g, "[]");
+      summary.warningsByField[field] ??= {
+        count: 0,
+        index,
+        placeId: biz.placeId,
+        message: w.message,
+      };
+      summary.warningsByField[field].count++;
+    }
+    if (checkpoint && !checkpoint.shouldImport(biz.placeId)) {
+      progress?.tick();
+      summary.resumed++;
+      continue;
+    }
+    batch.push({ biz: enrich(normalizeBiz(biz)), index });
+    if (batch.length >= batchSize) {
+      await submit(batch);
+      batch = [];
+    }
+  }
+  // Businesses of a batch that never started are left for --resume
+  if (pool.stopped) summary.total -= batch.length;
+  else if (batch.length) await submit(batch);
+  await Promise.all(inflight);
+  signal?.removeEventListener("abort", interrupt);
+  if (checkpoint) {
+    await repo.flush?.();
+    await journal;
+  }
+
+  summary.stopped = pool.stopReason?.message ?? null;
+  return summary;
+}
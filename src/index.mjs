@@ -0,0 +1,485 @@
+import { createWriteStream } from "node:fs";
+import { parseArgs } from "node:util";
+import { AuditLog } from "./audit.mjs";
+import { Checkpoint } from "./checkpoint.mjs";
+import { cfg } from "./config.mjs";
+import { countCopies, mergeDuplicates } from "./dedupe.mjs";
+import { DryRunRepo, formatPlan } from "./dryRunRepo.mjs";
+import { createEnricher } from "./enrich.mjs";
+import {
+  EXPORT_FORMATS,
+  leadFilter,
+  readSnapshot,
+  writeExport,
+} from "./export.mjs";
+import { runImport } from "./importer.mjs";
+import { loadColumns } from "./csv.mjs";
+import { INPUT_FORMATS, readBusinesses } from "./input.mjs";
+import { logger } from "./logger.mjs";
+import { MetaApi } from "./metaApi.mjs";
+import {
+  envProfile,
+  loadProfiles,
+  mapperFor,
+  pickProfiles,
+  profileDir,
+  profilePath,
+} from "./profiles.mjs";
+import { Progress } from "./progress.mjs";
+import { BACKENDS, createRepo } from "./repo.mjs";
+import { buildRunReport, writeRunReport } from "./report.mjs";
+import { ReviewCursors } from "./reviewCursors.mjs";
+import { PRUNE_MODES } from "./reviewSync.mjs";
+import { checkSchema, formatSchemaReport } from "./schema.mjs";
+import { RejectedReport } from "./validation.mjs";
+
+const USAGE =
+  "Usage: node src/index.mjs <leads.json|leads.jsonl|leads.csv> " +
+  `[--format <${INPUT_FORMATS.join("|")}>] [--columns <file>] ` +
+  "[--reviews <file>] [--dry-run [--lookup]] " +
+  `[--prune-reviews <${PRUNE_MODES.join("|")}>] ` +
+  "[--resume | --retry-failed] [--incremental] [--state-dir <dir>] " +
+  "[--mapping <file>] [--rejected <file>] [--audit-log <file>] " +
+  "[--log-file <file>] [--report <file>] [--max-failures <n>] " +
+  "[--profile <name>[,<name>...]] [--profiles <file>]\n" +
+  "       node src/index.mjs schema check [--apply] [--mapping <file>] " +
+  "[--profile <name>[,<name>...]] [--profiles <file>]\n" +
+  "       node src/index.mjs export <out> " +
+  `[--format <${EXPORT_FORMATS.join("|")}>] [--since <date>] ` +
+  "[--until <date>] [--category <name>] [--mapping <file>] " +
+  "[--profile <name>[,<name>...]] [--profiles <file>]";
+
+/**
+ * Prints the end-of-run summary, one line per failed or skipped record and one
+ * per field warnings were raised about, with its first example
+ * @param {Object} summary - Summary returned by runImport
+ */
+function printSummary(summary) {
+  for (const err of summary.errors) {
+    console.error(
+      `${err.kind}: #${err.index} placeId=${err.placeId ?? "?"} - ${
+        err.message
+      }`
+    );
+  }
+  for (const [field, w] of Object.entries(summary.warningsByField)) {
+    console.error(
+      `warning: ${field} in ${w.count} places, first #${w.index} ` +
+        `placeId=${w.placeId ?? "?"} - ${w.message}`
+    );
+  }
+  console.log(
+    `Processed ${summary.total} businesses: ` +
+      `${summary.created} created, ${summary.updated} updated, ` +
+      `${summary.unchanged} unchanged, ` +
+      `${summary.skipped} skipped, ${summary.failed} failed, ` +
+      `${summary.warnings} warnings, ` +
+      `${summary.resumed} done in an earlier run ` +
+      `(reviews: ${summary.reviews.created} created, ` +
+      `${summary.reviews.updated} updated, ${summary.reviews.pruned} pruned, ` +
+      `${summary.reviews.failed} failed)`
+  );
+  if (summary.stopped) {
+    console.log(
+      `Stopped early (${summary.stopped}); run again with --resume to import the rest`
+    );
+  }
+}
+
+/**
+ * `schema check [--apply]`: compares the base schema with the mapping and
+ * optionally creates the missing tables and fields, for each profile
+ * @param {string[]} args - Positionals after "schema"
+ * @param {Object} values - Parsed options
+ * @param {import("./profiles.mjs").Profile[]} profiles - Profiles to check
+ * @returns {Promise<number>} Exit code, 1 while issues remain
+ */
+async function schemaCommand(args, values, profiles) {
+  if (args.length !== 1 || args[0] !== "check") {
+    console.error(USAGE);
+    return 2;
+  }
+  if (!checkCredentials(profiles)) return 2;
+  let code = 0;
+  for (const profile of profiles) {
+    if (profile.name) console.log(`== ${profile.name} ==`);
+    const result = await checkSchema({
+      meta: new MetaApi(profile),
+      mapper: await mapperFor(profile),
+      tables: profile.tables,
+      apply: values.apply,
+    });
+    console.log(formatSchemaReport(result));
+    if (result.issues.length) code = 1;
+  }
+  return code;
+}
+
+/**
+ * `export <out>`: writes the leads of each profile with their reviews, as
+ * scrape JSON that can be imported again or as CSV files
+ * @param {string[]} args - Positionals after "export"
+ * @param {Object} values - Parsed options
+ * @param {import("./profiles.mjs").Profile[]} profiles - Profiles to export
+ * @returns {Promise<number>} Exit code
+ */
+async function exportCommand(args, values, profiles) {
+  const format = values.format ?? "json";
+  const [since, until] = [values.since, values.until].map((v) =>
+    v ? new Date(v) : null
+  );
+  if (
+    args.length !== 1 ||
+    !EXPORT_FORMATS.includes(format) ||
+    [since, until].some((d) => d && Number.isNaN(d.getTime()))
+  ) {
+    console.error(USAGE);
+    return 2;
+  }
+  const { backend } = cfg.storage;
+  if (!BACKENDS.includes(backend)) {
+    console.error(`STORAGE_BACKEND must be one of ${BACKENDS.join(", ")}`);
+    return 2;
+  }
+  if (backend === "airtable" && !checkCredentials(profiles)) return 2;
+  for (const profile of profiles) {
+    if (profile.name) console.log(`== ${profile.name} ==`);
+    const mapper = await mapperFor(profile);
+    const repo = createRepo(backend, {
+      ...profile,
+      dir: profileDir(cfg.storage.dir, profile),
+    });
+    const out =
+      format === "csv"
+        ? profileDir(args[0], profile)
+        : profilePath(args[0], profile);
+    try {
+      const snapshot = await readSnapshot(repo, {
+        tables: profile.tables,
+        filter: leadFilter({ since, until, category: values.category, mapper }),
+      });
+      const { leads, reviews, files } = await writeExport(snapshot, {
+        out,
+        format,
+        tables: profile.tables,
+        mapper,
+      });
+      console.log(
+        `Exported ${leads} leads and ${reviews} reviews to ${files.join(", ")}`
+      );
+    } finally {
+      await repo.close?.();
+    }
+  }
+  return 0;
+}
+
+/**
+ * Makes sure every profile has Airtable credentials, printing the ones missing
+ * @param {import("./profiles.mjs").Profile[]} profiles - Profiles to check
+ * @returns {boolean} True when all of them do
+ */
+function checkCredentials(profiles) {
+  let ok = true;
+  for (const { name, baseId, token } of profiles) {
+    if (baseId && token) continue;
+    console.error(
+      name
+        ? `Profile "${name}" needs a base ID and a token`
+        : "AIRTABLE and AIRTABLE_TOKEN must be set"
+    );
+    ok = false;
+  }
+  return ok;
+}
+
+/**
+ * Imports the input into one profile, then prints and writes its results
+ * @param {import("./profiles.mjs").Profile} profile - Where to import
+ * @param {Object} run - Settings shared by every profile of the run
+ * @returns {Promise<number>} Exit code, 1 when a business or a review failed
+ */
+async function importProfile(profile, run) {
+  const { file, values, input, copies, total, mapper, enrich } = run;
+  const startedAt = new Date();
+  const log = profile.name ? logger.child({ profile: profile.name }) : logger;
+  log.info("import started", {
+    input: file,
+    backend: run.backend,
+    dryRun: values["dry-run"],
+  });
+
+  const options = {
+    ...profile,
+    logger: log,
+    signal: run.cancel,
+    dir: profileDir(cfg.storage.dir, profile),
+  };
+  const repo = values["dry-run"]
+    ? new DryRunRepo({
+        reader: values.lookup ? createRepo(run.backend, options) : null,
+      })
+    : createRepo(run.backend, options);
+  // A dry run writes nothing, so there is no progress worth journaling
+  const checkpoint = values["dry-run"]
+    ? null
+    : await Checkpoint.forInput(file, {
+        dir: profileDir(values["state-dir"], profile),
+        mode: run.resumeMode,
+      });
+  // Cursors only move on writes, so a dry run compares every review
+  const cursors =
+    values.incremental && !values["dry-run"]
+      ? await ReviewCursors.open(profileDir(values["state-dir"], profile))
+      : null;
+
+  // The live progress line is only drawn on a terminal, with log lines above it
+  const progress = process.stderr.isTTY ? new Progress({ total }) : null;
+  if (progress && !run.logFile) logger.configure({ stream: progress });
+
+  const rejected = await RejectedReport.create(
+    profilePath(values.rejected, profile)
+  );
+  // Nothing is changed in a dry run, so there is no history to record
+  const audit =
+    values["audit-log"] && !values["dry-run"]
+      ? await AuditLog.open(profilePath(values["audit-log"], profile))
+      : null;
+  let summary;
+  try {
+    summary = await runImport(
+      mergeDuplicates(readBusinesses(file, input), copies),
+      {
+        repo,
+        tables: profile.tables,
+        prune: run.prune,
+        mapper,
+        checkpoint,
+        rejected,
+        audit,
+        enrich,
+        progress,
+        signal: run.stop,
+        cancel: run.cancel,
+        maxFailures: run.maxFailures,
+        cursors,
+      }
+    );
+  } finally {
+    progress?.finish();
+    if (progress && !run.logFile) logger.configure({ stream: process.stderr });
+    await checkpoint?.close();
+    await cursors?.close();
+    await rejected.close();
+    await audit?.close();
+    await repo.close?.();
+  }
+  if (values["dry-run"]) console.log(`${formatPlan(repo.plan())}\n`);
+  printSummary(summary);
+  const limiter = (repo.reader ?? repo).limiter;
+  if (limiter) {
+    const { requests, waitedMs, throttles } = limiter.stats();
+    console.log(
+      `Airtable: ${requests} requests, ${(waitedMs / 1000).toFixed(1)}s ` +
+        `waiting for the rate limit, ${throttles} throttled (429)`
+    );
+  }
+  if (rejected.count) {
+    console.log(
+      `${rejected.count} rejected records written to ${rejected.path}`
+    );
+  }
+  if (audit?.count) {
+    console.log(`${audit.count} field changes logged to ${audit.path}`);
+  }
+
+  const report = buildRunReport(summary, {
+    startedAt,
+    input: file,
+    dryRun: values["dry-run"],
+    api: limiter?.stats(),
+    tables: profile.tables,
+  });
+  await writeRunReport(profilePath(values.report, profile), report);
+  log.info("import finished", {
+    ...report.businesses,
+    wallTimeMs: report.wallTimeMs,
+  });
+  return summary.failed || summary.reviews.failed ? 1 : 0;
+}
+
+async function main(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      "dry-run": { type: "boolean", default: false },
+      lookup: { type: "boolean", default: false },
+      "prune-reviews": { type: "string", default: cfg.behavior.pruneReviews },
+      resume: { type: "boolean", default: false },
+      "retry-failed": { type: "boolean", default: false },
+      incremental: {
+        type: "boolean",
+        default: cfg.behavior.incrementalReviews,
+      },
+      "state-dir": { type: "string", default: ".import-state" },
+      mapping: { type: "string", default: cfg.mapping.file },
+      rejected: { type: "string", default: "rejected.json" },
+      "audit-log": { type: "string", default: cfg.behavior.auditLog },
+      apply: { type: "boolean", default: false },
+      format: { type: "string" },
+      columns: { type: "string" },
+      reviews: { type: "string" },
+      "log-file": { type: "string", default: cfg.logging.file },
+      report: { type: "string", default: cfg.logging.report },
+      "max-failures": {
+        type: "string",
+        default: String(cfg.behavior.maxFailures),
+      },
+      profile: { type: "string", multiple: true },
+      profiles: { type: "string", default: cfg.profiles.file },
+      since: { type: "string" },
+      until: { type: "string" },
+      category: { type: "string" },
+    },
+  });
+  // JSON log lines go to stderr until the progress line, if any, is set up
+  logger.configure({ level: cfg.logging.level, stream: process.stderr });
+  // --mapping applies to profiles that don't name a mapping of their own
+  const profiles = (
+    values.profile
+      ? pickProfiles(await loadProfiles(values.profiles), values.profile)
+      : [envProfile()]
+  ).map((p) => ({ ...p, mapping: p.mapping ?? values.mapping ?? null }));
+  if (positionals[0] === "schema") {
+    return schemaCommand(positionals.slice(1), values, profiles);
+  }
+  if (positionals[0] === "export") {
+    return exportCommand(positionals.slice(1), values, profiles);
+  }
+  const [file] = positionals;
+  const prune = values["prune-reviews"];
+  const resumeMode = values.resume
+    ? "resume"
+    : values["retry-failed"]
+    ? "retry-failed"
+    : null;
+  const maxFailures = Number(values["max-failures"]);
+  if (
+    !file ||
+    !PRUNE_MODES.includes(prune) ||
+    !(maxFailures > 0) ||
+    (values.format && !INPUT_FORMATS.includes(values.format)) ||
+    (values.resume && values["retry-failed"])
+  ) {
+    console.error(USAGE);
+    return 2;
+  }
+  if (values.incremental && prune !== "off") {
+    console.error("--incremental can't be combined with --prune-reviews");
+    return 2;
+  }
+  const { backend } = cfg.storage;
+  if (!BACKENDS.includes(backend)) {
+    console.error(`STORAGE_BACKEND must be one of ${BACKENDS.join(", ")}`);
+    return 2;
+  }
+  // A dry run without lookups never reads the backend, so it needs no credentials
+  const needsAirtable =
+    backend === "airtable" && (!values["dry-run"] || values.lookup);
+  if (needsAirtable && !checkCredentials(profiles)) return 2;
+
+  const logFile = values["log-file"]
+    ? createWriteStream(values["log-file"], { flags: "a" })
+    : null;
+  if (logFile) logger.configure({ stream: logFile });
+
+  // Load the mappings and score weights before touching any data, so a bad
+  // profile or LEAD_SCORE_WEIGHTS fails fast
+  const mappers = await Promise.all(profiles.map(mapperFor));
+  const enrich = createEnricher();
+  const input = {
+    format: values.format,
+    columns: values.columns ? await loadColumns(values.columns) : {},
+    reviewsPath: values.reviews,
+  };
+
+  // Overlapping searches put the same business in a scrape several times; a first
+  // pass finds those so their copies are merged before anything is written
+  // Only placeIds are needed here, so the reviews file isn't read for this pass
+  let records = 0;
+  const copies = await countCopies(
+    counting(readBusinesses(file, { ...input, reviewsPath: null }))
+  );
+  let extra = 0;
+  for (const n of copies.values()) extra += n - 1;
+  if (copies.size) {
+    console.log(
+      `Merged ${extra} duplicate records into ${copies.size} businesses`
+    );
+  }
+  async function* counting(iterable) {
+    for await (const item of iterable) {
+      records++;
+      yield item;
+    }
+  }
+
+  // Ctrl+C stops reading input and lets the batches in flight finish, so the
+  // journal is ready for --resume; a second Ctrl+C aborts their requests too
+  const stop = new AbortController();
+  const cancel = new AbortController();
+  const onSigint = () => {
+    if (stop.signal.aborted) {
+      cancel.abort(new Error("Aborted"));
+      return;
+    }
+    console.error(
+      "\nInterrupted: finishing the batches in flight (Ctrl+C again to abort them)"
+    );
+    stop.abort(new Error("Interrupted"));
+  };
+  process.on("SIGINT", onSigint);
+
+  // Each profile reads the input again, so fanning out to several of them
+  // doesn't hold the input in memory
+  let code = 0;
+  try {
+    for (const [i, profile] of profiles.entries()) {
+      if (stop.signal.aborted) break;
+      if (profile.name) console.log(`== ${profile.name} ==`);
+      const result = await importProfile(profile, {
+        file,
+        values,
+        backend,
+        input,
+        copies,
+        total: records - extra,
+        mapper: mappers[i],
+        enrich,
+        prune,
+        resumeMode,
+        logFile,
+        maxFailures,
+        stop: stop.signal,
+        cancel: cancel.signal,
+      });
+      code = Math.max(code, result);
+    }
+  } finally {
+    process.off("SIGINT", onSigint);
+    if (logFile) await new Promise((resolve) => logFile.end(resolve));
+  }
+  // 130 is the usual exit code of a process ended by SIGINT
+  return stop.signal.aborted ? 130 : code;
+}
+
+main(process.argv.slice(2)).then(
+  (code) => {
+    process.exitCode = code;
+  },
+  (err) => {
+    console.error(err);
+    process.exitCode = 1;
+  }
+);
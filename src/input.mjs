@@ -0,0 +1,206 @@
+import { createReadStream } from "node:fs";
+import { open } from "node:fs/promises";
+import { extname } from "node:path";
+import { createInterface } from "node:readline";
+import { csvRecords, parseCsv } from "./csv.mjs";
+
+const isSpace = (c) => c === " " || c === "\n" || c === "\r" || c === "\t";
+
+/**
+ * Stream-parses a top-level JSON array, yielding one element at a time
+ * Only the element being read is held in memory, so the size of the whole
+ * array doesn't matter; each element is handed to JSON.parse on its own
+ * @param {AsyncIterable<string>} chunks - Text chunks, e.g. a utf8 read stream
+ * @yields {any} Parsed array elements, in order
+ * @throws {Error} If the input is not a single, complete JSON array
+ */
+export async function* parseJsonArray(chunks) {
+  let level = 0; // 0 = outside the array, 1 = between elements
+  let inString = false;
+  let escaped = false;
+  let inElement = false;
+  let closed = false;
+  let started = false;
+  let parts = [];
+
+  for await (const chunk of chunks) {
+    let start = 0;
+    for (let i = 0; i < chunk.length; i++) {
+      const c = chunk[i];
+      // Files saved by some Windows tools start with a byte order mark
+      if (!started) {
+        started = true;
+        if (c === "\uFEFF") continue;
+      }
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (c === "\\") escaped = true;
+        else if (c === '"') inString = false;
+        continue;
+      }
+      if (closed || level === 0) {
+        if (isSpace(c)) continue;
+        if (closed) throw new Error("Unexpected data after the JSON array");
+        if (c !== "[") throw new Error("Expected a top-level JSON array");
+        level = 1;
+        continue;
+      }
+      if (level === 1 && (c === "," || c === "]")) {
+        if (inElement) {
+          parts.push(chunk.slice(start, i));
+          yield JSON.parse(parts.join(""));
+          parts = [];
+          inElement = false;
+        }
+        if (c === "]") closed = true;
+        continue;
+      }
+      if (level === 1 && !inElement) {
+        if (isSpace(c)) continue;
+        inElement = true;
+        start = i;
+      }
+      if (c === '"') inString = true;
+      else if (c === "{" || c === "[") level++;
+      else if (c === "}" || c === "]") level--;
+    }
+    if (inElement) parts.push(chunk.slice(start));
+  }
+  if (!closed) throw new Error("Unexpected end of the JSON array");
+}
+
+/**
+ * Parses JSON Lines input, one value per non-empty line
+ * @param {AsyncIterable<string>|import("node:stream").Readable} input - Readable text stream
+ * @yields {any} Parsed values, in order
+ * @throws {Error} If a line is not valid JSON, naming the line number
+ */
+export async function* parseJsonLines(input) {
+  let lineNo = 0;
+  for await (const line of createInterface({ input, crlfDelay: Infinity })) {
+    lineNo++;
+    const text = lineNo === 1 ? line.replace(/^\uFEFF/, "") : line;
+    if (!text.trim()) continue;
+    try {
+      yield JSON.parse(text);
+    } catch (e) {
+      throw new Error(`Invalid JSON on line ${lineNo}: ${e.message}`);
+    }
+  }
+}
+
+/**
+ * Detects the format of an input file: a ".csv" name, or else its first character
+ * ("[" for a JSON array, "{" for JSON Lines, anything else for a CSV header)
+ * @param {string} path - Path to the input file
+ * @returns {Promise<"json"|"jsonl"|"csv">} Detected format
+ */
+export async function detectFormat(path) {
+  if (extname(path).toLowerCase() === ".csv") return "csv";
+  const fh = await open(path, "r");
+  try {
+    const { buffer, bytesRead } = await fh.read({
+      buffer: Buffer.alloc(4096),
+    });
+    const first = buffer
+      .toString("utf8", 0, bytesRead)
+      .replace(/^\uFEFF/, "")
+      .trimStart()[0];
+    if (first === "[") return "json";
+    return first === "{" || first === undefined ? "jsonl" : "csv";
+  } finally {
+    await fh.close();
+  }
+}
+
+export const INPUT_FORMATS = ["json", "jsonl", "csv"];
+
+/**
+ * Streams the records of one input file without loading it in memory
+ * @param {string} path - Path to the input file
+ * @param {Object} [options]
+ * @param {"json"|"jsonl"|"csv"} [options.format] - Input format, detected from the file when omitted
+ * @param {"leads"|"reviews"} [options.table="leads"] - What a CSV row describes, for its column types
+ * @param {Object} [options.columns] - CSV column mapping for that table, see loadColumns
+ * @yields {Object} Records, in file order
+ * @throws {Error} If the format is unknown
+ */
+export async function* readRecords(
+  path,
+  { format, table = "leads", columns } = {}
+) {
+  format ??= await detectFormat(path);
+  if (!INPUT_FORMATS.includes(format)) {
+    throw new Error(`Unknown input format "${format}"`);
+  }
+  const stream = createReadStream(path, { encoding: "utf8" });
+  try {
+    if (format === "json") yield* parseJsonArray(stream);
+    else if (format === "jsonl") yield* parseJsonLines(stream);
+    else yield* csvRecords(parseCsv(stream), { table, columns });
+  } finally {
+    stream.destroy();
+  }
+}
+
+/**
+ * Reads a reviews file and groups its reviews by the placeId of their business
+ * The whole file is held in memory, as reviews can come in any order
+ * @param {string} path - Path to the reviews file
+ * @param {Object} [options]
+ * @param {"json"|"jsonl"|"csv"} [options.format] - Input format, detected from the file when omitted
+ * @param {Object} [options.columns] - CSV column mapping for reviews
+ * @returns {Promise<Map<string, Array<Object>>>} placeId -> reviews, without their placeId
+ */
+export async function groupReviews(path, { format, columns } = {}) {
+  const byPlace = new Map();
+  for await (const r of readRecords(path, {
+    format,
+    table: "reviews",
+    columns,
+  })) {
+    if (!r || typeof r !== "object" || r.placeId == null) continue;
+    const { placeId, ...review } = r;
+    const key = String(placeId);
+    if (!byPlace.has(key)) byPlace.set(key, []);
+    byPlace.get(key).push(review);
+  }
+  return byPlace;
+}
+
+/**
+ * Streams the businesses of a scrape export in the canonical shape the import
+ * expects, whatever the format it came in
+ * Supports a top-level JSON array, JSONL (one business per line) and CSV, and
+ * reviews either embedded in each business or in a separate file of reviews
+ * carrying the placeId of their business. Reviews from the separate file are
+ * added to the business's embedded ones; businesses with none keep their
+ * `reviews` as they are
+ * @param {string} path - Path to the input file
+ * @param {Object} [options]
+ * @param {"json"|"jsonl"|"csv"} [options.format] - Input format, detected from the file when omitted
+ * @param {{leads?: Object, reviews?: Object}} [options.columns] - CSV column mappings, see loadColumns
+ * @param {string} [options.reviewsPath] - Separate reviews file, in any supported format
+ * @yields {Object} Business records, in file order
+ */
+export async function* readBusinesses(
+  path,
+  { format, columns = {}, reviewsPath } = {}
+) {
+  const reviews = reviewsPath
+    ? await groupReviews(reviewsPath, { columns: columns.reviews })
+    : null;
+  for await (const biz of readRecords(path, {
+    format,
+    columns: columns.leads,
+  })) {
+    const own =
+      biz && typeof biz === "object" && reviews?.get(String(biz.placeId));
+    if (!own) {
+      yield biz;
+      continue;
+    }
+    const embedded = Array.isArray(biz.reviews) ? biz.reviews : [];
+    yield { ...biz, reviews: [...embedded, ...own] };
+  }
+}
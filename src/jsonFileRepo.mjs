@@ -0,0 +1,411 @@
+import { randomBytes } from "node:crypto";
+import { mkdir, readFile, rename, writeFile } from "node:fs/promises";
+import { join } from "node:path";
+import { cfg } from "./config.mjs";
+
+/**
+ * Generates a record ID shaped like Airtable's ("rec" + 14 characters)
+ * @returns {string} New record ID
+ */
+const newId = () => `rec${randomBytes(7).toString("hex")}`;
+
+/**
+ * Normalizes a link field value to an array of record IDs
+ * Accepts the write format (`[{ id }]`) as well as the read format (`["rec..."]`)
+ * @param {any} v - Link field value
+ * @returns {string[]|null} Linked record IDs
+ */
+const linkIds = (v) =>
+  Array.isArray(v)
+    ? v.map((x) => (typeof x === "string" ? x : x?.id)).filter(Boolean)
+    : null;
+
+const isEmpty = (v) =>
+  v == null || v === "" || (Array.isArray(v) && v.length === 0);
+
+const addToIndex = (idx, value, id) => {
+  if (isEmpty(value)) return;
+  const ids = idx.get(String(value));
+  if (ids) ids.push(id);
+  else idx.set(String(value), [id]);
+};
+
+const removeFromIndex = (idx, value, id) => {
+  if (isEmpty(value)) return;
+  const ids = idx.get(String(value))?.filter((x) => x !== id);
+  if (ids?.length) idx.set(String(value), ids);
+  else idx.delete(String(value));
+};
+
+/**
+ * Repository keeping each table in a local JSON file, `<dir>/<table>.json`
+ * Lets the pipeline run offline, for analysis or tests, with the same record
+ * shapes as Airtable: leads and reviews stay linked, and the lead's inverse
+ * reviews field is kept up to date as reviews are linked, unlinked or deleted
+ *
+ * Tables are held in memory and written back at most every flushIntervalMs and
+ * on close(), so close() must be called once the run is over; flushed() tells
+ * when the writes made so far have reached the disk
+ * @implements {import("./repo.mjs").Repository}
+ */
+export class JsonFileRepo {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.dir] - Directory holding the table files, defaults to cfg.storage.dir
+   * @param {Object} [options.tables] - Table settings, defaults to cfg.airtable.tables
+   * @param {number} [options.flushIntervalMs=5000] - Minimum time between writes to disk
+   */
+  constructor({
+    dir = cfg.storage.dir,
+    tables = cfg.airtable.tables,
+    flushIntervalMs = 5000,
+  } = {}) {
+    this.dir = dir;
+    // Each review links to one lead; the lead lists its reviews in an inverse field
+    this.links = [
+      {
+        table: tables.reviews.name,
+        field: tables.reviews.linkToLeadField,
+        target: tables.leads.name,
+        inverse: tables.leads.reviewsField,
+      },
+    ];
+    this.flushIntervalMs = flushIntervalMs;
+    this.loading = new Map(); // table -> Promise of its store
+    this.loaded = new Map(); // table -> { records, indexes, dirty }
+    this.lastFlush = Date.now();
+    this.saving = Promise.resolve();
+    this.waiting = null; // { promise, resolve, reject } settled by the next flush
+  }
+
+  pathOf(table) {
+    return join(this.dir, `${table}.json`);
+  }
+
+  /**
+   * Loads a table from disk, once
+   * @param {string} table - Table name
+   * @returns {Promise<Object>} The table's store
+   */
+  async store(table) {
+    if (!this.loading.has(table)) this.loading.set(table, this.load(table));
+    return this.loading.get(table);
+  }
+
+  async load(table) {
+    const store = { records: new Map(), indexes: new Map(), dirty: false };
+    let text = null;
+    try {
+      text = await readFile(this.pathOf(table), "utf8");
+    } catch (e) {
+      if (e.code !== "ENOENT") throw e;
+    }
+    try {
+      for (const rec of text === null ? [] : JSON.parse(text)) {
+        store.records.set(rec.id, rec);
+      }
+    } catch (e) {
+      throw new Error(`${this.pathOf(table)}: ${e.message}`);
+    }
+    this.loaded.set(table, store);
+    return store;
+  }
+
+  /**
+   * Loads a table along with the tables it links to or is linked from
+   * @param {string} table - Table name
+   * @returns {Promise<Object>} The table's store
+   */
+  async open(table) {
+    for (const link of this.links) {
+      if (link.table === table) await this.store(link.target);
+      if (link.target === table) await this.store(link.table);
+    }
+    return this.store(table);
+  }
+
+  isLinkField(table, field) {
+    return this.links.some(
+      (l) =>
+        (l.table === table && l.field === field) ||
+        (l.target === table && l.inverse === field)
+    );
+  }
+
+  /**
+   * Returns the value -> record IDs index of a field, building it on first use
+   * @param {Object} store - Table store
+   * @param {string} field - Field name
+   * @returns {Map<string, string[]>} Index
+   */
+  index(store, field) {
+    let idx = store.indexes.get(field);
+    if (!idx) {
+      idx = new Map();
+      for (const rec of store.records.values()) {
+        addToIndex(idx, rec.fields[field], rec.id);
+      }
+      store.indexes.set(field, idx);
+    }
+    return idx;
+  }
+
+  /**
+   * Creates, updates or deletes one record of a loaded table, keeping the
+   * indexes and the linked tables' inverse fields in step
+   * Like Airtable, null and empty values clear a field rather than being stored
+   * @param {string} table - Table name
+   * @param {string} id - Record ID
+   * @param {Object|null} fields - Fields to set, or null to delete the record
+   * @returns {Object|null} The record as written, null when deleted
+   */
+  apply(table, id, fields) {
+    const store = this.loaded.get(table);
+    const before = store.records.get(id) ?? null;
+    let after = null;
+    if (fields) {
+      after = before
+        ? { ...before, fields: { ...before.fields } }
+        : { id, createdTime: new Date().toISOString(), fields: {} };
+      for (const [field, value] of Object.entries(fields)) {
+        const v = this.isLinkField(table, field) ? linkIds(value) : value;
+        if (isEmpty(v)) delete after.fields[field];
+        else after.fields[field] = v;
+      }
+      store.records.set(id, after);
+    } else {
+      store.records.delete(id);
+    }
+    for (const [field, idx] of store.indexes) {
+      removeFromIndex(idx, before?.fields[field], id);
+      addToIndex(idx, after?.fields[field], id);
+    }
+    store.dirty = true;
+
+    for (const link of this.links) {
+      if (link.table === table) {
+        const was = before?.fields[link.field] ?? [];
+        const now = after?.fields[link.field] ?? [];
+        for (const t of was.filter((x) => !now.includes(x))) {
+          this.editLinks(link.target, t, link.inverse, (ids) =>
+            ids.filter((x) => x !== id)
+          );
+        }
+        for (const t of now.filter((x) => !was.includes(x))) {
+          this.editLinks(link.target, t, link.inverse, (ids) => [...ids, id]);
+        }
+      }
+      // Deleting a record removes it from every record linking to it
+      if (link.target === table && !after) {
+        for (const src of before?.fields[link.inverse] ?? []) {
+          this.editLinks(link.table, src, link.field, (ids) =>
+            ids.filter((x) => x !== id)
+          );
+        }
+      }
+    }
+    return after;
+  }
+
+  editLinks(table, id, field, edit) {
+    const store = this.loaded.get(table);
+    const rec = store?.records.get(id);
+    if (!rec) return;
+    const ids = edit(rec.fields[field] ?? []);
+    rec.fields = { ...rec.fields };
+    if (ids.length) rec.fields[field] = ids;
+    else delete rec.fields[field];
+    store.indexes.delete(field);
+    store.dirty = true;
+  }
+
+  /**
+   * Throws unless every ID exists, so a batch fails as a whole like on Airtable
+   * @param {Object} store - Table store
+   * @param {string} table - Table name
+   * @param {string[]} ids - Record IDs
+   */
+  assertExists(store, table, ids) {
+    const missing = ids.find((id) => !store.records.has(id));
+    if (missing) throw new Error(`Record ${missing} not found in ${table}`);
+  }
+
+  async *listAll(table, { filterByFormula, fields, maxRecords } = {}) {
+    if (filterByFormula) {
+      throw new Error("JsonFileRepo can't evaluate filterByFormula");
+    }
+    const store = await this.open(table);
+    let count = 0;
+    for (const rec of [...store.records.values()]) {
+      if (maxRecords && ++count > maxRecords) {
+        throw new Error(`Listing ${table} exceeded maxRecords=${maxRecords}`);
+      }
+      const picked = fields
+        ? Object.fromEntries(
+            fields.filter((f) => f in rec.fields).map((f) => [f, rec.fields[f]])
+          )
+        : rec.fields;
+      yield structuredClone({ ...rec, fields: picked });
+    }
+  }
+
+  async findAllByField(table, field, value) {
+    const store = await this.open(table);
+    const ids = this.index(store, field).get(String(value)) ?? [];
+    return ids.map((id) => structuredClone(store.records.get(id)));
+  }
+
+  async findOneByField(table, field, value) {
+    const all = await this.findAllByField(table, field, value);
+    if (all.length > 1 && cfg.behavior.strictDuplicates) {
+      throw new Error(
+        `Duplicate ${table} where ${field}="${value}" (${all.length} found)`
+      );
+    }
+    return all[0] || null;
+  }
+
+  async createMany(table, records) {
+    await this.open(table);
+    const succeeded = records.map((r) =>
+      structuredClone(this.apply(table, newId(), r.fields))
+    );
+    await this.maybeFlush();
+    return { succeeded, failed: [] };
+  }
+
+  async updateMany(table, records) {
+    const store = await this.open(table);
+    const succeeded = [];
+    const failed = [];
+    for (const record of records) {
+      if (store.records.has(record.id)) {
+        succeeded.push(
+          structuredClone(this.apply(table, record.id, record.fields))
+        );
+      } else {
+        const error = new Error(`Record ${record.id} not found in ${table}`);
+        failed.push({ record, error });
+      }
+    }
+    await this.maybeFlush();
+    return { succeeded, failed };
+  }
+
+  async getRecord(table, id) {
+    const store = await this.open(table);
+    this.assertExists(store, table, [id]);
+    return structuredClone(store.records.get(id));
+  }
+
+  async deleteMany(table, ids) {
+    const store = await this.open(table);
+    this.assertExists(store, table, ids);
+    for (const id of ids) this.apply(table, id, null);
+    await this.maybeFlush();
+    return ids.map((id) => ({ id, deleted: true }));
+  }
+
+  async upsertByKey(table, keyField, fields) {
+    const keyVal = fields[keyField];
+    if (!keyVal) throw new Error(`Upsert missing ${keyField}`);
+
+    const existing = await this.findOneByField(table, keyField, keyVal);
+    const id = existing ? existing.id : newId();
+    this.apply(table, id, fields);
+    await this.maybeFlush();
+    return { id, created: !existing };
+  }
+
+  async upsertManyByKey(table, keyField, records) {
+    // Same contract as Airtable: the last copy of a key wins
+    const byKey = new Map();
+    for (const fields of records) {
+      const keyVal = fields[keyField];
+      if (!keyVal) throw new Error(`Upsert missing ${keyField}`);
+      byKey.set(String(keyVal), fields);
+    }
+
+    const out = new Map();
+    for (const [key, fields] of byKey) {
+      out.set(key, await this.upsertByKey(table, keyField, fields));
+    }
+    return out;
+  }
+
+  async findRecordsByKeys(table, keyField, keys, { withFields = false } = {}) {
+    const store = await this.open(table);
+    const idx = this.index(store, keyField);
+    const map = new Map();
+    for (const key of keys.filter(Boolean)) {
+      const ids = idx.get(String(key));
+      if (!ids) continue;
+      const rec = store.records.get(ids[ids.length - 1]);
+      map.set(
+        String(key),
+        withFields
+          ? { id: rec.id, fields: structuredClone(rec.fields) }
+          : rec.id
+      );
+    }
+    return map;
+  }
+
+  async maybeFlush() {
+    if (Date.now() - this.lastFlush >= this.flushIntervalMs) await this.flush();
+  }
+
+  /**
+   * Waits until every change made so far is on disk, which takes until the
+   * next flush when some aren't yet
+   * @returns {Promise<void>} Settled once they are, rejected if the flush failed
+   */
+  flushed() {
+    // Tables stop being dirty as a flush starts writing them
+    if (![...this.loaded.values()].some((store) => store.dirty)) {
+      return this.saving;
+    }
+    if (!this.waiting) {
+      const waiting = {};
+      waiting.promise = new Promise((resolve, reject) => {
+        Object.assign(waiting, { resolve, reject });
+      });
+      this.waiting = waiting;
+    }
+    return this.waiting.promise;
+  }
+
+  /**
+   * Writes every changed table back to its file
+   * Each file is replaced atomically, so a crash never leaves it half-written
+   */
+  async flush() {
+    this.lastFlush = Date.now();
+    const waiting = this.waiting;
+    this.waiting = null;
+    this.saving = this.saving
+      .catch(() => {})
+      .then(async () => {
+        await mkdir(this.dir, { recursive: true });
+        for (const [table, store] of this.loaded) {
+          if (!store.dirty) continue;
+          store.dirty = false;
+          const path = this.pathOf(table);
+          const lines = [...store.records.values()].map((r) =>
+            JSON.stringify(r)
+          );
+          await writeFile(
+            `${path}.tmp`,
+            lines.length ? `[\n${lines.join(",\n")}\n]\n` : "[]\n"
+          );
+          await rename(`${path}.tmp`, path);
+        }
+      });
+    this.saving.then(waiting?.resolve, waiting?.reject);
+    return this.saving;
+  }
+
+  async close() {
+    await this.flush();
+  }
+}
@@ -0,0 +1,90 @@
+export const LOG_LEVELS = ["debug", "info", "warn", "error"];
+
+/**
+ * Structured logger writing one JSON object per line:
+ * `{ time, level, msg, ...fields }`
+ * Child loggers add their fields to every line and share their parent's level
+ * and stream, so configuring the root logger configures them all
+ */
+export class Logger {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.level="info"] - Lowest level written, one of LOG_LEVELS
+   * @param {{write: (text: string) => any}|null} [options.stream] - Where lines go; null discards them
+   */
+  constructor({ level = "info", stream = null } = {}) {
+    this.root = this;
+    this.fields = {};
+    this.configure({ level, stream });
+  }
+
+  /**
+   * Changes the level and stream of this logger and every child of it
+   * @param {Object} options - See the constructor
+   * @throws {Error} If the level is unknown
+   */
+  configure({ level = this.root.level, stream = this.root.stream } = {}) {
+    if (!LOG_LEVELS.includes(level)) {
+      throw new Error(
+        `Unknown log level "${level}" (use ${LOG_LEVELS.join(", ")})`
+      );
+    }
+    this.root.level = level;
+    this.root.stream = stream;
+  }
+
+  /**
+   * Creates a logger that adds fields to every line
+   * @param {Object} fields - e.g. `{ table: "leads", operation: "upsert" }`
+   * @returns {Logger} Child logger
+   */
+  child(fields) {
+    const child = Object.create(Logger.prototype);
+    child.root = this.root;
+    child.fields = { ...this.fields, ...fields };
+    return child;
+  }
+
+  /**
+   * Tells whether lines of a level are written, to skip building costly fields
+   * @param {string} level - One of LOG_LEVELS
+   * @returns {boolean} True when the level is enabled and there is a stream
+   */
+  enabled(level) {
+    const { stream, level: min } = this.root;
+    return (
+      Boolean(stream) && LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(min)
+    );
+  }
+
+  log(level, msg, fields = {}) {
+    if (!this.enabled(level)) return;
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      msg,
+      ...this.fields,
+      ...fields,
+    };
+    this.root.stream.write(`${JSON.stringify(entry)}\n`);
+  }
+
+  debug(msg, fields) {
+    this.log("debug", msg, fields);
+  }
+
+  info(msg, fields) {
+    this.log("info", msg, fields);
+  }
+
+  warn(msg, fields) {
+    this.log("warn", msg, fields);
+  }
+
+  error(msg, fields) {
+    this.log("error", msg, fields);
+  }
+}
+
+// Root logger of the import; silent until the CLI gives it a stream
+export const logger = new Logger();
@@ -1,4 +1,8 @@
+import { readFile } from "node:fs/promises";
+import { extname, resolve } from "node:path";
+import { pathToFileURL } from "node:url";
 import { cfg } from "./config.mjs";
+import defaultProfile from "./mappings/default.mjs";
 
 const stringify = (v) =>
   v == null ? null : typeof v === "string" ? v : JSON.stringify(v);
@@ -7,50 +11,448 @@ const hoursToLine = (arr) =>
     ? arr.map((d) => `${d.day}: ${d.hours}`).join(" | ")
     : null;
 
-export function mapLeadFields(biz) {
-  return {
-    placeId: biz.placeId ?? null,
-    companyName: biz.title ?? null,
-    categoryName: biz.categoryName ?? null,
-    neighborhood: biz.neighborhood ?? null,
-    address: biz.address ?? null,
-    street: biz.street ?? null,
-    city: biz.city ?? null,
-    state: biz.state ?? null,
-    website: biz.website ?? null,
-    listedPhone: biz.phone ?? null,
-    googleMapsUrl: biz.url ?? null,
-    googleRank: biz.rank ?? null,
-    totalScore: Number.isFinite(biz.totalScore) ? biz.totalScore : null,
-    categories: Array.isArray(biz.categories) ? biz.categories : null,
-    reviewsDistribution: stringify(biz.reviewsDistribution),
-    reviewsCount: Number.isFinite(biz.reviewsCount)
-      ? biz.reviewsCount
-      : Array.isArray(biz.reviews)
-      ? biz.reviews.length
+// Top-level fields of the scraper's business and review records; mappings can only read these
+export const SOURCE_FIELDS = {
+  leads: [
+    "title",
+    "subTitle",
+    "description",
+    "price",
+    "placeId",
+    "cid",
+    "fid",
+    "kgmid",
+    "categoryName",
+    "categories",
+    "neighborhood",
+    "address",
+    "street",
+    "city",
+    "postalCode",
+    "state",
+    "countryCode",
+    "location",
+    "plusCode",
+    "locatedIn",
+    "website",
+    "phone",
+    "phoneUnformatted",
+    "url",
+    "searchPageUrl",
+    "searchString",
+    "rank",
+    "isAdvertisement",
+    "totalScore",
+    "reviewsCount",
+    "reviewsDistribution",
+    "reviewsTags",
+    "reviews",
+    "imagesCount",
+    "imageUrl",
+    "openingHours",
+    "additionalInfo",
+    "ownerUpdates",
+    "permanentlyClosed",
+    "temporarilyClosed",
+    "claimThisBusiness",
+    "language",
+    "scrapedAt",
+    // Added by normalizeBiz in normalize.mjs
+    "domain",
+    // Added by the enrichment stage, see createEnricher in enrich.mjs
+    "enrichment",
+  ],
+  reviews: [
+    "reviewId",
+    "reviewUrl",
+    "reviewOrigin",
+    "reviewerId",
+    "reviewerUrl",
+    "name",
+    "reviewerNumberOfReviews",
+    "isLocalGuide",
+    "reviewerPhotoUrl",
+    "text",
+    "textTranslated",
+    "originalLanguage",
+    "translatedLanguage",
+    "publishAt",
+    "publishedAtDate",
+    "likesCount",
+    "stars",
+    "rating",
+    "responseFromOwnerDate",
+    "responseFromOwnerText",
+    "reviewImageUrls",
+    "reviewContext",
+    "reviewDetailedRating",
+    "visitedIn",
+  ],
+};
+
+// Review sources may also read the business they belong to, e.g. "business.placeId"
+const BUSINESS_PREFIX = "business.";
+
+// Lead sources the pipeline computes from other scraped fields; they are derived
+// again on import, so unmapping leaves them out. Enrichment values are unmapped:
+// they may come from review fields the base doesn't store (see createEnricher)
+const DERIVED_SOURCES = ["domain"];
+
+// Value transforms available to mappings, keyed by name
+// Each factory gets the argument written as `name(arg)` and returns the transform
+const TRANSFORMS = {
+  stringify: () => stringify,
+  hoursToLine: () => hoursToLine,
+  number: () => (v) =>
+    typeof v === "number"
+      ? Number.isFinite(v)
+        ? v
+        : null
+      : typeof v === "string" && v.trim() && Number.isFinite(Number(v))
+      ? Number(v)
       : null,
-    openingHours: hoursToLine(biz.openingHours),
-    ownerUpdatesJson: stringify(biz.ownerUpdates),
-    scrapedAt: biz.scrapedAt ?? null,
+  count: () => (v) =>
+    Number.isFinite(v) ? v : Array.isArray(v) ? v.length : null,
+  array: () => (v) => Array.isArray(v) ? v : null,
+  "array-join": (sep) => (v) =>
+    Array.isArray(v) ? (v.length ? v.join(sep ?? ", ") : null) : v ?? null,
+  boolean: () => (v) => typeof v === "boolean" ? v : null,
+  date: () => (v) => {
+    if (v == null || v === "") return null;
+    const d = new Date(v);
+    return Number.isNaN(d.getTime()) ? null : d.toISOString();
+  },
+  truncate: (n) => {
+    const len = Number(n);
+    if (!Number.isInteger(len) || len <= 0) {
+      throw new Error(`truncate needs a positive length, got "${n}"`);
+    }
+    return (v) => (v == null || v === "" ? null : String(v).slice(0, len));
+  },
+};
+
+// Inverses of the transforms that change a value's shape, used to read stored
+// records back into scrape fields (see unmapLead); every other transform only
+// filters or trims values, so what is stored is given back as it is
+const INVERSES = {
+  stringify: () => (v) => {
+    if (typeof v !== "string") return v;
+    try {
+      return JSON.parse(v);
+    } catch {
+      return v;
+    }
+  },
+  hoursToLine: () => (v) =>
+    typeof v === "string"
+      ? v.split(" | ").map((line) => {
+          const i = line.indexOf(": ");
+          return i < 0
+            ? { day: line, hours: "" }
+            : { day: line.slice(0, i), hours: line.slice(i + 2) };
+        })
+      : v,
+  "array-join": (sep) => (v) =>
+    typeof v === "string" ? v.split(sep ?? ", ") : v,
+};
+
+const FIELD_KEYS = ["source", "transform", "required", "tracked", "type"];
+
+// Airtable field types a mapped column can be declared as, see `type` in compileMapping
+export const FIELD_TYPES = [
+  "singleLineText",
+  "multilineText",
+  "number",
+  "checkbox",
+  "date",
+  "dateTime",
+  "singleSelect",
+  "multipleSelects",
+  "url",
+  "email",
+  "phoneNumber",
+];
+
+/**
+ * Infers the Airtable field type a column needs from its last transform
+ * @param {string[]} specs - Transform specs, e.g. ["truncate(15000)"]
+ * @returns {string} One of FIELD_TYPES
+ */
+function inferType(specs) {
+  const [, name, arg] =
+    String(specs[specs.length - 1] ?? "").match(/^([\w-]+)(?:\((.*)\))?$/) ??
+    [];
+  switch (name) {
+    case "number":
+    case "count":
+      return "number";
+    case "boolean":
+      return "checkbox";
+    case "date":
+      return "dateTime";
+    case "array":
+      return "multipleSelects";
+    case "stringify":
+    case "hoursToLine":
+      return "multilineText";
+    case "truncate":
+      // Single line text holds up to 255 characters in practice
+      return Number(arg) > 255 ? "multilineText" : "singleLineText";
+    default:
+      return "singleLineText";
+  }
+}
+
+/**
+ * Reads a dotted path ("reviewsDistribution.oneStar") from an object
+ * @param {Object} obj - Object to read from
+ * @param {string} path - Dotted path
+ * @returns {any} The value, or undefined when any segment is missing
+ */
+const getPath = (obj, path) =>
+  path.split(".").reduce((o, k) => (o == null ? undefined : o[k]), obj);
+
+/**
+ * Sets a dotted path on an object, creating the objects along the way
+ * @param {Object} obj - Object to write to
+ * @param {string} path - Dotted path
+ * @param {any} value - Value to set
+ */
+const setPath = (obj, path, value) => {
+  const keys = path.split(".");
+  const last = keys.pop();
+  let o = obj;
+  for (const k of keys) o = o[k] ??= {};
+  o[last] = value;
+};
+
+/**
+ * Turns a transform spec like "truncate(15000)" into a function
+ * @param {string} spec - Transform name with an optional argument
+ * @param {string} where - Field being compiled, for error messages
+ * @returns {Function} The transform
+ * @throws {Error} If the transform is unknown or its argument is invalid
+ */
+function parseTransform(spec, where) {
+  const m = typeof spec === "string" && spec.match(/^([\w-]+)(?:\((.*)\))?$/);
+  const factory = m && Object.hasOwn(TRANSFORMS, m[1]) && TRANSFORMS[m[1]];
+  if (!factory) {
+    throw new Error(`Invalid mapping ${where}: unknown transform "${spec}"`);
+  }
+  if (m[2] !== undefined && factory.length === 0) {
+    throw new Error(`Invalid mapping ${where}: ${m[1]} takes no argument`);
+  }
+  try {
+    return factory(m[2]);
+  } catch (e) {
+    throw new Error(`Invalid mapping ${where}: ${e.message}`);
+  }
+}
+
+/**
+ * Validates and compiles one target field of a mapping
+ * @param {"leads"|"reviews"} table - Table the field belongs to
+ * @param {string} target - Airtable column name
+ * @param {Object} def - Field definition: `{ source, transform?, required?, tracked? }`
+ * @returns {Object} Compiled field
+ * @throws {Error} If the definition is malformed or reads an unknown source path
+ */
+function compileField(table, target, def) {
+  const where = `${table}.${target}`;
+  if (!def || typeof def !== "object" || Array.isArray(def)) {
+    throw new Error(`Invalid mapping ${where}: expected { source, ... }`);
+  }
+  const unknown = Object.keys(def).filter((k) => !FIELD_KEYS.includes(k));
+  if (unknown.length) {
+    throw new Error(
+      `Invalid mapping ${where}: unknown option(s) ${unknown.join(", ")}`
+    );
+  }
+
+  const sources = [].concat(def.source ?? []);
+  if (!sources.length || sources.some((s) => typeof s !== "string" || !s)) {
+    throw new Error(
+      `Invalid mapping ${where}: source must be a path or a list of paths`
+    );
+  }
+  for (const s of sources) {
+    const [fieldsOf, path] =
+      table === "reviews" && s.startsWith(BUSINESS_PREFIX)
+        ? ["leads", s.slice(BUSINESS_PREFIX.length)]
+        : [table, s];
+    if (!SOURCE_FIELDS[fieldsOf].includes(path.split(".")[0])) {
+      throw new Error(`Invalid mapping ${where}: unknown source path "${s}"`);
+    }
+  }
+
+  if (def.type !== undefined && !FIELD_TYPES.includes(def.type)) {
+    throw new Error(`Invalid mapping ${where}: unknown type "${def.type}"`);
+  }
+
+  const specs = [].concat(def.transform ?? []);
+  const transforms = specs.map((t) => parseTransform(t, where));
+  return {
+    target,
+    where,
+    sources,
+    transforms,
+    inverses: specs.map((t) => {
+      const [, name, arg] = t.match(/^([\w-]+)(?:\((.*)\))?$/);
+      return Object.hasOwn(INVERSES, name) ? INVERSES[name](arg) : (v) => v;
+    }),
+    required: Boolean(def.required),
+    tracked: Boolean(def.tracked),
+    type: def.type ?? inferType(specs),
   };
 }
 
-export function mapReviewFields(biz, r, leadRecordId) {
+/**
+ * Resolves a compiled field: the first source whose transformed value isn't null wins
+ * @param {Object} field - Compiled field
+ * @param {Object} self - Record the sources read from (business or review)
+ * @param {Object} biz - Business, for "business." sources
+ * @returns {any} Mapped value or null
+ * @throws {Error} If a required field resolves to null
+ */
+function resolveField(field, self, biz) {
+  for (const s of field.sources) {
+    const raw = s.startsWith(BUSINESS_PREFIX)
+      ? getPath(biz, s.slice(BUSINESS_PREFIX.length))
+      : getPath(self, s);
+    const v = field.transforms.reduce((acc, fn) => fn(acc), raw ?? null);
+    if (v != null) return v;
+  }
+  if (field.required) {
+    throw new Error(
+      `Missing required ${field.where} (from ${field.sources.join(" or ")})`
+    );
+  }
+  return null;
+}
+
+/**
+ * Writes a stored value back to the scrape field its column reads first
+ * Columns read from the business (in reviews) or from a derived source are skipped
+ * @param {Object} field - Compiled field
+ * @param {any} value - Value stored in the column
+ * @param {Object} out - Record being rebuilt
+ */
+function unresolveField(field, value, out) {
+  const [source] = field.sources;
+  if (value == null || source.startsWith(BUSINESS_PREFIX)) return;
+  if (DERIVED_SOURCES.includes(source.split(".")[0])) return;
+  setPath(
+    out,
+    source,
+    field.inverses.reduceRight((acc, fn) => fn(acc), value)
+  );
+}
+
+/**
+ * Compiles a mapping profile into lead and review mappers
+ *
+ * A profile declares, per table, each Airtable column and where its value comes from:
+ *
+ *   { leads: { companyName: { source: "title" }, ... }, reviews: { ... } }
+ *
+ * - `source`: dotted path into the business (leads) or review (reviews), or a list
+ *   of paths tried in order; review paths starting with "business." read the business
+ * - `transform`: a transform name or a list applied in order, one of stringify,
+ *   hoursToLine, number, count, array, array-join(sep), boolean, date, truncate(n)
+ * - `required`: mapping fails when the value resolves to null
+ * - `tracked` (reviews): changes to this column cause an update on re-import
+ * - `type`: the Airtable field type the column should have, one of FIELD_TYPES;
+ *   inferred from the transform when omitted (number for number and count,
+ *   checkbox for boolean, multiple select for array, long text for stringify...)
+ *
+ * The compiled mapper also reads stored records back into scrape fields
+ * (unmapLead, unmapReview), for exports that can be imported again: each column
+ * goes back to its first source, undoing stringify, hoursToLine and array-join
+ *
+ * @param {Object} spec - Mapping profile
+ * @param {Object} [options]
+ * @param {string} [options.linkToLeadField] - Review column linking to the lead
+ * @returns {{mapLead: Function, mapReview: Function, unmapLead: Function, unmapReview: Function, trackedReviewFields: string[], schema: Object}} Compiled mapper; `schema` lists each table's columns as `{ name, type }`
+ * @throws {Error} If the profile is invalid, naming the offending field
+ */
+export function compileMapping(
+  spec,
+  { linkToLeadField = cfg.airtable.tables.reviews.linkToLeadField } = {}
+) {
+  if (!spec || typeof spec !== "object") {
+    throw new Error("Invalid mapping: expected { leads, reviews }");
+  }
+  for (const table of Object.keys(spec)) {
+    if (!(table in SOURCE_FIELDS)) {
+      throw new Error(`Invalid mapping: unknown table "${table}"`);
+    }
+  }
+  const compile = (table) =>
+    Object.entries(spec[table] ?? {}).map(([target, def]) =>
+      compileField(table, target, def)
+    );
+  const leads = compile("leads");
+  const reviews = compile("reviews");
+
   return {
-    reviewId: r.reviewId ?? null,
-    [cfg.airtable.tables.reviews.linkToLeadField]: leadRecordId
-      ? [{ id: leadRecordId }]
-      : [],
-    reviewerName: r.name ?? null,
-    stars: Number.isFinite(r.stars)
-      ? r.stars
-      : Number.isFinite(r.rating)
-      ? r.rating
-      : null,
-    reviewComment: r.text ? String(r.text).slice(0, 15000) : null,
-    publishedAtDate: r.publishedAtDate ?? null,
-    responseFromOwnerText: r.responseFromOwnerText
-      ? String(r.responseFromOwnerText).slice(0, 15000)
-      : null,
+    mapLead: (biz) =>
+      Object.fromEntries(
+        leads.map((f) => [f.target, resolveField(f, biz, biz)])
+      ),
+    mapReview: (biz, r, leadRecordId) => ({
+      ...Object.fromEntries(
+        reviews.map((f) => [f.target, resolveField(f, r, biz)])
+      ),
+      [linkToLeadField]: leadRecordId ? [{ id: leadRecordId }] : [],
+    }),
+    unmapLead: (fields) => {
+      const biz = {};
+      for (const f of leads) unresolveField(f, fields[f.target], biz);
+      return biz;
+    },
+    unmapReview: (fields) => {
+      const review = {};
+      for (const f of reviews) unresolveField(f, fields[f.target], review);
+      return review;
+    },
+    trackedReviewFields: reviews.filter((f) => f.tracked).map((f) => f.target),
+    schema: {
+      leads: leads.map((f) => ({ name: f.target, type: f.type })),
+      reviews: reviews.map((f) => ({ name: f.target, type: f.type })),
+    },
   };
 }
+
+/**
+ * Loads and compiles a mapping profile from a JSON file or a JS module
+ * (whose default export is the profile)
+ * @param {string} path - Path to a .json, .js or .mjs file
+ * @param {Object} [options] - Passed to compileMapping
+ * @returns {Promise<Object>} Compiled mapper
+ */
+export async function loadMapping(path, options) {
+  const ext = extname(path);
+  let spec;
+  if (ext === ".json") {
+    spec = JSON.parse(await readFile(path, "utf8"));
+  } else if (ext === ".js" || ext === ".mjs") {
+    spec = (await import(pathToFileURL(resolve(path)).href)).default;
+  } else {
+    throw new Error(`Unsupported mapping file "${path}" (use .json or .mjs)`);
+  }
+  try {
+    return compileMapping(spec, options);
+  } catch (e) {
+    throw new Error(`${path}: ${e.message}`);
+  }
+}
+
+export const defaultMapper = compileMapping(defaultProfile);
+
+export function mapLeadFields(biz) {
+  return defaultMapper.mapLead(biz);
+}
+
+export function mapReviewFields(biz, r, leadRecordId) {
+  return defaultMapper.mapReview(biz, r, leadRecordId);
+}
@@ -0,0 +1,49 @@
+// Default mapping profile: the column names of the original leads/reviews base
+// See compileMapping in ../mapping.mjs for the format
+export default {
+  leads: {
+    placeId: { source: "placeId", required: true },
+    companyName: { source: "title" },
+    categoryName: { source: "categoryName" },
+    neighborhood: { source: "neighborhood" },
+    address: { source: "address" },
+    street: { source: "street" },
+    city: { source: "city" },
+    state: { source: "state" },
+    website: { source: "website", type: "url" },
+    listedPhone: { source: "phone", type: "phoneNumber" },
+    googleMapsUrl: { source: "url", type: "url" },
+    googleRank: { source: "rank", type: "number" },
+    totalScore: { source: "totalScore", transform: "number" },
+    categories: { source: "categories", transform: "array" },
+    reviewsDistribution: {
+      source: "reviewsDistribution",
+      transform: "stringify",
+    },
+    // Falls back to the number of scraped reviews when the total is missing
+    reviewsCount: { source: ["reviewsCount", "reviews"], transform: "count" },
+    openingHours: { source: "openingHours", transform: "hoursToLine" },
+    ownerUpdatesJson: { source: "ownerUpdates", transform: "stringify" },
+    scrapedAt: { source: "scrapedAt", transform: "date", type: "dateTime" },
+  },
+  reviews: {
+    reviewId: { source: "reviewId", required: true },
+    reviewerName: { source: "name" },
+    stars: { source: ["stars", "rating"], transform: "number", tracked: true },
+    reviewComment: {
+      source: "text",
+      transform: "truncate(15000)",
+      tracked: true,
+    },
+    publishedAtDate: {
+      source: "publishedAtDate",
+      transform: "date",
+      type: "dateTime",
+    },
+    responseFromOwnerText: {
+      source: "responseFromOwnerText",
+      transform: "truncate(15000)",
+      tracked: true,
+    },
+  },
+};
@@ -0,0 +1,34 @@
+// The default profile plus the lead columns added since the original base: the
+// ZIP code and root domain found by normalization (see ../normalize.mjs) and
+// the fields derived by the enrichment stage (see ../enrich.mjs). The base needs
+// these columns before the first import, `schema check --mapping
+// src/mappings/enriched.mjs --apply` creates them
+import defaults from "./default.mjs";
+
+export default {
+  leads: {
+    ...defaults.leads,
+    zip: { source: "postalCode" },
+    domain: { source: "domain" },
+    ownerResponseRate: {
+      source: "enrichment.ownerResponseRate",
+      transform: "number",
+    },
+    medianResponseHours: {
+      source: "enrichment.medianResponseHours",
+      transform: "number",
+    },
+    reviewsLast90Days: {
+      source: "enrichment.reviewsLast90Days",
+      transform: "number",
+    },
+    lowStarShare: { source: "enrichment.lowStarShare", transform: "number" },
+    daysSinceOwnerUpdate: {
+      source: "enrichment.daysSinceOwnerUpdate",
+      transform: "number",
+    },
+    hasWebsite: { source: "enrichment.hasWebsite", transform: "boolean" },
+    leadScore: { source: "enrichment.leadScore", transform: "number" },
+  },
+  reviews: defaults.reviews,
+};
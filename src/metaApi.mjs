@@ -0,0 +1,73 @@
+import { cfg } from "./config.mjs";
+import { requestJSON } from "./http.mjs";
+import { limiterFor } from "./rateLimiter.mjs";
+
+/**
+ * Client for the Airtable Meta API of one base: reads and extends its schema
+ * Shares the base's rate limiter with AirtableRepo
+ */
+export class MetaApi {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.baseId] - Airtable base ID, defaults to cfg.airtable.baseId
+   * @param {string} [options.token] - Personal access token, needs the schema.bases scopes
+   * @param {string} [options.apiUrl] - API origin, defaults to cfg.airtable.apiUrl
+   * @param {import("./rateLimiter.mjs").RateLimiter} [options.limiter] - Rate limiter, defaults to the base's shared one
+   */
+  constructor({
+    baseId = cfg.airtable.baseId,
+    token = cfg.airtable.token,
+    apiUrl = cfg.airtable.apiUrl,
+    limiter = limiterFor(baseId),
+  } = {}) {
+    this.api = `${apiUrl}/v0/meta/bases/${baseId}`;
+    this.headers = {
+      Authorization: `Bearer ${token}`,
+      "Content-Type": "application/json",
+    };
+    this.limiter = limiter;
+  }
+
+  request(path, options = {}) {
+    return requestJSON(
+      `${this.api}${path}`,
+      { ...options, headers: this.headers },
+      { ...cfg.airtable.retry, limiter: this.limiter }
+    );
+  }
+
+  /**
+   * Lists the tables of the base with their fields
+   * @returns {Promise<Array<{id: string, name: string, fields: Array<{id: string, name: string, type: string, options?: Object}>}>>} Tables
+   */
+  async listTables() {
+    const json = await this.request("/tables");
+    return json.tables || [];
+  }
+
+  /**
+   * Creates a table; its first field becomes the primary field
+   * @param {string} name - Table name
+   * @param {Array<{name: string, type: string, options?: Object}>} fields - Fields to create
+   * @returns {Promise<Object>} The created table
+   */
+  async createTable(name, fields) {
+    return this.request("/tables", {
+      method: "POST",
+      body: JSON.stringify({ name, fields }),
+    });
+  }
+
+  /**
+   * Adds a field to a table
+   * @param {string} tableId - Table ID
+   * @param {{name: string, type: string, options?: Object}} field - Field to create
+   * @returns {Promise<Object>} The created field
+   */
+  async createField(tableId, field) {
+    return this.request(`/tables/${encodeURIComponent(tableId)}/fields`, {
+      method: "POST",
+      body: JSON.stringify(field),
+    });
+  }
+}
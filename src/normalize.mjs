@@ -0,0 +1,157 @@
+import { isStarRating } from "./validation.mjs";
+
+// Query parameters added by ad and mail campaigns; they never change the page
+const TRACKING_PARAMS =
+  /^(utm_\w+|gclid|gbraid|wbraid|fbclid|msclkid|yclid|dclid|mc_cid|mc_eid|_ga|_gl)$/i;
+
+// Second-level labels under which domains are registered one level down (shop.co.uk)
+const SECOND_LEVEL = new Set(["co", "com", "net", "org", "gov", "edu", "ac"]);
+
+// USPS codes of the states, DC and the territories
+const US_STATES = new Set(
+  (
+    "AL AK AZ AR CA CO CT DE DC FL GA HI ID IL IN IA KS KY LA ME MD MA MI MN MS " +
+    "MO MT NE NV NH NJ NM NY NC ND OH OK OR PA RI SC SD TN TX UT VT VA WA WV WI " +
+    "WY AS GU MP PR VI"
+  ).split(" ")
+);
+
+// Countries whose numbers follow the North American Numbering Plan (+1)
+const NANP_COUNTRIES = new Set(["US", "CA", "PR"]);
+
+/**
+ * Puts a phone number in E.164 form ("+14107301200")
+ * Numbers without a country code are read as US numbers; an extension is dropped
+ * @param {string} phone - Phone number as listed
+ * @param {string} [countryCode] - ISO country of the business, numbers outside the NANP must carry their "+" code
+ * @returns {string|null} E.164 number, null when it can't be read as one
+ */
+export function normalizePhone(phone, countryCode) {
+  if (typeof phone !== "string") return null;
+  const [main] = phone.split(/\s*(?:ext\.?|x|#)\s*\d+\s*$/i);
+  const digits = main.replace(/\D/g, "");
+  if (main.trim().startsWith("+")) {
+    return digits.length >= 8 && digits.length <= 15 ? `+${digits}` : null;
+  }
+  if (countryCode && !NANP_COUNTRIES.has(countryCode.toUpperCase())) {
+    return null;
+  }
+  if (digits.length === 10) return `+1${digits}`;
+  if (digits.length === 11 && digits.startsWith("1")) return `+${digits}`;
+  return null;
+}
+
+/**
+ * Canonicalizes a website URL: adds a missing scheme (https), lowercases the
+ * host, and drops tracking parameters, the default port and any trailing slash
+ * @param {string} url - Website as listed
+ * @returns {string|null} Canonical URL, null when it isn't an http(s) URL
+ */
+export function normalizeUrl(url) {
+  if (typeof url !== "string" || !url.trim()) return null;
+  const raw = url.trim();
+  let u;
+  try {
+    // "example.com:8080" has a port, not a scheme
+    u = new URL(/^[a-z][a-z\d+.-]*:(?!\d)/i.test(raw) ? raw : `https://${raw}`);
+  } catch {
+    return null;
+  }
+  if (!["http:", "https:"].includes(u.protocol) || !u.hostname.includes(".")) {
+    return null;
+  }
+  for (const key of [...u.searchParams.keys()]) {
+    if (TRACKING_PARAMS.test(key)) u.searchParams.delete(key);
+  }
+  u.hostname = u.hostname.replace(/\.$/, "");
+  const path = u.pathname.replace(/\/+$/, "");
+  return `${u.protocol}//${u.host}${path}${u.search}${u.hash}`;
+}
+
+/**
+ * Extracts the registrable domain of a URL ("https://shop.example.co.uk/x" -> "example.co.uk")
+ * A heuristic rather than the public suffix list: domains under a generic
+ * second-level label (co, com, org...) of a country code keep three labels
+ * @param {string} url - Canonical URL, see normalizeUrl
+ * @returns {string|null} Domain, null for URLs without one
+ */
+export function rootDomain(url) {
+  let host;
+  try {
+    host = new URL(url).hostname;
+  } catch {
+    return null;
+  }
+  const labels = host.split(".");
+  if (labels.every((l) => /^\d+$/.test(l))) return null; // IP address
+  const n =
+    labels.length > 2 &&
+    labels[labels.length - 1].length === 2 &&
+    SECOND_LEVEL.has(labels[labels.length - 2])
+      ? 3
+      : 2;
+  return labels.slice(-n).join(".");
+}
+
+/**
+ * Splits a one-line US address ("5552 Cedar Ln, Columbia, MD 21044") into its parts
+ * @param {string} address - Address as listed, optionally ending with the country
+ * @returns {{street: string|null, city: string|null, state: string|null, postalCode: string|null}|null} Parts found, null when the address doesn't end with a US state or ZIP code
+ */
+export function parseAddress(address) {
+  if (typeof address !== "string") return null;
+  const parts = address
+    .split(",")
+    .map((p) => p.trim())
+    .filter(Boolean);
+  if (/^(united states( of america)?|usa?)$/i.test(parts[parts.length - 1])) {
+    parts.pop();
+  }
+  const m = parts.pop()?.match(/^([A-Za-z]{2})?\s*(\d{5}(?:-\d{4})?)?$/);
+  const state = m?.[1]?.toUpperCase() ?? null;
+  const postalCode = m?.[2] ?? null;
+  if (!m || (!state && !postalCode) || (state && !US_STATES.has(state))) {
+    return null;
+  }
+  const city = parts.pop() ?? null;
+  return { street: parts.join(", ") || null, city, state, postalCode };
+}
+
+const hasBadStars = (r) => {
+  const stars = r?.stars ?? r?.rating;
+  return stars != null && stars !== "" && !isStarRating(stars);
+};
+
+/**
+ * Normalizes the contact fields of a business before it is mapped, so the same
+ * business reads the same from run to run and across sources
+ * - `phone` (or `phoneUnformatted` when it is missing) in E.164, when it can be
+ *   read as a number
+ * - `website` canonicalized, and its root domain set as `domain`
+ * - `street`, `city`, `state` and `postalCode` filled in from `address` when
+ *   the state or the ZIP code is missing; fields already set are kept
+ * - review star ratings outside 1-5 cleared, so the review is still written
+ * Values that can't be normalized are kept as they are
+ * @param {Object} biz - Valid business record
+ * @returns {Object} Normalized copy of the business
+ */
+export function normalizeBiz(biz) {
+  const out = { ...biz };
+  const phone = biz.phone || biz.phoneUnformatted;
+  out.phone = normalizePhone(phone, biz.countryCode) ?? phone ?? null;
+  const website = normalizeUrl(biz.website);
+  out.website = website ?? biz.website;
+  out.domain = website ? rootDomain(website) : null;
+  if (!biz.state || !biz.postalCode) {
+    const parsed = parseAddress(biz.address);
+    for (const [field, value] of Object.entries(parsed ?? {})) {
+      if (!out[field] && value) out[field] = value;
+    }
+  }
+  if (Array.isArray(biz.reviews) && biz.reviews.some(hasBadStars)) {
+    out.reviews = biz.reviews.map((r) =>
+      hasBadStars(r) ? { ...r, stars: null, rating: null } : r
+    );
+  }
+  return out;
+}
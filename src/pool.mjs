@@ -1,27 +1,152 @@
+/**
+ * Runs async tasks with at most `limit` of them at a time
+ * Tasks sharing a key run one after the other, in the order they were
+ * submitted, so two writes to the same record never race
+ * A pool can be stopped, by stop() or by running out of its failure budget:
+ * tasks not yet started are rejected and tasks in flight finish. It can also
+ * be cancelled through an AbortSignal, which in addition aborts the signal
+ * every task is given, so their requests are cut short
+ */
 export class Pool {
-  constructor(limit = 3) {
+  /**
+   * @param {number} [limit=3] - Tasks run at once
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the pool, see abort()
+   * @param {number} [options.maxFailures=Infinity] - Failures after which the pool stops, see fail()
+   * @param {(stats: {completed: number, failed: number, active: number, queued: number}) => void} [options.onProgress] - Called each time a task settles
+   */
+  constructor(
+    limit = 3,
+    { signal = null, maxFailures = Infinity, onProgress = null } = {}
+  ) {
     this.limit = limit;
+    this.maxFailures = maxFailures;
+    this.onProgress = onProgress;
     this.active = 0;
     this.q = [];
+    this.keys = new Map(); // key -> settled promise of the last task holding it
+    this.pending = 0; // tasks submitted and not settled, waiting on a key included
+    this.idle = [];
+    this.completed = 0;
+    this.failed = 0;
+    this.stopReason = null;
+    this.controller = new AbortController();
+    this.signal = this.controller.signal;
+    if (signal?.aborted) this.abort(signal.reason);
+    else signal?.addEventListener("abort", () => this.abort(signal.reason));
   }
-  run(fn) {
+
+  /**
+   * Whether the pool was stopped or cancelled; it starts no more tasks
+   * @returns {boolean}
+   */
+  get stopped() {
+    return this.stopReason !== null;
+  }
+
+  /**
+   * Queues a task
+   * @param {(signal: AbortSignal) => Promise<any>} fn - Task, given the pool's signal to pass on to its requests (see requestJSON)
+   * @param {Object} [options]
+   * @param {string|string[]} [options.key] - Key(s) the task holds while it runs; tasks sharing one never overlap
+   * @returns {Promise<any>} Result of the task; rejected with the stop reason if the pool stops before it starts
+   */
+  run(fn, { key } = {}) {
+    if (this.stopped) return Promise.reject(this.stopReason);
+    this.pending++;
+    const keys = key == null ? [] : [].concat(key).map(String);
+    const held = keys.map((k) => this.keys.get(k)).filter(Boolean);
+    const result = (held.length ? Promise.all(held) : Promise.resolve()).then(
+      () => this._enqueue(fn)
+    );
+    const settled = result.then(
+      () => {},
+      () => {}
+    );
+    for (const k of keys) this.keys.set(k, settled);
+    settled.then(() => {
+      for (const k of keys) {
+        if (this.keys.get(k) === settled) this.keys.delete(k);
+      }
+      if (--this.pending === 0) {
+        for (const resolve of this.idle.splice(0)) resolve();
+      }
+    });
+    return result;
+  }
+
+  _enqueue(fn) {
     return new Promise((resolve, reject) => {
+      if (this.stopped) {
+        reject(this.stopReason);
+        return;
+      }
       const task = async () => {
         this.active++;
         try {
-          resolve(await fn());
+          resolve(await fn(this.signal));
+          this.completed++;
         } catch (e) {
+          this.fail();
           reject(e);
         } finally {
           this.active--;
+          this.onProgress?.({
+            completed: this.completed,
+            failed: this.failed,
+            active: this.active,
+            queued: this.q.length,
+          });
           this._next();
         }
       };
+      task.reject = reject;
       this.q.push(task);
       this._next();
     });
   }
+
   _next() {
     while (this.active < this.limit && this.q.length) this.q.shift()();
   }
+
+  /**
+   * Counts a failure against the budget; tasks that reject are counted already,
+   * this is for failures a task handles itself (e.g. one record of a batch)
+   */
+  fail() {
+    this.failed++;
+    if (this.failed >= this.maxFailures && !this.stopped) {
+      this.stop(new Error(`Stopped after ${this.failed} failures`));
+    }
+  }
+
+  /**
+   * Stops the pool: queued tasks are rejected with the reason and no task is
+   * started any more; running tasks finish
+   * @param {Error} [reason] - Why the pool stopped
+   */
+  stop(reason = new Error("Pool stopped")) {
+    if (this.stopped) return;
+    this.stopReason = reason;
+    for (const task of this.q.splice(0)) task.reject(reason);
+  }
+
+  /**
+   * Cancels the pool: stops it and aborts the signal given to running tasks
+   * @param {Error} [reason] - Why the pool was cancelled
+   */
+  abort(reason = new Error("Pool aborted")) {
+    this.stop(reason);
+    if (!this.signal.aborted) this.controller.abort(reason);
+  }
+
+  /**
+   * Waits until every task submitted so far has settled
+   * @returns {Promise<void>}
+   */
+  onIdle() {
+    if (this.pending === 0) return Promise.resolve();
+    return new Promise((resolve) => this.idle.push(resolve));
+  }
 }
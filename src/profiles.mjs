@@ -0,0 +1,183 @@
+import { readFile } from "node:fs/promises";
+import { dirname, extname, join, resolve } from "node:path";
+import { cfg } from "./config.mjs";
+import { compileMapping, loadMapping } from "./mapping.mjs";
+import defaultSpec from "./mappings/default.mjs";
+
+/**
+ * Where one import goes: an Airtable base with its tables and mapping
+ * @typedef {Object} Profile
+ * @property {string|null} name - Profile name, null for the one built from the environment
+ * @property {string} baseId - Airtable base ID
+ * @property {string} token - Personal access token
+ * @property {string} apiUrl - API origin
+ * @property {Object} tables - Table settings, shaped like cfg.airtable.tables
+ * @property {string|null} mapping - Mapping file, null for the default mapping
+ */
+
+const SETTINGS = ["baseId", "token", "tokenEnv", "apiUrl", "tables", "mapping"];
+const TABLE_SETTINGS = {
+  leads: ["name", "keyField", "reviewsField"],
+  reviews: ["name", "keyField", "linkToLeadField"],
+};
+
+/**
+ * Builds the profile of a run without --profile, from AIRTABLE, AIRTABLE_TOKEN
+ * and the other AIRTABLE_* variables
+ * @returns {Profile} Profile named null
+ */
+export function envProfile() {
+  return {
+    name: null,
+    baseId: cfg.airtable.baseId,
+    token: cfg.airtable.token,
+    apiUrl: cfg.airtable.apiUrl,
+    tables: cfg.airtable.tables,
+    mapping: null,
+  };
+}
+
+/**
+ * Resolves one entry of a profiles file
+ * Settings left out fall back to the environment; the token can be given as
+ * `tokenEnv`, the name of the variable holding it, so the file holds no secrets
+ * @param {string} name - Profile name
+ * @param {Object} spec - Profile settings, see loadProfiles
+ * @param {Object} [options]
+ * @param {string} [options.dir="."] - Directory mapping paths are relative to
+ * @returns {Profile} Resolved profile
+ * @throws {Error} If a setting is unknown or the base ID is missing
+ */
+export function resolveProfile(name, spec, { dir = "." } = {}) {
+  if (!spec || typeof spec !== "object") {
+    throw new Error(`profile "${name}": expected an object`);
+  }
+  for (const key of Object.keys(spec)) {
+    if (!SETTINGS.includes(key)) {
+      throw new Error(`profile "${name}": unknown setting "${key}"`);
+    }
+  }
+  if (typeof spec.baseId !== "string" || !spec.baseId) {
+    throw new Error(`profile "${name}": baseId is required`);
+  }
+  const tables = {};
+  for (const [table, settings] of Object.entries(TABLE_SETTINGS)) {
+    const overrides = spec.tables?.[table] ?? {};
+    for (const key of Object.keys(overrides)) {
+      if (!settings.includes(key)) {
+        throw new Error(
+          `profile "${name}": unknown setting "tables.${table}.${key}"`
+        );
+      }
+    }
+    tables[table] = { ...cfg.airtable.tables[table], ...overrides };
+  }
+  for (const table of Object.keys(spec.tables ?? {})) {
+    if (!(table in TABLE_SETTINGS)) {
+      throw new Error(`profile "${name}": unknown table "${table}"`);
+    }
+  }
+  return {
+    name,
+    baseId: spec.baseId,
+    token:
+      spec.token ??
+      (spec.tokenEnv ? process.env[spec.tokenEnv] : cfg.airtable.token),
+    apiUrl: spec.apiUrl ?? cfg.airtable.apiUrl,
+    tables,
+    mapping: spec.mapping ? resolve(dir, spec.mapping) : null,
+  };
+}
+
+/**
+ * Loads a profiles file: JSON naming one profile per client
+ *
+ *   { "acme": { "baseId": "appXXX", "tokenEnv": "ACME_AIRTABLE_TOKEN",
+ *               "tables": { "leads": { "name": "Leads" }, "reviews": { "linkToLeadField": "Lead" } },
+ *               "mapping": "mappings/acme.json" } }
+ *
+ * Mapping paths are relative to the profiles file
+ * @param {string} path - Path to the profiles file
+ * @returns {Promise<Map<string, Profile>>} Profiles by name
+ * @throws {Error} If the file can't be read or a profile is invalid, naming the file
+ */
+export async function loadProfiles(path) {
+  let spec;
+  try {
+    spec = JSON.parse(await readFile(path, "utf8"));
+  } catch (e) {
+    throw new Error(`${path}: ${e.message}`);
+  }
+  if (!spec || typeof spec !== "object" || Array.isArray(spec)) {
+    throw new Error(`${path}: expected { "<profile>": { "baseId": ... } }`);
+  }
+  const profiles = new Map();
+  for (const [name, settings] of Object.entries(spec)) {
+    try {
+      profiles.set(
+        name,
+        resolveProfile(name, settings, { dir: dirname(path) })
+      );
+    } catch (e) {
+      throw new Error(`${path}: ${e.message}`);
+    }
+  }
+  return profiles;
+}
+
+/**
+ * Picks the profiles named on the command line, in the order given
+ * @param {Map<string, Profile>} profiles - Profiles from loadProfiles
+ * @param {string[]} names - Names, each possibly a comma-separated list
+ * @returns {Profile[]} Selected profiles, without repeats
+ * @throws {Error} If a name isn't a profile
+ */
+export function pickProfiles(profiles, names) {
+  const picked = new Set(
+    names.flatMap((n) => n.split(",").map((s) => s.trim())).filter(Boolean)
+  );
+  return [...picked].map((name) => {
+    if (!profiles.has(name)) {
+      throw new Error(
+        `Unknown profile "${name}" (use ${[...profiles.keys()].join(", ")})`
+      );
+    }
+    return profiles.get(name);
+  });
+}
+
+/**
+ * Compiles the mapping of a profile, linking reviews through its link field
+ * @param {Profile} profile - Profile to import to
+ * @returns {Promise<Object>} Compiled mapper, see compileMapping
+ */
+export async function mapperFor({ mapping, tables }) {
+  const options = { linkToLeadField: tables.reviews.linkToLeadField };
+  return mapping
+    ? loadMapping(mapping, options)
+    : compileMapping(defaultSpec, options);
+}
+
+/**
+ * Gives each profile its own copy of an output file ("run-report.json" ->
+ * "run-report.acme.json"), so imports to several profiles don't overwrite
+ * each other's reports
+ * @param {string} path - Output file path
+ * @param {Profile} profile - Profile the file is for
+ * @returns {string} Path for the profile, unchanged for the environment profile
+ */
+export function profilePath(path, { name }) {
+  if (!name) return path;
+  const ext = extname(path);
+  return `${path.slice(0, path.length - ext.length)}.${name}${ext}`;
+}
+
+/**
+ * Gives each profile its own subdirectory of a state directory
+ * @param {string} dir - Directory shared by all profiles
+ * @param {Profile} profile - Profile the directory is for
+ * @returns {string} Directory for the profile, unchanged for the environment profile
+ */
+export function profileDir(dir, { name }) {
+  return name ? join(dir, name) : dir;
+}
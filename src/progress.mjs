@@ -0,0 +1,98 @@
+/**
+ * Formats a duration for humans: "12s", "1m48s", "2h05m"
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} Formatted duration
+ */
+export function formatDuration(ms) {
+  const s = Math.max(0, Math.round(ms / 1000));
+  if (s < 60) return `${s}s`;
+  const pad = (n) => String(n).padStart(2, "0");
+  if (s < 3600) return `${Math.floor(s / 60)}m${pad(s % 60)}s`;
+  return `${Math.floor(s / 3600)}h${pad(Math.floor(s / 60) % 60)}m`;
+}
+
+/**
+ * Live progress line for terminals: processed/total, rate and ETA, redrawn in
+ * place at most every intervalMs
+ * Anything else written to the terminal while the line is shown should go
+ * through write(), which prints it above the line
+ */
+export class Progress {
+  /**
+   * @param {Object} [options]
+   * @param {import("node:stream").Writable} [options.stream] - Terminal stream, defaults to stderr
+   * @param {number|null} [options.total] - Number of businesses expected, null when unknown
+   * @param {number} [options.intervalMs=250] - Minimum time between redraws
+   * @param {() => number} [options.now] - Clock, for tests
+   */
+  constructor({
+    stream = process.stderr,
+    total = null,
+    intervalMs = 250,
+    now = Date.now,
+  } = {}) {
+    this.stream = stream;
+    this.total = total;
+    this.intervalMs = intervalMs;
+    this.now = now;
+    this.startedAt = now();
+    this.lastDraw = -Infinity;
+    this.processed = 0;
+    this.shown = false;
+  }
+
+  /**
+   * Counts processed businesses and redraws the line when it is due
+   * @param {number} [n=1] - Businesses processed since the last call
+   */
+  tick(n = 1) {
+    this.processed += n;
+    if (this.now() - this.lastDraw >= this.intervalMs) this.draw();
+  }
+
+  /**
+   * @returns {string} The progress line, e.g. "1200/5000 businesses (24%), 35.2/s, ETA 1m48s"
+   */
+  line() {
+    const elapsed = (this.now() - this.startedAt) / 1000;
+    const rate = elapsed > 0 ? this.processed / elapsed : 0;
+    const parts = [
+      this.total != null
+        ? `${this.processed}/${this.total} businesses (${Math.floor(
+            (100 * this.processed) / Math.max(this.total, 1)
+          )}%)`
+        : `${this.processed} businesses`,
+      `${rate.toFixed(1)}/s`,
+    ];
+    if (this.total != null && rate > 0) {
+      const left = Math.max(0, this.total - this.processed);
+      parts.push(`ETA ${formatDuration((left / rate) * 1000)}`);
+    }
+    return parts.join(", ");
+  }
+
+  draw() {
+    this.lastDraw = this.now();
+    this.stream.write(`\r\x1b[K${this.line()}`);
+    this.shown = true;
+  }
+
+  /**
+   * Prints text above the progress line
+   * @param {string} text - Text to print, ending with a newline
+   */
+  write(text) {
+    if (this.shown) this.stream.write("\r\x1b[K");
+    this.stream.write(text);
+    if (this.shown) this.draw();
+  }
+
+  /**
+   * Draws the final state of the line and moves past it
+   */
+  finish() {
+    this.draw();
+    this.stream.write("\n");
+    this.shown = false;
+  }
+}
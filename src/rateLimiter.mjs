@@ -0,0 +1,107 @@
+import { cfg } from "./config.mjs";
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+/**
+ * Token-bucket rate limiter shared by every request to one Airtable base
+ * Callers wait their turn in order; after a 429 the rate is halved (down to
+ * minRatePerSec) and it climbs back by a quarter of the maximum for every
+ * recoverMs without another 429
+ */
+export class RateLimiter {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.ratePerSec=5] - Maximum sustained requests per second
+   * @param {number} [options.burst] - Requests allowed back to back, defaults to ratePerSec
+   * @param {number} [options.minRatePerSec] - Floor the rate never drops below, defaults to ratePerSec / 5
+   * @param {number} [options.recoverMs=10000] - Quiet time before each step back up after a 429
+   */
+  constructor({
+    ratePerSec = 5,
+    burst = ratePerSec,
+    minRatePerSec = ratePerSec / 5,
+    recoverMs = 10000,
+  } = {}) {
+    this.maxRate = ratePerSec;
+    this.minRate = minRatePerSec;
+    this.rate = ratePerSec;
+    this.burst = burst;
+    this.recoverMs = recoverMs;
+    this.tokens = burst;
+    this.refilledAt = Date.now();
+    this.changedAt = -Infinity; // when the rate was last cut or raised
+    this.tail = Promise.resolve();
+    this.counters = { requests: 0, waitedMs: 0, throttles: 0 };
+  }
+
+  refill() {
+    const now = Date.now();
+    if (this.rate < this.maxRate && now - this.changedAt >= this.recoverMs) {
+      this.rate = Math.min(this.maxRate, this.rate + this.maxRate / 4);
+      this.changedAt = now;
+    }
+    const elapsed = (now - this.refilledAt) / 1000;
+    this.tokens = Math.min(this.burst, this.tokens + elapsed * this.rate);
+    this.refilledAt = now;
+  }
+
+  /**
+   * Waits until a request may be sent
+   * @returns {Promise<void>} Resolves when the caller holds a token
+   */
+  acquire() {
+    const start = Date.now();
+    const turn = this.tail.then(async () => {
+      this.refill();
+      while (this.tokens < 1) {
+        await sleep(((1 - this.tokens) / this.rate) * 1000);
+        this.refill();
+      }
+      this.tokens -= 1;
+      this.counters.requests++;
+      this.counters.waitedMs += Date.now() - start;
+    });
+    this.tail = turn;
+    return turn;
+  }
+
+  /**
+   * Slows down after Airtable answered 429
+   * Workers that hit the same burst report it together, so reports within a
+   * second of the last cut count as throttle events without cutting again
+   */
+  throttled() {
+    const now = Date.now();
+    this.counters.throttles++;
+    if (now - this.changedAt < 1000) return;
+    this.rate = Math.max(this.minRate, this.rate / 2);
+    this.tokens = 0;
+    this.changedAt = now;
+  }
+
+  /**
+   * @returns {{requests: number, waitedMs: number, throttles: number, ratePerSec: number}} Requests sent, total time spent waiting, 429s seen and the current rate
+   */
+  stats() {
+    return { ...this.counters, ratePerSec: this.rate };
+  }
+}
+
+const limiters = new Map();
+
+/**
+ * Returns the limiter shared by every repo talking to a base, creating it on first use
+ * The rate comes from cfg.airtable.limits.perBase, falling back to requestsPerSecond
+ * @param {string} baseId - Airtable base ID
+ * @returns {RateLimiter} Shared limiter
+ */
+export function limiterFor(baseId) {
+  if (!limiters.has(baseId)) {
+    const { perBase, requestsPerSecond } = cfg.airtable.limits;
+    limiters.set(
+      baseId,
+      new RateLimiter({ ratePerSec: perBase[baseId] ?? requestsPerSecond })
+    );
+  }
+  return limiters.get(baseId);
+}
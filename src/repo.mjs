@@ -0,0 +1,53 @@
+import { AirtableRepo } from "./airtableRepo.mjs";
+import { cfg } from "./config.mjs";
+import { JsonFileRepo } from "./jsonFileRepo.mjs";
+
+/**
+ * Storage the import pipeline writes leads and reviews to
+ * Records have the Airtable shape `{ id, fields }`; link fields are written as
+ * `[{ id }]` and read back as arrays of record IDs
+ * @typedef {Object} Repository
+ * @property {(table: string, keyField: string, keys: Array, options?: {withFields?: boolean}) => Promise<Map>} findRecordsByKeys
+ *   Maps each key found to its record ID, or to `{ id, fields }` with withFields
+ * @property {(table: string, keyField: string, records: Array<Object>) => Promise<Map<string, {id: string, created: boolean}>>} upsertManyByKey
+ *   Creates or updates records matched on keyField
+ * @property {(table: string, records: Array<{fields: Object}>) => Promise<BatchResult>} createMany
+ * @property {(table: string, records: Array<{id: string, fields: Object}>) => Promise<BatchResult>} updateMany
+ *   Updates only the given fields of each record
+ * @property {(table: string, options?: {filterByFormula?: string, fields?: string[], maxRecords?: number}) => AsyncIterable<Object>} listAll
+ *   Streams the records of a table, e.g. for exports
+ * @property {(table: string, id: string) => Promise<Object>} getRecord
+ * @property {(table: string, ids: Array<string>) => Promise<Array>} deleteMany
+ * @property {() => Promise<void>} [flush] - Persists pending writes now, for backends that buffer them
+ * @property {() => Promise<void>} [flushed] - Resolves once the writes made so far are persisted, for backends that buffer them
+ * @property {() => Promise<void>} [close] - Persists pending writes, for backends that buffer them
+ */
+
+/**
+ * Outcome of a batch write: one bad record doesn't stop the others being written
+ * @typedef {Object} BatchResult
+ * @property {Array<{id: string, fields: Object}>} succeeded - Records written
+ * @property {Array<{record: Object, error: Error}>} failed - Records rejected, with the reason
+ */
+
+export const BACKENDS = ["airtable", "file"];
+
+/**
+ * Creates the repository for a storage backend
+ * @param {string} [backend] - "airtable" or "file", defaults to cfg.storage.backend
+ * @param {Object} [options] - Passed to the backend's constructor
+ * @returns {Repository} Repository instance
+ * @throws {Error} If the backend is unknown
+ */
+export function createRepo(backend = cfg.storage.backend, options = {}) {
+  switch (backend) {
+    case "airtable":
+      return new AirtableRepo(options);
+    case "file":
+      return new JsonFileRepo(options);
+    default:
+      throw new Error(
+        `Unknown storage backend "${backend}" (use ${BACKENDS.join(" or ")})`
+      );
+  }
+}
@@ -0,0 +1,78 @@
+import { writeFile } from "node:fs/promises";
+import { cfg } from "./config.mjs";
+
+/**
+ * Builds the machine-readable summary of a run, for monitoring to alert on
+ * @param {Object} summary - Summary returned by runImport
+ * @param {Object} run
+ * @param {Date} run.startedAt - When the run started
+ * @param {Date} [run.finishedAt] - When it finished, defaults to now
+ * @param {string} [run.input] - Input file
+ * @param {boolean} [run.dryRun=false] - Whether nothing was written
+ * @param {{requests: number, waitedMs: number, throttles: number}} [run.api] - Stats of the Airtable rate limiter, see RateLimiter#stats
+ * @param {Object} [run.tables] - Table settings, defaults to cfg.airtable.tables
+ * @returns {Object} Run report
+ */
+export function buildRunReport(
+  summary,
+  {
+    startedAt,
+    finishedAt = new Date(),
+    input = null,
+    dryRun = false,
+    api = null,
+    tables = cfg.airtable.tables,
+  }
+) {
+  const { reviews } = summary;
+  return {
+    startedAt: startedAt.toISOString(),
+    finishedAt: finishedAt.toISOString(),
+    wallTimeMs: finishedAt - startedAt,
+    input,
+    dryRun,
+    businesses: {
+      total: summary.total,
+      skipped: summary.skipped,
+      failed: summary.failed,
+      resumed: summary.resumed,
+      warnings: summary.warnings,
+    },
+    tables: {
+      [tables.leads.name]: {
+        created: summary.created,
+        updated: summary.updated,
+        unchanged: summary.unchanged,
+        failed: summary.failed,
+      },
+      [tables.reviews.name]: {
+        created: reviews.created,
+        updated: reviews.updated,
+        pruned: reviews.pruned,
+        failed: reviews.failed,
+      },
+    },
+    warnings: Object.fromEntries(
+      Object.entries(summary.warningsByField ?? {}).map(([field, w]) => [
+        field,
+        w.count,
+      ])
+    ),
+    stopped: summary.stopped ?? null,
+    failures: summary.errors,
+    api: api && {
+      requests: api.requests,
+      waitedMs: api.waitedMs,
+      throttles: api.throttles,
+    },
+  };
+}
+
+/**
+ * Writes a run report as pretty-printed JSON, replacing any earlier one
+ * @param {string} path - Output file path
+ * @param {Object} report - Report from buildRunReport
+ */
+export async function writeRunReport(path, report) {
+  await writeFile(path, `${JSON.stringify(report, null, 2)}\n`);
+}
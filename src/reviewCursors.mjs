@@ -0,0 +1,130 @@
+import { mkdir, readFile, rename, writeFile } from "node:fs/promises";
+import { join } from "node:path";
+
+const time = (value) => {
+  const t = Date.parse(value);
+  return Number.isNaN(t) ? null : t;
+};
+
+const iso = (t) => (t === null ? null : new Date(t).toISOString());
+
+const newest = (a, b) => (a === null || (b !== null && b > a) ? b : a);
+
+/**
+ * Remembers, for each business, the newest review and owner response already
+ * synced, so an incremental import only looks up and writes the reviews that
+ * came in since: `{ "<placeId>": { "publishedAt": "...", "respondedAt": "..." } }`
+ * The state is kept in memory and written on close(); a run that dies before
+ * that just compares more reviews next time
+ */
+export class ReviewCursors {
+  /**
+   * @param {string} path - State file path
+   */
+  constructor(path) {
+    this.path = path;
+    this.cursors = new Map(); // placeId -> { publishedAt, respondedAt }
+    this.dirty = false;
+  }
+
+  /**
+   * Opens the cursors kept under `<dir>/review-cursors.json`
+   * @param {string} [dir=".import-state"] - Directory holding the state file
+   * @returns {Promise<ReviewCursors>} Cursors, empty when the file doesn't exist yet
+   * @throws {Error} If the file isn't valid JSON, naming it
+   */
+  static async open(dir = ".import-state") {
+    await mkdir(dir, { recursive: true });
+    const cursors = new ReviewCursors(join(dir, "review-cursors.json"));
+    let text;
+    try {
+      text = await readFile(cursors.path, "utf8");
+    } catch (e) {
+      if (e.code === "ENOENT") return cursors;
+      throw e;
+    }
+    try {
+      cursors.cursors = new Map(Object.entries(JSON.parse(text)));
+    } catch (e) {
+      throw new Error(`${cursors.path}: ${e.message}`);
+    }
+    return cursors;
+  }
+
+  /**
+   * Number of businesses with a cursor
+   * @returns {number}
+   */
+  get size() {
+    return this.cursors.size;
+  }
+
+  /**
+   * Picks the reviews of a business that may need writing: those published
+   * since its cursor and those with an owner response since the newest one
+   * synced. Reviews without a parsable publishedAtDate are always picked
+   * The newest synced review is picked again, so reviews sharing its timestamp
+   * aren't missed
+   * @param {Object} biz - Business record from the scrape
+   * @returns {Object[]} Reviews to sync, all of them for a business without a cursor
+   */
+  pending({ placeId, reviews }) {
+    const list = Array.isArray(reviews) ? reviews : [];
+    const cursor = this.cursors.get(String(placeId));
+    if (!cursor) return list;
+    const publishedAt = time(cursor.publishedAt) ?? -Infinity;
+    const respondedAt = time(cursor.respondedAt) ?? -Infinity;
+    return list.filter((r) => {
+      const published = time(r?.publishedAtDate);
+      const responded = time(r?.responseFromOwnerDate);
+      return (
+        published === null ||
+        published >= publishedAt ||
+        (responded !== null && responded >= respondedAt)
+      );
+    });
+  }
+
+  /**
+   * Moves a business's cursor to its newest review and owner response, once
+   * all its reviews were written
+   * @param {Object} biz - Business record from the scrape
+   */
+  advance({ placeId, reviews }) {
+    const key = String(placeId);
+    const cursor = this.cursors.get(key) ?? {};
+    let publishedAt = time(cursor.publishedAt);
+    let respondedAt = time(cursor.respondedAt);
+    for (const r of Array.isArray(reviews) ? reviews : []) {
+      publishedAt = newest(publishedAt, time(r?.publishedAtDate));
+      respondedAt = newest(respondedAt, time(r?.responseFromOwnerDate));
+    }
+    if (publishedAt === null && respondedAt === null) return;
+    const next = {
+      publishedAt: iso(publishedAt),
+      respondedAt: iso(respondedAt),
+    };
+    if (
+      next.publishedAt === cursor.publishedAt &&
+      next.respondedAt === cursor.respondedAt
+    ) {
+      return;
+    }
+    this.cursors.set(key, next);
+    this.dirty = true;
+  }
+
+  /**
+   * Writes the cursors if any moved, through a temporary file so a crash
+   * mid-write can't leave a truncated state file
+   */
+  async close() {
+    if (!this.dirty) return;
+    await writeFile(
+      `${this.path}.tmp`,
+      `${JSON.stringify(Object.fromEntries(this.cursors), null, 2)}\n`
+    );
+    await rename(`${this.path}.tmp`, this.path);
+    this.dirty = false;
+  }
+}
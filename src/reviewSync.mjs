@@ -0,0 +1,142 @@
+import { cfg } from "./config.mjs";
+import { diffFields } from "./diff.mjs";
+import { defaultMapper } from "./mapping.mjs";
+
+// What happens to reviews linked to a lead that are gone from the latest scrape
+export const PRUNE_MODES = ["off", "unlink", "delete"];
+
+// Airtable returns links as record IDs; they are written as { id } objects
+const linksTo = (value, id) =>
+  Array.isArray(value) &&
+  value.some((x) => (typeof x === "string" ? x : x?.id) === id);
+
+/**
+ * Syncs the reviews of one business with the reviews table
+ * New reviews are created, reviews whose tracked fields (text, stars and owner
+ * response in the default mapping) changed are updated, and unchanged reviews
+ * are left alone, so re-running the same
+ * scrape writes nothing. With pruning enabled, reviews still linked to the lead
+ * but missing from the scrape are unlinked or deleted; a review no longer
+ * linked to the lead is linked again once it shows up in a scrape
+ * A review Airtable rejects (e.g. an unknown select option) is reported in
+ * `failures` without stopping the other reviews from being written
+ * @param {Object} repo - Repository used for all reads and writes, see Repository in repo.mjs
+ * @param {Object} biz - Business record from the scrape
+ * @param {string} leadId - Record ID of the business's lead
+ * @param {Object} [options]
+ * @param {Object} [options.tables] - Table settings, defaults to cfg.airtable.tables
+ * @param {string} [options.prune] - One of PRUNE_MODES, defaults to cfg.behavior.pruneReviews
+ * @param {Object} [options.mapper] - Compiled mapping, see compileMapping
+ * @returns {Promise<{created: number, updated: number, pruned: number, failed: number, failures: Array<{reviewId: string, error: Error}>}>} Number of reviews written per operation, and the reviews that couldn't be written
+ * @throws {Error} If the prune mode is unknown
+ */
+export async function syncReviews(
+  repo,
+  biz,
+  leadId,
+  {
+    tables = cfg.airtable.tables,
+    prune = cfg.behavior.pruneReviews,
+    mapper = defaultMapper,
+  } = {}
+) {
+  if (!PRUNE_MODES.includes(prune)) {
+    throw new Error(
+      `Unknown prune mode "${prune}" (expected ${PRUNE_MODES.join(", ")})`
+    );
+  }
+  const { leads, reviews } = tables;
+
+  // Reviews without an ID can't be matched on the next run, so they are left out;
+  // a reviewId listed twice keeps its last copy
+  const byKey = new Map();
+  for (const r of Array.isArray(biz.reviews) ? biz.reviews : []) {
+    if (r && r.reviewId) byKey.set(String(r.reviewId), r);
+  }
+
+  const existing = byKey.size
+    ? await repo.findRecordsByKeys(
+        reviews.name,
+        reviews.keyField,
+        [...byKey.keys()],
+        { withFields: true }
+      )
+    : new Map();
+
+  const toCreate = [];
+  const toUpdate = [];
+  const current = new Set();
+  const keyOfId = new Map();
+  for (const [key, r] of byKey) {
+    const fields = mapper.mapReview(biz, r, leadId);
+    const rec = existing.get(key);
+    if (!rec) {
+      toCreate.push({ fields });
+      continue;
+    }
+    current.add(rec.id);
+    keyOfId.set(rec.id, key);
+    const tracked = Object.fromEntries(
+      mapper.trackedReviewFields.map((f) => [f, fields[f]])
+    );
+    const update = Object.fromEntries(
+      diffFields(rec.fields, tracked).map((d) => [d.field, d.to])
+    );
+    if (!linksTo(rec.fields[reviews.linkToLeadField], leadId)) {
+      update[reviews.linkToLeadField] = [{ id: leadId }];
+    }
+    if (Object.keys(update).length) {
+      toUpdate.push({ id: rec.id, fields: update });
+    }
+  }
+
+  const failures = [];
+  const collect = ({ failed }) => {
+    for (const { record, error } of failed) {
+      const reviewId =
+        record.fields?.[reviews.keyField] ??
+        keyOfId.get(record.id) ??
+        record.id;
+      failures.push({ reviewId, error });
+    }
+  };
+
+  let created = 0;
+  if (toCreate.length) {
+    const res = await repo.createMany(reviews.name, toCreate);
+    for (const rec of res.succeeded) current.add(rec.id);
+    created = res.succeeded.length;
+    collect(res);
+  }
+  let updated = 0;
+  if (toUpdate.length) {
+    const res = await repo.updateMany(reviews.name, toUpdate);
+    updated = res.succeeded.length;
+    collect(res);
+  }
+
+  // A business scraped without reviews says nothing about which ones are gone
+  let pruned = 0;
+  if (prune !== "off" && Array.isArray(biz.reviews)) {
+    const lead = await repo.getRecord(leads.name, leadId);
+    const stale = (lead?.fields?.[leads.reviewsField] || []).filter(
+      (id) => !current.has(id)
+    );
+    if (stale.length && prune === "delete") {
+      await repo.deleteMany(reviews.name, stale);
+      pruned = stale.length;
+    } else if (stale.length) {
+      const res = await repo.updateMany(
+        reviews.name,
+        stale.map((id) => ({
+          id,
+          fields: { [reviews.linkToLeadField]: [] },
+        }))
+      );
+      pruned = res.succeeded.length;
+      collect(res);
+    }
+  }
+
+  return { created, updated, pruned, failed: failures.length, failures };
+}
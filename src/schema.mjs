@@ -0,0 +1,207 @@
+import { cfg } from "./config.mjs";
+
+// Airtable field types that can hold what the mapping writes, per expected type
+const COMPATIBLE_TYPES = {
+  singleLineText: [
+    "singleLineText",
+    "multilineText",
+    "richText",
+    "email",
+    "url",
+    "phoneNumber",
+    "singleSelect",
+  ],
+  multilineText: ["multilineText", "richText"],
+  number: ["number", "currency", "percent", "rating", "duration"],
+  checkbox: ["checkbox"],
+  date: ["date", "dateTime"],
+  dateTime: ["dateTime", "date"],
+  singleSelect: ["singleSelect", "singleLineText"],
+  multipleSelects: ["multipleSelects"],
+  url: ["url", "singleLineText", "multilineText"],
+  email: ["email", "singleLineText"],
+  phoneNumber: ["phoneNumber", "singleLineText"],
+  multipleRecordLinks: ["multipleRecordLinks"],
+};
+
+// Options the Meta API requires when creating a field of each type
+const CREATE_OPTIONS = {
+  number: { precision: 2 },
+  checkbox: { icon: "check", color: "greenBright" },
+  date: { dateFormat: { name: "iso" } },
+  dateTime: {
+    dateFormat: { name: "iso" },
+    timeFormat: { name: "24hour" },
+    timeZone: "utc",
+  },
+  singleSelect: { choices: [] },
+  multipleSelects: { choices: [] },
+};
+
+const describeField = (f) => (f.linksTo ? `${f.type} to ${f.linksTo}` : f.type);
+
+/**
+ * Lists the tables and fields the import writes, with the type each field needs
+ * Key fields come first, so they become the primary field of a created table
+ * @param {Object} mapper - Compiled mapping, see compileMapping
+ * @param {Object} [tables] - Table settings, defaults to cfg.airtable.tables
+ * @returns {Array<{table: string, fields: Array<{name: string, type: string, linksTo?: string, inverse?: boolean}>}>} Expected tables, leads first
+ */
+export function expectedSchema(mapper, tables = cfg.airtable.tables) {
+  const { leads, reviews } = tables;
+  const keyFirst = (fields, keyField) =>
+    [...fields].sort((a, b) => (b.name === keyField) - (a.name === keyField));
+  return [
+    {
+      table: leads.name,
+      fields: [
+        ...keyFirst(mapper.schema.leads, leads.keyField),
+        // Airtable adds the inverse field itself when the review link is created
+        {
+          name: leads.reviewsField,
+          type: "multipleRecordLinks",
+          linksTo: reviews.name,
+          inverse: true,
+        },
+      ],
+    },
+    {
+      table: reviews.name,
+      fields: [
+        ...keyFirst(mapper.schema.reviews, reviews.keyField),
+        {
+          name: reviews.linkToLeadField,
+          type: "multipleRecordLinks",
+          linksTo: leads.name,
+        },
+      ],
+    },
+  ];
+}
+
+/**
+ * Compares the expected schema with the base's tables
+ * @param {Array} expected - Tables from expectedSchema
+ * @param {Array} actual - Tables from MetaApi#listTables
+ * @returns {Array<{table: string, field: string|null, problem: string, expected?: string, actual?: string}>} Missing or mismatched tables and fields
+ */
+export function compareSchema(expected, actual) {
+  const issues = [];
+  const byName = new Map(actual.map((t) => [t.name, t]));
+  const byId = new Map(actual.map((t) => [t.id, t]));
+  for (const { table, fields } of expected) {
+    const found = byName.get(table);
+    if (!found) {
+      issues.push({ table, field: null, problem: "missing table" });
+      continue;
+    }
+    for (const f of fields) {
+      const have = found.fields.find((x) => x.name === f.name);
+      const base = { table, field: f.name, expected: describeField(f) };
+      if (!have) {
+        issues.push({ ...base, problem: "missing field" });
+      } else if (!COMPATIBLE_TYPES[f.type].includes(have.type)) {
+        issues.push({ ...base, problem: "wrong type", actual: have.type });
+      } else if (
+        f.linksTo &&
+        byName.has(f.linksTo) &&
+        have.options?.linkedTableId !== byName.get(f.linksTo).id
+      ) {
+        const linked = byId.get(have.options?.linkedTableId);
+        issues.push({
+          ...base,
+          problem: "wrong link",
+          actual: `${have.type} to ${
+            linked?.name ?? have.options?.linkedTableId
+          }`,
+        });
+      }
+    }
+  }
+  return issues;
+}
+
+/**
+ * Creates the missing tables and fields; fields with the wrong type are left
+ * alone, as changing them could lose data
+ * @param {import("./metaApi.mjs").MetaApi} meta - Meta API client
+ * @param {Array} expected - Tables from expectedSchema, leads first
+ * @param {Array} actual - Tables from MetaApi#listTables
+ * @returns {Promise<string[]>} Description of each change made
+ */
+export async function applySchema(meta, expected, actual) {
+  const actions = [];
+  const ids = new Map(actual.map((t) => [t.name, t.id]));
+  const spec = (f) => {
+    const options = f.linksTo
+      ? { linkedTableId: ids.get(f.linksTo) }
+      : CREATE_OPTIONS[f.type];
+    return { name: f.name, type: f.type, ...(options ? { options } : {}) };
+  };
+
+  for (const { table, fields } of expected) {
+    const creatable = fields.filter((f) => !f.inverse);
+    const found = actual.find((t) => t.name === table);
+    if (!found) {
+      const created = await meta.createTable(table, creatable.map(spec));
+      ids.set(table, created.id);
+      actions.push(`created table ${table} (${creatable.length} fields)`);
+      continue;
+    }
+    for (const f of creatable) {
+      if (found.fields.some((x) => x.name === f.name)) continue;
+      await meta.createField(found.id, spec(f));
+      actions.push(`created field ${table}.${f.name} (${describeField(f)})`);
+    }
+  }
+  return actions;
+}
+
+/**
+ * Checks the base schema against the mapping, optionally creating what's missing
+ * @param {Object} options
+ * @param {import("./metaApi.mjs").MetaApi} options.meta - Meta API client
+ * @param {Object} options.mapper - Compiled mapping, see compileMapping
+ * @param {Object} [options.tables] - Table settings, defaults to cfg.airtable.tables
+ * @param {boolean} [options.apply=false] - Create missing tables and fields
+ * @returns {Promise<{issues: Array, actions: string[]}>} Issues left (after applying, if asked) and changes made
+ */
+export async function checkSchema({
+  meta,
+  mapper,
+  tables = cfg.airtable.tables,
+  apply = false,
+}) {
+  const expected = expectedSchema(mapper, tables);
+  let actual = await meta.listTables();
+  let actions = [];
+  if (apply && compareSchema(expected, actual).length) {
+    actions = await applySchema(meta, expected, actual);
+    actual = await meta.listTables();
+  }
+  return { issues: compareSchema(expected, actual), actions };
+}
+
+/**
+ * Renders a schema check as readable text
+ * @param {{issues: Array, actions: string[]}} result - Result of checkSchema
+ * @returns {string} Multi-line report
+ */
+export function formatSchemaReport({ issues, actions }) {
+  const lines = actions.map((a) => a[0].toUpperCase() + a.slice(1));
+  for (const i of issues) {
+    const where = i.field ? `${i.table}.${i.field}` : i.table;
+    const detail = i.actual
+      ? ` (expected ${i.expected}, found ${i.actual})`
+      : i.expected
+      ? ` (expected ${i.expected})`
+      : "";
+    lines.push(`${where}: ${i.problem}${detail}`);
+  }
+  lines.push(
+    issues.length
+      ? `${issues.length} schema issues`
+      : "Schema matches the mapping"
+  );
+  return lines.join("\n");
+}
@@ -1,5 +1,171 @@
+import { open } from "node:fs/promises";
+
+// Google place IDs are URL-safe tokens, e.g. "ChIJM9kflmzft4kRK5T5vyceXpk"; anything
+// with spaces, slashes or other punctuation is a scraping artefact (often a whole URL)
+const PLACE_ID_RE = /^[A-Za-z0-9_-]+$/;
+
+const isBlank = (v) => v == null || v === "";
+
+/**
+ * Tells whether a review's star rating is a whole number of stars from 1 to 5
+ * @param {any} stars - Rating as scraped
+ * @returns {boolean}
+ */
+export const isStarRating = (stars) =>
+  Number.isInteger(stars) && stars >= 1 && stars <= 5;
+
+const isDate = (v) => !Number.isNaN(new Date(v).getTime());
+
+const isHttpUrl = (v) => {
+  try {
+    return ["http:", "https:"].includes(new URL(v).protocol);
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Collects every problem with a business record instead of stopping at the first
+ * Errors make the record unusable and get it rejected; warnings are reported but
+ * the record is still imported (the offending value is mapped to null or the
+ * offending review is left out)
+ * @param {any} biz - Business record from the scrape
+ * @returns {Array<{level: "error"|"warning", field: string, message: string}>} Issues found, empty when the record is clean
+ */
+export function checkBiz(biz) {
+  const issues = [];
+  const error = (field, message) =>
+    issues.push({ level: "error", field, message });
+  const warning = (field, message) =>
+    issues.push({ level: "warning", field, message });
+
+  if (!biz || typeof biz !== "object" || Array.isArray(biz)) {
+    error("", "Invalid record");
+    return issues;
+  }
+
+  if (isBlank(biz.placeId)) error("placeId", "Missing placeId");
+  else if (!PLACE_ID_RE.test(String(biz.placeId))) {
+    error("placeId", `Malformed placeId "${biz.placeId}"`);
+  }
+  if (isBlank(biz.title)) {
+    error("title", `Missing title for placeId=${biz.placeId}`);
+  }
+
+  if (!isBlank(biz.totalScore)) {
+    if (
+      typeof biz.totalScore !== "number" ||
+      !Number.isFinite(biz.totalScore)
+    ) {
+      warning("totalScore", `Non-numeric totalScore "${biz.totalScore}"`);
+    } else if (biz.totalScore < 0 || biz.totalScore > 5) {
+      error("totalScore", `totalScore ${biz.totalScore} is outside 0-5`);
+    }
+  }
+  if (!isBlank(biz.website) && !isHttpUrl(biz.website)) {
+    warning("website", `Invalid website URL "${biz.website}"`);
+  }
+  if (!isBlank(biz.scrapedAt) && !isDate(biz.scrapedAt)) {
+    warning("scrapedAt", `Unparseable scrapedAt "${biz.scrapedAt}"`);
+  }
+
+  if (biz.reviews != null && !Array.isArray(biz.reviews)) {
+    error("reviews", "reviews must be an array");
+    return issues;
+  }
+  const seen = new Set();
+  (biz.reviews || []).forEach((r, i) => {
+    const at = `reviews[${i}]`;
+    if (!r || typeof r !== "object") {
+      warning(at, "Invalid review");
+      return;
+    }
+    if (isBlank(r.reviewId)) {
+      warning(`${at}.reviewId`, "Review without reviewId is left out");
+    } else if (seen.has(String(r.reviewId))) {
+      warning(
+        `${at}.reviewId`,
+        `Duplicate reviewId "${r.reviewId}", the last copy is kept`
+      );
+    } else {
+      seen.add(String(r.reviewId));
+    }
+    if (!isBlank(r.publishedAtDate) && !isDate(r.publishedAtDate)) {
+      warning(
+        `${at}.publishedAtDate`,
+        `Unparseable publishedAtDate "${r.publishedAtDate}"`
+      );
+    }
+    // One bad review mustn't reject the business with all its other reviews
+    const stars = r.stars ?? r.rating;
+    if (!isBlank(stars) && !isStarRating(stars)) {
+      warning(
+        `${at}.stars`,
+        `Star rating ${JSON.stringify(stars)} is outside 1-5, it is left empty`
+      );
+    }
+  });
+
+  return issues;
+}
+
+/**
+ * Validates a business record, throwing on the first problem that rejects it
+ * @param {any} biz - Business record from the scrape
+ * @throws {Error} Listing every error-level issue
+ */
 export function validateBiz(biz) {
-  if (!biz || typeof biz !== "object") throw new Error("Invalid record");
-  if (!biz.placeId) throw new Error("Missing placeId");
-  if (!biz.title) throw new Error(`Missing title for placeId=${biz.placeId}`);
+  const errors = checkBiz(biz).filter((i) => i.level === "error");
+  if (errors.length) throw new Error(errors.map((e) => e.message).join("; "));
+}
+
+/**
+ * Writes rejected records and their reasons to a JSON file, one entry at a time,
+ * so the ops team can fix the scrape without digging through logs
+ * The file is a JSON array of `{ index, placeId, title, issues, record }`
+ */
+export class RejectedReport {
+  constructor(path) {
+    this.path = path;
+    this.count = 0;
+    this.fh = null;
+  }
+
+  /**
+   * Creates the report file, replacing any earlier report
+   * @param {string} path - Output file path
+   * @returns {Promise<RejectedReport>} Opened report
+   */
+  static async create(path) {
+    const report = new RejectedReport(path);
+    report.fh = await open(path, "w");
+    await report.fh.write("[");
+    return report;
+  }
+
+  /**
+   * Appends a rejected record
+   * @param {number} index - Position of the record in the input
+   * @param {any} record - The record as read from the input
+   * @param {Array<Object>} issues - Issues from checkBiz
+   */
+  async add(index, record, issues) {
+    const entry = {
+      index,
+      placeId: record?.placeId ?? null,
+      title: record?.title ?? null,
+      issues,
+      record,
+    };
+    await this.fh.write(
+      `${this.count++ ? "," : ""}\n${JSON.stringify(entry, null, 2)}`
+    );
+  }
+
+  async close() {
+    if (!this.fh) return;
+    await this.fh.write(this.count ? "\n]\n" : "]\n");
+    await this.fh.close();
+    this.fh = null;
+  }
 }
@@ -0,0 +1,340 @@
+import {
+  jest,
+  describe,
+  test,
+  expect,
+  beforeEach,
+  beforeAll,
+  afterAll,
+} from "@jest/globals";
+
+// Mock fetch globally
+const originalFetch = globalThis.fetch;
+
+const ok = (data) => ({
+  ok: true,
+  status: 200,
+  json: jest.fn().mockResolvedValue(data),
+});
+
+const fail = (status, text) => ({
+  ok: false,
+  status,
+  text: jest.fn().mockResolvedValue(text),
+});
+
+describe("airtableRepo module", () => {
+  let mockFetch;
+  let AirtableRepo;
+  let cfg;
+
+  beforeAll(async () => {
+    process.env.AIRTABLE = "appTest";
+    process.env.AIRTABLE_TOKEN = "patTest";
+    ({ AirtableRepo } = await import("../src/airtableRepo.mjs"));
+    ({ cfg } = await import("../src/config.mjs"));
+    cfg.airtable.limits.requestsPerSecond = Infinity;
+    mockFetch = jest.fn();
+    globalThis.fetch = mockFetch;
+  });
+
+  afterAll(() => {
+    globalThis.fetch = originalFetch;
+  });
+
+  beforeEach(() => {
+    mockFetch.mockReset();
+    cfg.behavior.strictDuplicates = true;
+  });
+
+  describe("listAll", () => {
+    test("should follow the offset cursor across pages", async () => {
+      mockFetch
+        .mockResolvedValueOnce(
+          ok({ records: [{ id: "rec1" }, { id: "rec2" }], offset: "itr1" })
+        )
+        .mockResolvedValueOnce(ok({ records: [{ id: "rec3" }] }));
+      const repo = new AirtableRepo();
+
+      const ids = [];
+      for await (const rec of repo.listAll("leads", {
+        filterByFormula: '{city} = "Columbia"',
+        fields: ["placeId", "city"],
+        view: "Grid view",
+      })) {
+        ids.push(rec.id);
+      }
+
+      expect(ids).toEqual(["rec1", "rec2", "rec3"]);
+      expect(mockFetch).toHaveBeenCalledTimes(2);
+      const first = new URL(mockFetch.mock.calls[0][0]);
+      expect(first.pathname).toBe("/v0/appTest/leads");
+      expect(first.searchParams.get("filterByFormula")).toBe(
+        '{city} = "Columbia"'
+      );
+      expect(first.searchParams.getAll("fields[]")).toEqual([
+        "placeId",
+        "city",
+      ]);
+      expect(first.searchParams.get("view")).toBe("Grid view");
+      expect(first.searchParams.get("offset")).toBeNull();
+      const second = new URL(mockFetch.mock.calls[1][0]);
+      expect(second.searchParams.get("offset")).toBe("itr1");
+    });
+
+    test("should throw once more than maxRecords are listed", async () => {
+      mockFetch
+        .mockResolvedValueOnce(ok({ records: [{ id: "rec1" }], offset: "a" }))
+        .mockResolvedValueOnce(ok({ records: [{ id: "rec2" }], offset: "b" }));
+      const repo = new AirtableRepo();
+
+      const ids = [];
+      await expect(async () => {
+        for await (const rec of repo.listAll("leads", { maxRecords: 1 })) {
+          ids.push(rec.id);
+        }
+      }).rejects.toThrow("Listing leads exceeded maxRecords=1");
+      expect(ids).toEqual(["rec1"]);
+    });
+  });
+
+  describe("findAllByField", () => {
+    test("should return matches from every page", async () => {
+      mockFetch
+        .mockResolvedValueOnce(ok({ records: [{ id: "rec1" }], offset: "a" }))
+        .mockResolvedValueOnce(ok({ records: [{ id: "rec2" }] }));
+      const repo = new AirtableRepo();
+
+      const all = await repo.findAllByField("leads", "placeId", "p1");
+
+      expect(all.map((r) => r.id)).toEqual(["rec1", "rec2"]);
+    });
+  });
+
+  describe("findRecordsByKeys", () => {
+    test("should map keys found on every page to record IDs", async () => {
+      mockFetch
+        .mockResolvedValueOnce(
+          ok({
+            records: [{ id: "rec1", fields: { reviewId: "r1" } }],
+            offset: "a",
+          })
+        )
+        .mockResolvedValueOnce(
+          ok({ records: [{ id: "rec2", fields: { reviewId: "r2" } }] })
+        );
+      const repo = new AirtableRepo();
+
+      const map = await repo.findRecordsByKeys("reviews", "reviewId", [
+        "r1",
+        "r2",
+      ]);
+
+      expect(map).toEqual(
+        new Map([
+          ["r1", "rec1"],
+          ["r2", "rec2"],
+        ])
+      );
+      expect(
+        new URL(mockFetch.mock.calls[0][0]).searchParams.get("filterByFormula")
+      ).toBe('OR({reviewId} = "r1",{reviewId} = "r2")');
+    });
+  });
+
+  describe("createMany", () => {
+    test("should bisect a rejected batch and write every valid record", async () => {
+      // Airtable rejects any batch holding r3, and accepts the others
+      mockFetch.mockImplementation(async (url, { body }) => {
+        const { records } = JSON.parse(body);
+        if (records.some((r) => r.fields.reviewId === "r3")) {
+          return fail(
+            422,
+            '{"error":{"type":"INVALID_MULTIPLE_CHOICE_OPTIONS","message":"Insufficient permissions to create new select option"}}'
+          );
+        }
+        return ok({
+          records: records.map((r) => ({ id: `rec_${r.fields.reviewId}` })),
+        });
+      });
+      const repo = new AirtableRepo();
+      const records = ["r1", "r2", "r3", "r4", "r5"].map((reviewId) => ({
+        fields: { reviewId },
+      }));
+
+      const res = await repo.createMany("reviews", records);
+
+      expect(res.succeeded.map((r) => r.id)).toEqual([
+        "rec_r1",
+        "rec_r2",
+        "rec_r4",
+        "rec_r5",
+      ]);
+      expect(res.failed).toEqual([
+        {
+          record: records[2],
+          error: expect.objectContaining({
+            status: 422,
+            type: "INVALID_MULTIPLE_CHOICE_OPTIONS",
+          }),
+        },
+      ]);
+      // [r1..r5] -> [r1..r3] -> [r1,r2] ok, [r3] fails -> [r4,r5] ok
+      expect(mockFetch).toHaveBeenCalledTimes(5);
+    });
+
+    test("should still throw on errors other than a 422", async () => {
+      mockFetch.mockResolvedValue(fail(403, "Forbidden"));
+      const repo = new AirtableRepo();
+
+      await expect(
+        repo.updateMany("reviews", [{ id: "rec1", fields: {} }])
+      ).rejects.toThrow("HTTP 403: Forbidden");
+    });
+  });
+
+  describe("upsertManyByKey", () => {
+    test("should send one performUpsert request per batch", async () => {
+      mockFetch.mockResolvedValue(
+        ok({
+          records: [{ id: "rec1" }, { id: "rec2" }],
+          createdRecords: ["rec2"],
+          updatedRecords: ["rec1"],
+        })
+      );
+      const repo = new AirtableRepo();
+
+      const res = await repo.upsertManyByKey("leads", "placeId", [
+        { placeId: "p1", companyName: "One" },
+        { placeId: "p2", companyName: "Two" },
+      ]);
+
+      expect(mockFetch).toHaveBeenCalledTimes(1);
+      const [url, options] = mockFetch.mock.calls[0];
+      expect(url).toBe("https://api.airtable.com/v0/appTest/leads");
+      expect(options.method).toBe("PATCH");
+      expect(JSON.parse(options.body)).toEqual({
+        performUpsert: { fieldsToMergeOn: ["placeId"] },
+        records: [
+          { fields: { placeId: "p1", companyName: "One" } },
+          { fields: { placeId: "p2", companyName: "Two" } },
+        ],
+      });
+      expect(res).toEqual(
+        new Map([
+          ["p1", { id: "rec1", created: false }],
+          ["p2", { id: "rec2", created: true }],
+        ])
+      );
+    });
+
+    test("should split records into batches of the configured size", async () => {
+      const records = Array.from({ length: 12 }, (_, i) => ({
+        placeId: `p${i}`,
+      }));
+      mockFetch.mockImplementation(async (url, options) => {
+        const body = JSON.parse(options.body);
+        return ok({
+          records: body.records.map((r) => ({ id: `rec_${r.fields.placeId}` })),
+          createdRecords: [],
+        });
+      });
+      const repo = new AirtableRepo();
+
+      const res = await repo.upsertManyByKey("leads", "placeId", records);
+
+      expect(mockFetch).toHaveBeenCalledTimes(2);
+      expect(res.size).toBe(12);
+      expect(res.get("p11")).toEqual({ id: "rec_p11", created: false });
+    });
+
+    test("should merge records sharing a key, keeping the last one", async () => {
+      mockFetch.mockResolvedValue(
+        ok({ records: [{ id: "rec1" }], createdRecords: ["rec1"] })
+      );
+      const repo = new AirtableRepo();
+
+      await repo.upsertManyByKey("leads", "placeId", [
+        { placeId: "p1", companyName: "Old" },
+        { placeId: "p1", companyName: "New" },
+      ]);
+
+      expect(JSON.parse(mockFetch.mock.calls[0][1].body).records).toEqual([
+        { fields: { placeId: "p1", companyName: "New" } },
+      ]);
+    });
+
+    test("should reject records without a key", async () => {
+      const repo = new AirtableRepo();
+
+      await expect(
+        repo.upsertManyByKey("leads", "placeId", [{ companyName: "x" }])
+      ).rejects.toThrow("Upsert missing placeId");
+      expect(mockFetch).not.toHaveBeenCalled();
+    });
+
+    test("should report duplicates on ambiguous matches under strictDuplicates", async () => {
+      mockFetch
+        .mockResolvedValueOnce(
+          fail(422, "Cannot update more than one record with the same key")
+        )
+        .mockResolvedValueOnce(
+          ok({ records: [{ id: "recA" }, { id: "recB" }] })
+        );
+      const repo = new AirtableRepo();
+
+      await expect(
+        repo.upsertManyByKey("leads", "placeId", [{ placeId: "p1" }])
+      ).rejects.toThrow('Duplicate leads where placeId="p1" (2 found)');
+    });
+
+    test("should not mistake a new select option for an ambiguous match", async () => {
+      mockFetch.mockResolvedValueOnce(
+        fail(
+          422,
+          JSON.stringify({
+            error: {
+              type: "INVALID_MULTIPLE_CHOICE_OPTIONS",
+              message:
+                'Insufficient permissions to create new select option ""Plumber""',
+            },
+          })
+        )
+      );
+      const repo = new AirtableRepo();
+
+      await expect(
+        repo.upsertManyByKey("leads", "placeId", [
+          { placeId: "p1", categories: ["Plumber"] },
+          { placeId: "p2" },
+        ])
+      ).rejects.toMatchObject({
+        status: 422,
+        type: "INVALID_MULTIPLE_CHOICE_OPTIONS",
+      });
+      expect(mockFetch).toHaveBeenCalledTimes(1);
+    });
+
+    test("should update the first match on ambiguous matches otherwise", async () => {
+      cfg.behavior.strictDuplicates = false;
+      mockFetch
+        .mockResolvedValueOnce(
+          fail(422, "Cannot update more than one record with the same key")
+        )
+        .mockResolvedValueOnce(
+          ok({ records: [{ id: "recA" }, { id: "recB" }] })
+        )
+        .mockResolvedValueOnce(ok({ id: "recA" }));
+      const repo = new AirtableRepo();
+
+      const res = await repo.upsertManyByKey("leads", "placeId", [
+        { placeId: "p1" },
+      ]);
+
+      expect(res.get("p1")).toEqual({ id: "recA", created: false });
+      expect(mockFetch.mock.calls[2][0]).toBe(
+        "https://api.airtable.com/v0/appTest/leads/recA"
+      );
+    });
+  });
+});
@@ -0,0 +1,50 @@
+import { describe, test, expect, beforeAll, afterAll } from "@jest/globals";
+import { mkdtemp, readFile, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { AuditLog } from "../src/audit.mjs";
+
+describe("audit module", () => {
+  let dir;
+
+  beforeAll(async () => {
+    dir = await mkdtemp(join(tmpdir(), "audit-"));
+  });
+
+  afterAll(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  test("should append one line per changed field across runs", async () => {
+    const path = join(dir, "audit.jsonl");
+    const at = new Date("2024-05-01T12:00:00Z");
+
+    for (const to of ["B", "C"]) {
+      const log = await AuditLog.open(path);
+      await log.add(
+        "leads",
+        "p1",
+        "rec1",
+        [{ field: "city", from: "A", to }],
+        at
+      );
+      await log.add("leads", "p2", "rec2", [], at);
+      await log.close();
+      expect(log.count).toBe(1);
+    }
+
+    const lines = (await readFile(path, "utf8")).trim().split("\n");
+    expect(lines.map((l) => JSON.parse(l))).toEqual([
+      {
+        at: "2024-05-01T12:00:00.000Z",
+        table: "leads",
+        key: "p1",
+        recordId: "rec1",
+        field: "city",
+        from: "A",
+        to: "B",
+      },
+      expect.objectContaining({ from: "A", to: "C" }),
+    ]);
+  });
+});
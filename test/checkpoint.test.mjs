@@ -0,0 +1,206 @@
+import {
+  jest,
+  describe,
+  test,
+  expect,
+  beforeEach,
+  afterEach,
+} from "@jest/globals";
+import { appendFile, mkdtemp, readFile, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { Checkpoint, hashFile } from "../src/checkpoint.mjs";
+import { runImport } from "../src/importer.mjs";
+import { JsonFileRepo } from "../src/jsonFileRepo.mjs";
+
+const tables = {
+  leads: { name: "leads", keyField: "placeId" },
+  reviews: { name: "reviews", keyField: "reviewId", linkToLeadField: "lead" },
+};
+
+const biz = (placeId) => ({ placeId, title: `Business ${placeId}` });
+
+describe("checkpoint module", () => {
+  let dir;
+  let input;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), "leads-checkpoint-"));
+    input = join(dir, "leads.json");
+    await writeFile(input, JSON.stringify([biz("p1"), biz("p2"), biz("p3")]));
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  test("should name the journal after the input's content hash", async () => {
+    const cp = await Checkpoint.forInput(input, { dir });
+    await cp.close();
+
+    expect(cp.path).toBe(join(dir, `${await hashFile(input)}.jsonl`));
+    expect(await hashFile(input)).toMatch(/^[0-9a-f]{16}$/);
+  });
+
+  test("should skip completed businesses on resume", async () => {
+    const first = await Checkpoint.forInput(input, { dir });
+    await first.done("p1", "rec1", { created: 2, updated: 0, pruned: 0 });
+    await first.fail("p2", "HTTP 429 after 5 retries");
+    await first.close();
+    // Simulate a run killed halfway through writing a line
+    await appendFile(first.path, '{"type":"done","placeId":"p3"');
+
+    const resumed = await Checkpoint.forInput(input, { dir, mode: "resume" });
+    await resumed.close();
+
+    expect(resumed.shouldImport("p1")).toBe(false);
+    expect(resumed.shouldImport("p2")).toBe(true);
+    expect(resumed.shouldImport("p3")).toBe(true);
+  });
+
+  test("should import only failed businesses on retry-failed", async () => {
+    const first = await Checkpoint.forInput(input, { dir });
+    await first.done("p1", "rec1", { created: 0, updated: 0, pruned: 0 });
+    await first.fail("p2", "boom");
+    await first.fail("p3", "boom");
+    await first.done("p3", "rec3", { created: 0, updated: 0, pruned: 0 });
+    await first.close();
+
+    const retry = await Checkpoint.forInput(input, {
+      dir,
+      mode: "retry-failed",
+    });
+    await retry.close();
+
+    expect(retry.shouldImport("p1")).toBe(false);
+    expect(retry.shouldImport("p2")).toBe(true);
+    expect(retry.shouldImport("p3")).toBe(false);
+  });
+
+  test("should start a fresh journal when not resuming", async () => {
+    const first = await Checkpoint.forInput(input, { dir });
+    await first.done("p1", "rec1", {});
+    await first.close();
+
+    const fresh = await Checkpoint.forInput(input, { dir });
+    await fresh.close();
+
+    expect(fresh.shouldImport("p1")).toBe(true);
+    expect(await readFile(fresh.path, "utf8")).toBe("");
+  });
+
+  test("should let runImport journal progress and resume from it", async () => {
+    const repo = {
+      upsertManyByKey: jest.fn(async (table, keyField, records) => {
+        if (records.some((f) => f.placeId === "p2")) {
+          throw new Error("HTTP 429 after 5 retries");
+        }
+        return new Map(
+          records.map((f) => [f.placeId, { id: `rec_${f.placeId}` }])
+        );
+      }),
+      findRecordsByKeys: jest.fn().mockResolvedValue(new Map()),
+    };
+    const options = { repo, tables, batchSize: 1, concurrency: 1 };
+
+    const first = await Checkpoint.forInput(input, { dir });
+    const summary = await runImport([biz("p1"), biz("p2"), biz("p3")], {
+      ...options,
+      checkpoint: first,
+    });
+    await first.close();
+    expect(summary).toMatchObject({ updated: 2, failed: 1 });
+
+    repo.upsertManyByKey.mockClear();
+    const retry = await Checkpoint.forInput(input, {
+      dir,
+      mode: "retry-failed",
+    });
+    const again = await runImport([biz("p1"), biz("p2"), biz("p3")], {
+      ...options,
+      checkpoint: retry,
+    });
+    await retry.close();
+
+    expect(again).toMatchObject({ resumed: 2, failed: 1 });
+    expect(repo.upsertManyByKey).toHaveBeenCalledTimes(1);
+    expect(repo.upsertManyByKey.mock.calls[0][2]).toEqual([
+      expect.objectContaining({ placeId: "p2" }),
+    ]);
+  });
+
+  describe("with a repository buffering its writes", () => {
+    const fileTables = {
+      leads: { ...tables.leads, reviewsField: "reviews" },
+      reviews: tables.reviews,
+    };
+    const fileRepo = () =>
+      new JsonFileRepo({
+        dir: join(dir, "db"),
+        tables: fileTables,
+        flushIntervalMs: Infinity,
+      });
+    const journalOf = async (cp) =>
+      (await readFile(cp.path, "utf8"))
+        .split("\n")
+        .filter(Boolean)
+        .map((line) => JSON.parse(line));
+
+    test("should journal businesses only once their writes are on disk", async () => {
+      const cp = await Checkpoint.forInput(input, { dir });
+      let ticks = 0;
+      let imported;
+      const done = new Promise((resolve) => {
+        imported = resolve;
+      });
+      // The process dies after three businesses, before the repo flushed them
+      async function* killedAfterThree() {
+        yield* [biz("p1"), biz("p2"), biz("p3")];
+        await new Promise(() => {});
+      }
+      runImport(killedAfterThree(), {
+        repo: fileRepo(),
+        tables: fileTables,
+        batchSize: 1,
+        concurrency: 1,
+        checkpoint: cp,
+        progress: { tick: () => ++ticks === 3 && imported() },
+      });
+      await done;
+      await new Promise((resolve) => setImmediate(resolve));
+
+      expect(await journalOf(cp)).toEqual([]);
+      await cp.close();
+
+      const resumed = await Checkpoint.forInput(input, {
+        dir,
+        mode: "resume",
+      });
+      const repo = fileRepo();
+      const summary = await runImport([biz("p1"), biz("p2"), biz("p3")], {
+        repo,
+        tables: fileTables,
+        checkpoint: resumed,
+      });
+      await resumed.close();
+      await repo.close();
+
+      expect(summary).toMatchObject({ created: 3, resumed: 0 });
+      expect(
+        (await journalOf(resumed)).map((e) => [e.type, e.placeId])
+      ).toEqual([
+        ["done", "p1"],
+        ["done", "p2"],
+        ["done", "p3"],
+      ]);
+      const saved = JSON.parse(
+        await readFile(join(dir, "db", "leads.json"), "utf8")
+      );
+      expect(saved.map((r) => r.fields.placeId).sort()).toEqual([
+        "p1",
+        "p2",
+        "p3",
+      ]);
+    });
+  });
+});
@@ -0,0 +1,156 @@
+import { describe, test, expect, beforeAll, afterAll } from "@jest/globals";
+import { mkdtemp, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import {
+  csvRecords,
+  formatCsvRow,
+  loadColumns,
+  parseCsv,
+} from "../src/csv.mjs";
+
+const collect = async (iterable) => {
+  const out = [];
+  for await (const item of iterable) out.push(item);
+  return out;
+};
+
+async function* chunked(text, size) {
+  for (let i = 0; i < text.length; i += size) yield text.slice(i, i + size);
+}
+
+const records = (text, options) =>
+  collect(csvRecords(parseCsv(chunked(text, 5)), options));
+
+describe("csv module", () => {
+  let dir;
+
+  beforeAll(async () => {
+    dir = await mkdtemp(join(tmpdir(), "leads-csv-"));
+  });
+
+  afterAll(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  describe("parseCsv", () => {
+    test("should parse quoted fields regardless of chunk boundaries", async () => {
+      const text =
+        '\uFEFFtitle,text\r\n"Smith, Sons","Said ""hi""\nthen left"\r\n\r\nplain,\n';
+
+      for (const size of [1, 2, 7, text.length]) {
+        expect(await collect(parseCsv(chunked(text, size)))).toEqual([
+          ["title", "text"],
+          ["Smith, Sons", 'Said "hi"\nthen left'],
+          ["plain", ""],
+        ]);
+      }
+    });
+
+    test("should name the line of an unclosed quote", async () => {
+      await expect(
+        collect(parseCsv(chunked('a,b\n1,"oops\n2,3\n', 4)))
+      ).rejects.toThrow("Unclosed quote in the CSV field starting on line 2");
+    });
+  });
+
+  describe("csvRecords", () => {
+    test("should rebuild nested values from the columns of an Apify export", async () => {
+      const text = [
+        "title,placeId,totalScore,permanentlyClosed,location/lat,categories/0,categories/1,reviews/0/reviewId,reviews/0/stars,reviews/1/reviewId,reviews/1/stars",
+        "Plumber,p1,4.7,false,39.2,Plumber,,r1,5,,",
+      ].join("\n");
+
+      expect(await records(text)).toEqual([
+        {
+          title: "Plumber",
+          placeId: "p1",
+          totalScore: 4.7,
+          permanentlyClosed: false,
+          location: { lat: 39.2 },
+          categories: ["Plumber"],
+          reviews: [{ reviewId: "r1", stars: 5 }],
+        },
+      ]);
+    });
+
+    test("should rename and convert columns through the column mapping", async () => {
+      const text = [
+        "Business Name,Place,Rating,Tags,Internal notes",
+        'Acme,p1,n/a,"Plumber, Water heater",call back',
+      ].join("\n");
+
+      expect(
+        await records(text, {
+          columns: {
+            "Business Name": "title",
+            Place: "placeId",
+            Rating: { field: "totalScore", type: "number" },
+            Tags: "categories",
+            "Internal notes": null,
+          },
+        })
+      ).toEqual([
+        {
+          title: "Acme",
+          placeId: "p1",
+          totalScore: "n/a",
+          categories: ["Plumber", "Water heater"],
+        },
+      ]);
+    });
+
+    test("should type review columns when rows are reviews", async () => {
+      expect(
+        await records("placeId,reviewId,stars,isLocalGuide\np1,r1,4,yes\n", {
+          table: "reviews",
+        })
+      ).toEqual([
+        { placeId: "p1", reviewId: "r1", stars: 4, isLocalGuide: true },
+      ]);
+    });
+
+    test("should reject unknown column types", async () => {
+      await expect(
+        records("a\n1\n", { columns: { a: { field: "a", type: "date" } } })
+      ).rejects.toThrow('Unknown column type "date" for a');
+    });
+  });
+
+  describe("loadColumns", () => {
+    test("should load a column mapping per table", async () => {
+      const path = join(dir, "columns.json");
+      const spec = { leads: { Name: "title" }, reviews: { Place: "placeId" } };
+      await writeFile(path, JSON.stringify(spec));
+
+      expect(await loadColumns(path)).toEqual(spec);
+    });
+
+    test("should name the file when the mapping is invalid", async () => {
+      const path = join(dir, "bad.json");
+      await writeFile(path, JSON.stringify({ businesses: {} }));
+
+      await expect(loadColumns(path)).rejects.toThrow(
+        `${path}: expected { "leads": {...}, "reviews": {...} }`
+      );
+    });
+  });
+
+  describe("formatCsvRow", () => {
+    test("should quote the cells that need it", () => {
+      expect(
+        formatCsvRow(["a", 'say "hi"', "x,y", "two\nlines", " pad", 4, null])
+      ).toBe('a,"say ""hi""","x,y","two\nlines"," pad",4,\r\n');
+    });
+
+    test("should join lists and write objects as JSON", async () => {
+      const row = formatCsvRow([["Plumber", "Gas"], { oneStar: 1 }, true]);
+
+      expect(row).toBe('"Plumber, Gas","{""oneStar"":1}",true\r\n');
+      expect(await collect(parseCsv(chunked(`a,b,c\r\n${row}`, 5)))).toEqual([
+        ["a", "b", "c"],
+        ["Plumber, Gas", '{"oneStar":1}', "true"],
+      ]);
+    });
+  });
+});
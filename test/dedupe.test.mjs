@@ -0,0 +1,92 @@
+import { describe, test, expect } from "@jest/globals";
+import {
+  countCopies,
+  mergeBusinesses,
+  mergeDuplicates,
+} from "../src/dedupe.mjs";
+
+const collect = async (iterable) => {
+  const out = [];
+  for await (const item of iterable) out.push(item);
+  return out;
+};
+
+describe("dedupe module", () => {
+  describe("mergeBusinesses", () => {
+    test("should keep the newest scalars, the best rank and every review", () => {
+      const merged = mergeBusinesses([
+        {
+          placeId: "p1",
+          title: "New name",
+          phone: null,
+          rank: 7,
+          scrapedAt: "2025-09-03T00:00:00Z",
+          reviews: [
+            { reviewId: "r2", stars: 4 },
+            { reviewId: "r3", stars: 5 },
+          ],
+        },
+        {
+          placeId: "p1",
+          title: "Old name",
+          phone: "555-0100",
+          rank: 2,
+          scrapedAt: "2025-09-01T00:00:00Z",
+          reviews: [
+            { reviewId: "r1", stars: 3 },
+            { reviewId: "r2", stars: 1 },
+          ],
+        },
+      ]);
+
+      expect(merged).toEqual({
+        placeId: "p1",
+        title: "New name",
+        phone: "555-0100",
+        rank: 2,
+        scrapedAt: "2025-09-03T00:00:00Z",
+        reviews: [
+          { reviewId: "r1", stars: 3 },
+          { reviewId: "r2", stars: 4 },
+          { reviewId: "r3", stars: 5 },
+        ],
+      });
+    });
+
+    test("should treat a copy without scrapedAt as the oldest", () => {
+      expect(
+        mergeBusinesses([
+          { placeId: "p1", title: "Dated", scrapedAt: "2025-01-01" },
+          { placeId: "p1", title: "Undated" },
+        ]).title
+      ).toBe("Dated");
+    });
+  });
+
+  describe("mergeDuplicates", () => {
+    test("should emit each business once, merged at its last copy", async () => {
+      const input = [
+        { placeId: "p1", rank: 3, reviews: [{ reviewId: "a" }] },
+        { placeId: "p2" },
+        { title: "no id" },
+        { placeId: "p1", rank: 1, reviews: [{ reviewId: "b" }] },
+        { placeId: "p3" },
+      ];
+
+      const copies = await countCopies(input);
+      const out = await collect(mergeDuplicates(input, copies));
+
+      expect(copies).toEqual(new Map([["p1", 2]]));
+      expect(out).toEqual([
+        { placeId: "p2" },
+        { title: "no id" },
+        {
+          placeId: "p1",
+          rank: 1,
+          reviews: [{ reviewId: "a" }, { reviewId: "b" }],
+        },
+        { placeId: "p3" },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,31 @@
+import { describe, test, expect } from "@jest/globals";
+import { diffFields } from "../src/diff.mjs";
+
+describe("diff module", () => {
+  describe("diffFields", () => {
+    test("should list only changed fields", () => {
+      expect(
+        diffFields(
+          { companyName: "Old", city: "Columbia" },
+          { companyName: "New", city: "Columbia", state: "MD" }
+        )
+      ).toEqual([
+        { field: "companyName", from: "Old", to: "New" },
+        { field: "state", from: null, to: "MD" },
+      ]);
+    });
+
+    test("should treat missing fields as null", () => {
+      expect(diffFields({}, { state: null })).toEqual([]);
+    });
+
+    test("should treat values Airtable leaves out as empty", () => {
+      expect(
+        diffFields({}, { phone: "", categories: [], claimed: false })
+      ).toEqual([]);
+      expect(diffFields({ claimed: true }, { claimed: false })).toEqual([
+        { field: "claimed", from: true, to: false },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,90 @@
+import { jest, describe, test, expect } from "@jest/globals";
+import { DryRunRepo, formatPlan } from "../src/dryRunRepo.mjs";
+
+describe("dryRunRepo module", () => {
+  describe("DryRunRepo", () => {
+    test("should record creates without a reader", async () => {
+      const repo = new DryRunRepo();
+
+      const lead = await repo.upsertByKey("leads", "placeId", {
+        placeId: "p1",
+      });
+      await repo.createMany("reviews", [{ fields: { reviewId: "r1" } }]);
+
+      expect(lead).toEqual({ id: "dryRun1", created: true });
+      expect(
+        await repo.findRecordsByKeys("reviews", "reviewId", ["r1"])
+      ).toEqual(new Map());
+      expect(repo.plan().counts).toEqual({
+        leads: { create: 1, update: 0, delete: 0 },
+        reviews: { create: 1, update: 0, delete: 0 },
+      });
+    });
+
+    test("should diff against existing records when a reader is given", async () => {
+      const reader = {
+        findOneByField: jest.fn().mockResolvedValue({
+          id: "recLead",
+          fields: { placeId: "p1", companyName: "Old" },
+        }),
+      };
+      const repo = new DryRunRepo({ reader });
+
+      const lead = await repo.upsertByKey("leads", "placeId", {
+        placeId: "p1",
+        companyName: "New",
+      });
+
+      expect(lead).toEqual({ id: "recLead", created: false });
+      expect(reader.findOneByField).toHaveBeenCalledWith(
+        "leads",
+        "placeId",
+        "p1"
+      );
+      const [write] = repo.plan().writes;
+      expect(write.diff).toEqual([
+        { field: "companyName", from: "Old", to: "New" },
+      ]);
+      expect(formatPlan(repo.plan())).toContain('companyName: "Old" -> "New"');
+    });
+
+    test("should diff upserts against the records just looked up", async () => {
+      const stored = (placeId) => ({
+        id: `rec_${placeId}`,
+        fields: { placeId, companyName: "Old" },
+      });
+      const reader = {
+        findRecordsByKeys: jest.fn(
+          async (table, keyField, keys) =>
+            new Map(keys.map((k) => [k, stored(k)]))
+        ),
+        findOneByField: jest.fn(),
+      };
+      const repo = new DryRunRepo({ reader });
+
+      await repo.findRecordsByKeys("leads", "placeId", ["p1", "p2"], {
+        withFields: true,
+      });
+      const res = await repo.upsertManyByKey("leads", "placeId", [
+        { placeId: "p1", companyName: "New" },
+        { placeId: "p2", companyName: "New" },
+        { placeId: "p3", companyName: "New" },
+      ]);
+
+      expect(reader.findOneByField).not.toHaveBeenCalled();
+      expect(reader.findRecordsByKeys).toHaveBeenCalledTimes(2);
+      expect(reader.findRecordsByKeys).toHaveBeenLastCalledWith(
+        "leads",
+        "placeId",
+        ["p3"],
+        { withFields: true }
+      );
+      expect(res.get("p1")).toEqual({ id: "rec_p1", created: false });
+      expect(repo.plan().writes.map((w) => w.diff)).toEqual([
+        [{ field: "companyName", from: "Old", to: "New" }],
+        [{ field: "companyName", from: "Old", to: "New" }],
+        [{ field: "companyName", from: "Old", to: "New" }],
+      ]);
+    });
+  });
+});
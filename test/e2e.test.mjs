@@ -0,0 +1,396 @@
+import {
+  jest,
+  describe,
+  test,
+  expect,
+  beforeAll,
+  afterAll,
+  beforeEach,
+} from "@jest/globals";
+import { execFile } from "node:child_process";
+import { mkdtemp, readFile, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join, resolve } from "node:path";
+import { promisify } from "node:util";
+import { AirtableRepo } from "../src/airtableRepo.mjs";
+import { cfg } from "../src/config.mjs";
+import { runImport } from "../src/importer.mjs";
+import { readBusinesses } from "../src/input.mjs";
+import { RateLimiter } from "../src/rateLimiter.mjs";
+import { ReviewCursors } from "../src/reviewCursors.mjs";
+import { FakeAirtable, parseFormula } from "./fakeAirtable.mjs";
+
+const SAMPLE = "data/leads.sample.json";
+const CLI = resolve("src/index.mjs");
+
+const tables = {
+  leads: { name: "leads", keyField: "placeId", reviewsField: "reviews" },
+  reviews: { name: "reviews", keyField: "reviewId", linkToLeadField: "lead" },
+};
+
+describe("end-to-end against a fake Airtable API", () => {
+  let airtable;
+  let repo;
+  let sample;
+
+  beforeAll(async () => {
+    sample = JSON.parse(await readFile(SAMPLE, "utf8"));
+    // Retries after a 5xx back off for up to 2^attempt * baseDelayMs
+    cfg.airtable.retry.baseDelayMs = 1;
+  });
+
+  afterAll(() => {
+    delete cfg.airtable.retry.baseDelayMs;
+  });
+
+  beforeEach(async () => {
+    await airtable?.close();
+    airtable = await new FakeAirtable().start();
+    repo = new AirtableRepo({
+      baseId: "appTest",
+      token: "patTest",
+      apiUrl: airtable.url,
+      limiter: new RateLimiter({ ratePerSec: 1000 }),
+    });
+  });
+
+  afterAll(async () => {
+    await airtable.close();
+  });
+
+  describe("fake API", () => {
+    test.each([
+      ['{placeId} = "p1"', { placeId: "p1" }, true],
+      ['{placeId} = "p1"', { placeId: "p2" }, false],
+      ['OR({placeId} = "p1", {placeId} = "p2")', { placeId: "p2" }, true],
+      ['AND({a} = "x", NOT({b} = 2))', { a: "x", b: 3 }, true],
+      ['{title} = "say \\"hi\\""', { title: 'say "hi"' }, true],
+      ['{missing} != ""', {}, false],
+    ])("should evaluate %s", (formula, fields, expected) => {
+      expect(parseFormula(formula)(fields)).toBe(expected);
+    });
+
+    test("should answer 422 to formulas it doesn't support", async () => {
+      const listing = repo.listAll("leads", {
+        filterByFormula: "SEARCH('x', {title})",
+      });
+
+      await expect(listing.next()).rejects.toMatchObject({
+        status: 422,
+        type: "INVALID_FILTER_BY_FORMULA",
+      });
+    });
+  });
+
+  describe("AirtableRepo", () => {
+    test("should page through large result sets", async () => {
+      airtable.seed(
+        "leads",
+        Array.from({ length: 250 }, (_, i) => ({ placeId: `p${i}` }))
+      );
+
+      const found = await repo.findRecordsByKeys(
+        "leads",
+        "placeId",
+        Array.from({ length: 45 }, (_, i) => `p${i * 5}`)
+      );
+      const all = [];
+      for await (const rec of repo.listAll("leads")) all.push(rec);
+
+      expect(found.size).toBe(45);
+      expect(all).toHaveLength(250);
+      expect(airtable.count({ method: "GET" })).toBe(3 + 3); // 3 OR groups + 3 pages
+    });
+
+    test("should upsert in batches, reporting created and updated records", async () => {
+      const [existing] = airtable.seed("leads", [
+        { placeId: "p0", companyName: "Old" },
+      ]);
+
+      const result = await repo.upsertManyByKey(
+        "leads",
+        "placeId",
+        Array.from({ length: 12 }, (_, i) => ({
+          placeId: `p${i}`,
+          companyName: `Business ${i}`,
+        }))
+      );
+
+      expect(result.get("p0")).toEqual({ id: existing.id, created: false });
+      expect([...result.values()].filter((r) => r.created)).toHaveLength(11);
+      expect(airtable.records("leads")[0].fields.companyName).toBe(
+        "Business 0"
+      );
+      expect(airtable.count({ method: "PATCH" })).toBe(2);
+    });
+
+    test("should fall back to single upserts when a key matches twice", async () => {
+      cfg.behavior.strictDuplicates = false;
+      const [first] = airtable.seed("leads", [
+        { placeId: "p1" },
+        { placeId: "p1" },
+      ]);
+      try {
+        const result = await repo.upsertManyByKey("leads", "placeId", [
+          { placeId: "p1", companyName: "A" },
+        ]);
+        expect(result.get("p1")).toEqual({ id: first.id, created: false });
+      } finally {
+        cfg.behavior.strictDuplicates = true;
+      }
+    });
+
+    test("should retry 429s, and 5xx responses to idempotent requests", async () => {
+      airtable
+        .fail({ status: 429, method: "POST", retryAfter: 0 })
+        .fail({ status: 503, method: "GET" });
+
+      const { succeeded } = await repo.createMany("leads", [
+        { fields: { placeId: "p1" } },
+      ]);
+      const found = await repo.findAllByField("leads", "placeId", "p1");
+
+      expect(succeeded).toHaveLength(1);
+      expect(found).toHaveLength(1);
+      expect(airtable.count({ method: "POST" })).toBe(2);
+      expect(airtable.count({ method: "GET" })).toBe(2);
+      expect(repo.limiter.stats().throttles).toBe(1);
+    });
+
+    test("should not resend a create after a 5xx", async () => {
+      airtable.fail({ status: 500, method: "POST" });
+
+      await expect(
+        repo.createMany("leads", [{ fields: { placeId: "p1" } }])
+      ).rejects.toMatchObject({ status: 500, attempts: 1 });
+    });
+
+    test("should isolate the record a 422 is about", async () => {
+      airtable.fail({
+        status: 422,
+        times: Infinity,
+        when: ({ body }) =>
+          body?.records?.some((r) => r.fields.placeId === "bad"),
+      });
+
+      const { succeeded, failed } = await repo.createMany(
+        "leads",
+        ["p1", "p2", "bad", "p3"].map((placeId) => ({ fields: { placeId } }))
+      );
+
+      expect(succeeded.map((r) => r.fields.placeId)).toEqual([
+        "p1",
+        "p2",
+        "p3",
+      ]);
+      expect(failed).toEqual([
+        {
+          record: { fields: { placeId: "bad" } },
+          error: expect.objectContaining({
+            status: 422,
+            type: "INVALID_VALUE_FOR_COLUMN",
+          }),
+        },
+      ]);
+    });
+  });
+
+  describe("runImport", () => {
+    const run = (businesses, options = {}) =>
+      runImport(businesses, { repo, tables, concurrency: 2, ...options });
+
+    test("should import the sample leads and link their reviews", async () => {
+      const summary = await run(readBusinesses(SAMPLE));
+
+      const [biz] = sample;
+      const [lead] = airtable.records("leads");
+      const reviews = airtable.records("reviews");
+      expect(summary).toMatchObject({
+        total: 1,
+        created: 1,
+        failed: 0,
+        reviews: { created: biz.reviews.length, failed: 0 },
+      });
+      expect(lead.fields).toMatchObject({
+        placeId: biz.placeId,
+        companyName: biz.title,
+        city: "Columbia",
+        state: "MD",
+      });
+      expect(reviews).toHaveLength(biz.reviews.length);
+      expect(reviews.every((r) => r.fields.lead[0] === lead.id)).toBe(true);
+      expect(lead.fields.reviews).toEqual(reviews.map((r) => r.id));
+    });
+
+    test("should write nothing when the same file is imported again", async () => {
+      await run(readBusinesses(SAMPLE));
+      const writes = () =>
+        airtable.count({ method: "POST" }) +
+        airtable.count({ method: "PATCH" });
+      const before = writes();
+
+      const summary = await run(readBusinesses(SAMPLE));
+
+      expect(summary).toMatchObject({ unchanged: 1, created: 0, updated: 0 });
+      expect(summary.reviews).toMatchObject({ created: 0, updated: 0 });
+      expect(writes()).toBe(before);
+    });
+
+    test("should prune reviews gone from the scrape", async () => {
+      await run(readBusinesses(SAMPLE));
+      const [biz] = sample;
+      const kept = { ...biz, reviews: biz.reviews.slice(0, 3) };
+
+      const summary = await run([kept], { prune: "delete" });
+
+      expect(summary.reviews.pruned).toBe(biz.reviews.length - 3);
+      expect(airtable.records("reviews")).toHaveLength(3);
+      expect(airtable.records("leads")[0].fields.reviews).toHaveLength(3);
+    });
+
+    test("should only sync reviews since the last run with cursors", async () => {
+      const dir = await mkdtemp(join(tmpdir(), "leads-e2e-"));
+      try {
+        let cursors = await ReviewCursors.open(dir);
+        await run(readBusinesses(SAMPLE), { cursors });
+        await cursors.close();
+        const [biz] = sample;
+        const rescraped = {
+          ...biz,
+          reviews: [
+            {
+              reviewId: "new",
+              name: "Ann",
+              stars: 5,
+              publishedAtDate: "2025-09-01T10:00:00.000Z",
+            },
+            ...biz.reviews.map((r, i) =>
+              i === 1
+                ? {
+                    ...r,
+                    responseFromOwnerText: "Thanks!",
+                    responseFromOwnerDate: "2025-09-02T10:00:00.000Z",
+                  }
+                : r
+            ),
+          ],
+        };
+        cursors = await ReviewCursors.open(dir);
+        const lookup = jest.spyOn(repo, "findRecordsByKeys");
+
+        const summary = await run([rescraped], { cursors });
+
+        const reviewKeys = lookup.mock.calls.find(([t]) => t === "reviews")[2];
+        expect(reviewKeys.sort()).toEqual(
+          ["new", biz.reviews[0].reviewId, biz.reviews[1].reviewId].sort()
+        );
+        expect(summary.reviews).toMatchObject({ created: 1, updated: 1 });
+        expect(airtable.records("reviews")).toHaveLength(
+          biz.reviews.length + 1
+        );
+      } finally {
+        await rm(dir, { recursive: true, force: true });
+      }
+    });
+
+    test("should write a review with a bad rating without its stars", async () => {
+      const [biz] = sample;
+      const reviews = biz.reviews.map((r, i) =>
+        i === 2 ? { ...r, stars: 9 } : r
+      );
+
+      const summary = await run([{ ...biz, reviews }]);
+
+      expect(summary).toMatchObject({ created: 1, skipped: 0, warnings: 1 });
+      expect(summary.reviews.created).toBe(reviews.length);
+      const stored = airtable
+        .records("reviews")
+        .find((r) => r.fields.reviewId === reviews[2].reviewId);
+      expect(stored.fields.stars).toBeUndefined();
+      expect(stored.fields.reviewComment).toBe(reviews[2].text.slice(0, 15000));
+    });
+
+    test("should survive throttling and report reviews Airtable rejects", async () => {
+      const [biz] = sample;
+      const badId = biz.reviews[4].reviewId;
+      airtable
+        .fail({ status: 429, table: "leads", method: "PATCH", retryAfter: 0 })
+        .fail({ status: 502, table: "reviews", method: "GET" })
+        .fail({
+          status: 422,
+          times: Infinity,
+          table: "reviews",
+          when: ({ body }) =>
+            body?.records?.some((r) => r.fields.reviewId === badId),
+        });
+
+      const summary = await run(readBusinesses(SAMPLE));
+
+      expect(summary).toMatchObject({
+        created: 1,
+        failed: 0,
+        reviews: { created: biz.reviews.length - 1, failed: 1 },
+      });
+      expect(summary.errors).toEqual([
+        expect.objectContaining({
+          kind: "review failed",
+          message: expect.stringContaining(`review ${badId}: HTTP 422`),
+        }),
+      ]);
+    });
+
+    test("should exit with 1 when Airtable rejects a review", async () => {
+      const [biz] = sample;
+      const badId = biz.reviews[4].reviewId;
+      airtable.fail({
+        status: 422,
+        times: Infinity,
+        table: "reviews",
+        when: ({ body }) =>
+          body?.records?.some((r) => r.fields.reviewId === badId),
+      });
+      const dir = await mkdtemp(join(tmpdir(), "leads-cli-"));
+
+      try {
+        const exit = await promisify(execFile)(
+          process.execPath,
+          [CLI, resolve(SAMPLE)],
+          {
+            cwd: dir,
+            env: {
+              ...process.env,
+              AIRTABLE: "appTest",
+              AIRTABLE_TOKEN: "patTest",
+              AIRTABLE_API_URL: airtable.url,
+            },
+          }
+        ).then(
+          () => 0,
+          (e) => e.code
+        );
+
+        expect(exit).toBe(1);
+        const report = JSON.parse(
+          await readFile(join(dir, "run-report.json"), "utf8")
+        );
+        expect(report.businesses.failed).toBe(0);
+        expect(report.tables.reviews.failed).toBe(1);
+      } finally {
+        await rm(dir, { recursive: true, force: true });
+      }
+    });
+
+    test("should fail the businesses of a batch whose upsert is rejected", async () => {
+      airtable.fail({ status: 422, table: "leads", method: "PATCH" });
+      const businesses = ["p1", "p2"].map((placeId) => ({
+        placeId,
+        title: `Business ${placeId}`,
+      }));
+
+      const summary = await run(businesses);
+
+      expect(summary).toMatchObject({ created: 0, failed: 2 });
+      expect(airtable.records("leads")).toHaveLength(0);
+    });
+  });
+});
@@ -0,0 +1,139 @@
+import { describe, test, expect, beforeAll } from "@jest/globals";
+import { readFile } from "node:fs/promises";
+import { createEnricher, ENRICHERS } from "../src/enrich.mjs";
+
+const scrapedAt = "2025-06-30T00:00:00.000Z";
+
+const review = (publishedAtDate, stars, responseFromOwnerDate = null) => ({
+  reviewId: publishedAtDate,
+  stars,
+  publishedAtDate,
+  responseFromOwnerDate,
+});
+
+describe("enrich module", () => {
+  let sample;
+
+  beforeAll(async () => {
+    [sample] = JSON.parse(
+      await readFile(new URL("../data/leads.sample.json", import.meta.url))
+    );
+  });
+
+  test("should derive response, velocity, rating and activity fields", () => {
+    const enrich = createEnricher({ weights: {} });
+    const { enrichment } = enrich({
+      placeId: "p1",
+      scrapedAt,
+      website: "https://example.com",
+      reviews: [
+        review("2025-06-01T00:00:00Z", 5, "2025-06-01T02:00:00Z"),
+        review("2025-05-01T00:00:00Z", 1, "2025-05-01T10:00:00Z"),
+        review("2025-04-01T00:00:00Z", 2, "2025-04-03T00:00:00Z"),
+        review("2024-01-01T00:00:00Z", 4),
+      ],
+      ownerUpdates: [
+        { date: "2025-06-20T12:00:00Z" },
+        { date: "2025-01-01T00:00:00Z" },
+      ],
+    });
+
+    expect(enrichment).toEqual({
+      ownerResponseRate: 0.75,
+      medianResponseHours: 10,
+      reviewsLast90Days: 3,
+      lowStarShare: 0.5,
+      daysSinceOwnerUpdate: 9,
+      hasWebsite: true,
+      leadScore: expect.any(Number),
+    });
+  });
+
+  test("should prefer the full rating distribution for the low-star share", () => {
+    const { enrichment } = createEnricher()(sample);
+
+    // 6 one-star and 2 two-star out of 125 ratings
+    expect(enrichment.lowStarShare).toBe(0.06);
+    expect(enrichment.hasWebsite).toBe(true);
+  });
+
+  test("should leave out values it can't derive and score them as 0", () => {
+    const { enrichment } = createEnricher()({ placeId: "p1", scrapedAt });
+
+    expect(enrichment).toEqual({
+      ownerResponseRate: null,
+      medianResponseHours: null,
+      reviewsLast90Days: null,
+      lowStarShare: null,
+      daysSinceOwnerUpdate: null,
+      hasWebsite: false,
+      leadScore: 0,
+    });
+  });
+
+  test("should weigh each signal into a 0-100 lead score", () => {
+    const biz = { placeId: "p1", scrapedAt, website: "https://example.com" };
+
+    expect(createEnricher()(biz).enrichment.leadScore).toBe(10);
+    expect(
+      createEnricher({ weights: { hasWebsite: 1, ownerResponseRate: 1 } })(biz)
+        .enrichment.leadScore
+    ).toBe(13);
+    expect(
+      createEnricher({
+        weights: Object.fromEntries(
+          Object.keys(ENRICHERS).map((name) => [
+            name,
+            Number(name === "hasWebsite"),
+          ])
+        ),
+      })(biz).enrichment.leadScore
+    ).toBe(100);
+  });
+
+  test("should keep the values a business already carries", () => {
+    const { enrichment } = createEnricher()({
+      placeId: "p1",
+      scrapedAt,
+      website: "https://example.com",
+      enrichment: { medianResponseHours: 131.3, leadScore: 70 },
+    });
+
+    expect(enrichment).toMatchObject({
+      medianResponseHours: 131.3,
+      hasWebsite: true,
+      leadScore: 70,
+    });
+  });
+
+  test("should run custom enrichers", () => {
+    const enrich = createEnricher({
+      enrichers: {
+        ...ENRICHERS,
+        photos: {
+          compute: (biz) => biz.imagesCount ?? null,
+          signal: (v) => v / 100,
+        },
+      },
+      weights: { photos: 9 },
+    });
+
+    const { enrichment } = enrich({
+      placeId: "p1",
+      scrapedAt,
+      imagesCount: 100,
+    });
+
+    expect(enrichment.photos).toBe(100);
+    // 9 of the 19 weight points
+    expect(enrichment.leadScore).toBe(47);
+  });
+
+  test.each([
+    [{ nope: 1 }, 'Unknown lead score signal "nope"'],
+    [{ hasWebsite: -1 }, "Invalid weight for hasWebsite: -1"],
+    [{ hasWebsite: NaN }, "Invalid weight for hasWebsite: NaN"],
+  ])("should reject invalid weights (%#)", (weights, message) => {
+    expect(() => createEnricher({ weights })).toThrow(message);
+  });
+});
@@ -0,0 +1,213 @@
+import {
+  describe,
+  test,
+  expect,
+  beforeAll,
+  afterAll,
+  beforeEach,
+} from "@jest/globals";
+import { mkdtemp, readFile, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { AirtableRepo } from "../src/airtableRepo.mjs";
+import { parseCsv } from "../src/csv.mjs";
+import { leadFilter, readSnapshot, writeExport } from "../src/export.mjs";
+import { runImport } from "../src/importer.mjs";
+import { readBusinesses } from "../src/input.mjs";
+import { loadMapping } from "../src/mapping.mjs";
+import { RateLimiter } from "../src/rateLimiter.mjs";
+import { FakeAirtable } from "./fakeAirtable.mjs";
+
+const SAMPLE = "data/leads.sample.json";
+
+const tables = {
+  leads: { name: "leads", keyField: "placeId", reviewsField: "reviews" },
+  reviews: { name: "reviews", keyField: "reviewId", linkToLeadField: "lead" },
+};
+
+const collect = async (iterable) => {
+  const out = [];
+  for await (const item of iterable) out.push(item);
+  return out;
+};
+
+describe("export module", () => {
+  let airtable;
+  let repo;
+  let dir;
+
+  const importAll = (businesses, options = {}) =>
+    runImport(businesses, { repo, tables, concurrency: 1, ...options });
+  const exportTo = async (out, { format, filter, mapper } = {}) =>
+    writeExport(await readSnapshot(repo, { tables, filter }), {
+      out,
+      format,
+      tables,
+      mapper,
+    });
+
+  beforeAll(async () => {
+    dir = await mkdtemp(join(tmpdir(), "leads-export-"));
+  });
+
+  beforeEach(async () => {
+    await airtable?.close();
+    airtable = await new FakeAirtable().start();
+    repo = new AirtableRepo({
+      baseId: "appTest",
+      token: "patTest",
+      apiUrl: airtable.url,
+      limiter: new RateLimiter({ ratePerSec: 1000 }),
+    });
+  });
+
+  afterAll(async () => {
+    await airtable.close();
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  test("should write scrape JSON that imports back without changes", async () => {
+    const mapper = await loadMapping("src/mappings/enriched.mjs", {
+      linkToLeadField: "lead",
+    });
+    await importAll(readBusinesses(SAMPLE), { mapper });
+    const out = join(dir, "export.json");
+
+    const result = await exportTo(out, { mapper });
+    const [biz] = JSON.parse(await readFile(out, "utf8"));
+    const [original] = JSON.parse(await readFile(SAMPLE, "utf8"));
+    const changed = [];
+    const summary = await importAll(readBusinesses(out), {
+      mapper,
+      audit: {
+        add: async (table, key, id, changes) => changed.push(...changes),
+      },
+    });
+
+    expect(result).toEqual({ leads: 1, reviews: 9, files: [out] });
+    expect(biz).toMatchObject({
+      placeId: original.placeId,
+      title: original.title,
+      categoryName: "Plumber",
+      openingHours: original.openingHours,
+    });
+    expect(biz.reviews.map((r) => r.reviewId).sort()).toEqual(
+      original.reviews.map((r) => r.reviewId).sort()
+    );
+    // Owner response times are derived from review fields the mapping doesn't
+    // store, so the export carries the stored values instead
+    expect(biz.enrichment).toMatchObject({
+      medianResponseHours: expect.any(Number),
+      leadScore: expect.any(Number),
+    });
+    expect(summary).toMatchObject({ failed: 0, updated: 0, unchanged: 1 });
+    expect(changed).toEqual([]);
+    expect(summary.reviews).toEqual({
+      created: 0,
+      updated: 0,
+      pruned: 0,
+      failed: 0,
+    });
+  });
+
+  test("should write one business per line as JSONL", async () => {
+    await importAll([
+      { placeId: "p1", title: "One" },
+      { placeId: "p2", title: "Two" },
+    ]);
+    const out = join(dir, "export.jsonl");
+
+    await exportTo(out, { format: "jsonl" });
+    const lines = (await readFile(out, "utf8")).trim().split("\n");
+
+    expect(lines.map((l) => JSON.parse(l).placeId)).toEqual(["p1", "p2"]);
+  });
+
+  test("should write leads and reviews as CSV, naming each review's lead", async () => {
+    await importAll(readBusinesses(SAMPLE));
+    const out = join(dir, "csv");
+
+    const { files } = await exportTo(out, { format: "csv" });
+    const [leads, reviews] = await Promise.all(
+      files.map(async (f) => collect(parseCsv([await readFile(f, "utf8")])))
+    );
+    const [lead] = airtable.records("leads");
+
+    expect(files).toEqual([join(out, "leads.csv"), join(out, "reviews.csv")]);
+    expect(leads).toHaveLength(2);
+    expect(leads[0].slice(0, 2)).toEqual(["id", "placeId"]);
+    expect(leads[0]).not.toContain("reviews");
+    expect(leads[1].slice(0, 2)).toEqual([lead.id, lead.fields.placeId]);
+    expect(reviews).toHaveLength(10);
+    expect(reviews[0].slice(0, 3)).toEqual(["id", "placeId", "reviewId"]);
+    expect(reviews[0]).not.toContain("lead");
+    expect(new Set(reviews.slice(1).map((r) => r[1]))).toEqual(
+      new Set([lead.fields.placeId])
+    );
+  });
+
+  test("should filter leads by scrape time and category", async () => {
+    await importAll([
+      {
+        placeId: "p1",
+        title: "Old",
+        categoryName: "Plumber",
+        scrapedAt: "2025-01-10T00:00:00Z",
+        reviews: [{ reviewId: "r1", stars: 5 }],
+      },
+      {
+        placeId: "p2",
+        title: "New",
+        categoryName: "Plumber",
+        scrapedAt: "2025-03-10T00:00:00Z",
+        reviews: [{ reviewId: "r2", stars: 4 }],
+      },
+      {
+        placeId: "p3",
+        title: "Other",
+        categoryName: "Electrician",
+        scrapedAt: "2025-03-10T00:00:00Z",
+      },
+      { placeId: "p4", title: "Undated", categoryName: "Plumber" },
+    ]);
+    const ids = async (options) =>
+      (await readSnapshot(repo, { tables, filter: leadFilter(options) })).map(
+        ({ lead, reviews }) => [
+          lead.fields.placeId,
+          reviews.map((r) => r.fields.reviewId),
+        ]
+      );
+
+    expect(await ids({ since: new Date("2025-02-01") })).toEqual([
+      ["p2", ["r2"]],
+      ["p3", []],
+    ]);
+    expect(
+      await ids({ until: new Date("2025-02-01"), category: "plumber" })
+    ).toEqual([["p1", ["r1"]]]);
+    expect(await ids({ category: "Plumber" })).toEqual([
+      ["p1", ["r1"]],
+      ["p2", ["r2"]],
+      ["p4", []],
+    ]);
+  });
+
+  test("should skip listing reviews when no lead matches", async () => {
+    await importAll([{ placeId: "p1", title: "One" }]);
+    const before = airtable.count({ method: "GET", table: "reviews" });
+
+    const snapshot = await readSnapshot(repo, {
+      tables,
+      filter: leadFilter({ category: "Nothing" }),
+    });
+
+    expect(snapshot).toEqual([]);
+    expect(airtable.count({ method: "GET", table: "reviews" })).toBe(before);
+  });
+
+  test("should reject unknown formats", async () => {
+    await expect(
+      writeExport([], { out: join(dir, "x"), format: "xml", tables })
+    ).rejects.toThrow('Unknown export format "xml" (use json, jsonl, csv)');
+  });
+});
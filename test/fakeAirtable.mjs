@@ -0,0 +1,532 @@
+import { createServer } from "node:http";
+
+const MAX_BATCH = 10;
+const MAX_PAGE_SIZE = 100;
+
+// Error types Airtable sends with each status, used when a fault names none
+const DEFAULT_TYPES = {
+  401: "AUTHENTICATION_REQUIRED",
+  404: "NOT_FOUND",
+  422: "INVALID_VALUE_FOR_COLUMN",
+  429: "RATE_LIMIT_REACHED",
+};
+
+class ApiError extends Error {
+  constructor(status, type, message) {
+    super(message);
+    this.status = status;
+    this.type = type;
+  }
+}
+
+// Airtable leaves empty values out of the records it returns
+const isEmpty = (v) =>
+  v == null || v === "" || v === false || (Array.isArray(v) && !v.length);
+
+/**
+ * Parses the subset of Airtable's formula language the importer uses:
+ * `{field} = "value"` (or `!=`), numbers, and OR/AND/NOT of those
+ * @param {string} text - filterByFormula value
+ * @returns {(fields: Object) => boolean} Predicate over a record's fields
+ * @throws {Error} On anything else
+ */
+export function parseFormula(text) {
+  let i = 0;
+  const ws = () => {
+    while (/\s/.test(text[i] ?? "")) i++;
+  };
+  const fail = () => {
+    throw new Error(`Unsupported formula at ${i}: ${text}`);
+  };
+  const expect = (c) => {
+    ws();
+    if (text[i] !== c) fail();
+    i++;
+  };
+
+  const operand = () => {
+    ws();
+    const c = text[i];
+    if (c === "{") {
+      const end = text.indexOf("}", i);
+      if (end < 0) fail();
+      const name = text.slice(i + 1, end);
+      i = end + 1;
+      return (fields) => {
+        const v = fields[name];
+        return Array.isArray(v) ? v.join(", ") : v ?? "";
+      };
+    }
+    if (c === '"' || c === "'") {
+      let s = "";
+      for (i++; i < text.length && text[i] !== c; i++) {
+        if (text[i] === "\\") i++;
+        s += text[i];
+      }
+      if (text[i] !== c) fail();
+      i++;
+      return () => s;
+    }
+    const num = text.slice(i).match(/^-?\d+(\.\d+)?/);
+    if (!num) fail();
+    i += num[0].length;
+    return () => Number(num[0]);
+  };
+
+  const expr = () => {
+    ws();
+    const call = text.slice(i).match(/^(OR|AND|NOT)\s*\(/i);
+    if (call) {
+      i += call[0].length;
+      const args = [];
+      ws();
+      if (text[i] !== ")") {
+        args.push(expr());
+        ws();
+        while (text[i] === ",") {
+          i++;
+          args.push(expr());
+          ws();
+        }
+      }
+      expect(")");
+      const fn = call[1].toUpperCase();
+      if (fn === "OR") return (f) => args.some((a) => a(f));
+      if (fn === "AND") return (f) => args.every((a) => a(f));
+      if (args.length !== 1) fail();
+      return (f) => !args[0](f);
+    }
+    const left = operand();
+    ws();
+    const op = text.slice(i).match(/^!?=/)?.[0];
+    if (!op) return (f) => !isEmpty(left(f));
+    i += op.length;
+    const right = operand();
+    const equal = (f) => String(left(f)) === String(right(f));
+    return op === "=" ? equal : (f) => !equal(f);
+  };
+
+  const predicate = expr();
+  ws();
+  if (i < text.length) fail();
+  return predicate;
+}
+
+/**
+ * In-process fake of the Airtable REST API for one base, for tests that run
+ * AirtableRepo end to end without a network
+ *
+ * Supports listing with filterByFormula (see parseFormula), fields[], pageSize
+ * and offset pagination, getting, batch creating, updating (performUpsert
+ * included) and deleting records. Like Airtable it returns link fields as
+ * record IDs, keeps the inverse side of configured links in sync, leaves empty
+ * fields out of records and caps batches at 10 records. Faults can be injected
+ * to make requests fail with 429, 5xx or 422 responses
+ *
+ *   const airtable = await new FakeAirtable().start();
+ *   const repo = new AirtableRepo({ baseId: "appTest", apiUrl: airtable.url, ... });
+ *   ...
+ *   await airtable.close();
+ */
+export class FakeAirtable {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.baseId="appTest"] - Base the fake answers for
+   * @param {string} [options.token="patTest"] - Token requests must carry, null to accept any
+   * @param {string[]} [options.tables] - Table names, defaults to leads and reviews
+   * @param {Array<{table: string, field: string, target: string, inverse?: string}>} [options.links] - Link fields, defaults to reviews.lead -> leads.reviews
+   */
+  constructor({
+    baseId = "appTest",
+    token = "patTest",
+    tables = ["leads", "reviews"],
+    links = [
+      { table: "reviews", field: "lead", target: "leads", inverse: "reviews" },
+    ],
+  } = {}) {
+    this.baseId = baseId;
+    this.token = token;
+    this.tables = new Map(tables.map((t) => [t, new Map()]));
+    this.links = links;
+    this.requests = [];
+    this.faults = [];
+    this.seq = 0;
+    this.server = createServer((req, res) => this.handle(req, res));
+    this.url = null;
+  }
+
+  /**
+   * Starts listening on a free local port
+   * @returns {Promise<FakeAirtable>} The fake, with `url` set to its origin
+   */
+  async start() {
+    await new Promise((resolve) => this.server.listen(0, "127.0.0.1", resolve));
+    this.url = `http://127.0.0.1:${this.server.address().port}`;
+    return this;
+  }
+
+  /**
+   * Stops the server, dropping kept-alive connections
+   */
+  async close() {
+    this.server.closeAllConnections();
+    await new Promise((resolve) => this.server.close(resolve));
+  }
+
+  /**
+   * Makes the next matching requests fail
+   * @param {Object} fault
+   * @param {number} fault.status - Status to answer with: 429, 5xx, 422...
+   * @param {string} [fault.method] - Only requests with this method
+   * @param {string} [fault.table] - Only requests to this table
+   * @param {(req: {method: string, table: string, recordId: string|null, body: any}) => boolean} [fault.when] - Only requests it accepts
+   * @param {number} [fault.times=1] - Requests to fail, Infinity for all of them
+   * @param {string} [fault.type] - Airtable error type, defaults to the usual one for the status
+   * @param {string} [fault.message] - Error message
+   * @param {number} [fault.retryAfter] - Retry-After header, in seconds
+   * @returns {FakeAirtable} The fake, for chaining
+   */
+  fail({ times = 1, ...fault }) {
+    this.faults.push({ times, ...fault });
+    return this;
+  }
+
+  /**
+   * Adds records to a table directly, without going through the API
+   * @param {string} table - Table name
+   * @param {Array<Object>} fieldsList - Fields of each record
+   * @returns {Array<{id: string, fields: Object}>} Records created
+   */
+  seed(table, fieldsList) {
+    return fieldsList.map((fields) => this.write(table, null, fields));
+  }
+
+  /**
+   * Lists the records of a table as stored
+   * @param {string} table - Table name
+   * @returns {Array<{id: string, createdTime: string, fields: Object}>} Records in creation order
+   */
+  records(table) {
+    return [...this.table(table).values()].map((r) => ({
+      ...r,
+      fields: { ...r.fields },
+    }));
+  }
+
+  /**
+   * Counts the requests received, optionally only those of a method or table
+   * @param {Object} [filter]
+   * @param {string} [filter.method] - e.g. "PATCH"
+   * @param {string} [filter.table] - Table name
+   * @returns {number} Number of requests
+   */
+  count({ method, table } = {}) {
+    return this.requests.filter(
+      (r) => (!method || r.method === method) && (!table || r.table === table)
+    ).length;
+  }
+
+  table(name) {
+    const table = this.tables.get(name);
+    if (!table) {
+      throw new ApiError(
+        404,
+        "TABLE_NOT_FOUND",
+        `Could not find table ${name}`
+      );
+    }
+    return table;
+  }
+
+  nextId() {
+    return `rec${String(++this.seq).padStart(14, "0")}`;
+  }
+
+  /**
+   * Creates a record (id null) or merges fields into one, keeping links in sync
+   */
+  write(tableName, id, fields) {
+    const table = this.table(tableName);
+    let rec = id ? table.get(id) : null;
+    if (id && !rec) {
+      throw new ApiError(
+        404,
+        "NOT_FOUND",
+        `Record ${id} not found in ${tableName}`
+      );
+    }
+    if (!rec) {
+      rec = {
+        id: this.nextId(),
+        createdTime: new Date().toISOString(),
+        fields: {},
+      };
+      table.set(rec.id, rec);
+    }
+    for (const [name, raw] of Object.entries(fields ?? {})) {
+      const link = this.links.find(
+        (l) => l.table === tableName && l.field === name
+      );
+      const value = link ? this.linkIds(link.target, raw) : raw;
+      if (link?.inverse) this.relink(link, rec.id, rec.fields[name], value);
+      if (isEmpty(value)) delete rec.fields[name];
+      else rec.fields[name] = value;
+    }
+    return rec;
+  }
+
+  // Link values are written as IDs or `{ id }` objects and read back as IDs
+  linkIds(target, raw) {
+    const ids = (Array.isArray(raw) ? raw : raw == null ? [] : [raw]).map((v) =>
+      typeof v === "object" ? v.id : v
+    );
+    for (const id of ids) {
+      if (!this.table(target).has(id)) {
+        throw new ApiError(
+          422,
+          "ROW_DOES_NOT_EXIST",
+          `Record ${id} does not exist in ${target}`
+        );
+      }
+    }
+    return ids;
+  }
+
+  // Moves a record between the inverse fields of the records it links to
+  relink(link, id, before = [], after = []) {
+    const target = this.table(link.target);
+    for (const t of before) {
+      if (after.includes(t) || !target.has(t)) continue;
+      const rec = target.get(t);
+      const rest = (rec.fields[link.inverse] ?? []).filter((x) => x !== id);
+      if (rest.length) rec.fields[link.inverse] = rest;
+      else delete rec.fields[link.inverse];
+    }
+    for (const t of after) {
+      const rec = target.get(t);
+      const ids = rec.fields[link.inverse] ?? [];
+      if (!ids.includes(id)) rec.fields[link.inverse] = [...ids, id];
+    }
+  }
+
+  remove(tableName, id) {
+    const table = this.table(tableName);
+    const rec = table.get(id);
+    if (!rec) {
+      throw new ApiError(
+        404,
+        "NOT_FOUND",
+        `Record ${id} not found in ${tableName}`
+      );
+    }
+    for (const link of this.links) {
+      if (link.table === tableName && link.inverse) {
+        this.relink(link, id, rec.fields[link.field], []);
+      }
+    }
+    table.delete(id);
+  }
+
+  async handle(req, res) {
+    let text = "";
+    for await (const chunk of req) text += chunk;
+    const url = new URL(req.url, "http://localhost");
+    const [, version, baseId, table, recordId = null] = url.pathname
+      .split("/")
+      .map(decodeURIComponent);
+    const body = text ? JSON.parse(text) : null;
+    const request = { method: req.method, table, recordId, body };
+    this.requests.push({ ...request, query: url.searchParams });
+
+    const send = (status, json, headers = {}) => {
+      res.writeHead(status, { "Content-Type": "application/json", ...headers });
+      res.end(JSON.stringify(json));
+    };
+    const error = (status, type, message) =>
+      send(status, { error: { type, message } });
+
+    if (this.token && req.headers.authorization !== `Bearer ${this.token}`) {
+      return error(401, "AUTHENTICATION_REQUIRED", "Authentication required");
+    }
+    const fault = this.faults.find(
+      (f) =>
+        f.times > 0 &&
+        (!f.method || f.method === req.method) &&
+        (!f.table || f.table === table) &&
+        (!f.when || f.when(request))
+    );
+    if (fault) {
+      fault.times--;
+      const type = fault.type ?? DEFAULT_TYPES[fault.status] ?? "SERVER_ERROR";
+      return send(
+        fault.status,
+        { error: { type, message: fault.message ?? `Injected ${type}` } },
+        fault.retryAfter != null
+          ? { "Retry-After": String(fault.retryAfter) }
+          : {}
+      );
+    }
+    if (version !== "v0" || baseId !== this.baseId || !table) {
+      return error(404, "NOT_FOUND", "Could not find what you are looking for");
+    }
+
+    try {
+      return send(200, this.route(req.method, table, recordId, url, body));
+    } catch (e) {
+      if (e instanceof ApiError) return error(e.status, e.type, e.message);
+      return error(500, "SERVER_ERROR", e.message);
+    }
+  }
+
+  route(method, table, recordId, url, body) {
+    const show = (rec) => ({ ...rec, fields: { ...rec.fields } });
+    if (method === "GET" && recordId) {
+      const rec = this.table(table).get(recordId);
+      if (!rec) {
+        throw new ApiError(404, "NOT_FOUND", `Record ${recordId} not found`);
+      }
+      return show(rec);
+    }
+    if (method === "GET") return this.list(table, url.searchParams);
+    if (method === "PATCH" && recordId) {
+      return show(this.write(table, recordId, body?.fields));
+    }
+
+    if (method === "DELETE") {
+      const ids = url.searchParams.getAll("records[]");
+      this.checkBatch(ids);
+      for (const id of ids) this.remove(table, id);
+      return { records: ids.map((id) => ({ id, deleted: true })) };
+    }
+
+    const records = body?.records;
+    this.checkBatch(records);
+    if (method === "POST") {
+      // Validate every record before writing any, as Airtable does
+      this.dryRun(table, records);
+      return {
+        records: records.map((r) => show(this.write(table, null, r.fields))),
+      };
+    }
+    if (method === "PATCH" && body.performUpsert) {
+      return this.upsert(table, body.performUpsert.fieldsToMergeOn, records);
+    }
+    if (method === "PATCH") {
+      this.dryRun(table, records);
+      return {
+        records: records.map((r) => show(this.write(table, r.id, r.fields))),
+      };
+    }
+    throw new ApiError(404, "NOT_FOUND", `Unsupported ${method} request`);
+  }
+
+  checkBatch(records) {
+    if (!Array.isArray(records) || !records.length) {
+      throw new ApiError(422, "INVALID_REQUEST_MISSING_FIELDS", "No records");
+    }
+    if (records.length > MAX_BATCH) {
+      throw new ApiError(
+        422,
+        "INVALID_RECORDS",
+        `At most ${MAX_BATCH} records per request`
+      );
+    }
+  }
+
+  // Fails the request if any record would be rejected, before anything is written
+  dryRun(table, records) {
+    const store = this.table(table);
+    for (const r of records) {
+      if (r.id && !store.has(r.id)) {
+        throw new ApiError(
+          422,
+          "ROW_DOES_NOT_EXIST",
+          `Record ${r.id} does not exist in ${table}`
+        );
+      }
+      for (const link of this.links) {
+        if (link.table === table && link.field in (r.fields ?? {})) {
+          this.linkIds(link.target, r.fields[link.field]);
+        }
+      }
+    }
+  }
+
+  list(table, params) {
+    const store = this.table(table);
+    let matches = [...store.values()];
+    const formula = params.get("filterByFormula");
+    if (formula) {
+      let predicate;
+      try {
+        predicate = parseFormula(formula);
+      } catch (e) {
+        throw new ApiError(422, "INVALID_FILTER_BY_FORMULA", e.message);
+      }
+      matches = matches.filter((r) => predicate(r.fields));
+    }
+    const maxRecords = Number(params.get("maxRecords")) || Infinity;
+    matches = matches.slice(0, maxRecords);
+    const pageSize = Math.min(
+      Number(params.get("pageSize")) || MAX_PAGE_SIZE,
+      MAX_PAGE_SIZE
+    );
+    const offset = params.get("offset");
+    const start = offset ? Number(offset.replace(/^itr/, "")) : 0;
+    if (!Number.isInteger(start)) {
+      throw new ApiError(422, "LIST_RECORDS_ITERATOR_NOT_AVAILABLE", offset);
+    }
+    const fields = params.getAll("fields[]");
+    const page = matches.slice(start, start + pageSize).map((r) => ({
+      ...r,
+      fields: fields.length
+        ? Object.fromEntries(
+            Object.entries(r.fields).filter(([k]) => fields.includes(k))
+          )
+        : { ...r.fields },
+    }));
+    const next = start + pageSize;
+    return next < matches.length
+      ? { records: page, offset: `itr${next}` }
+      : { records: page };
+  }
+
+  upsert(table, mergeOn, records) {
+    const store = this.table(table);
+    const keyOf = (fields) =>
+      JSON.stringify(mergeOn.map((f) => String(fields?.[f] ?? "")));
+    const seen = new Set();
+    const targets = records.map((r) => {
+      const key = keyOf(r.fields);
+      if (seen.has(key)) {
+        throw new ApiError(
+          422,
+          "INVALID_VALUE_FOR_COLUMN",
+          `Cannot upsert: more than one record in the request has ${key}`
+        );
+      }
+      seen.add(key);
+      const found = [...store.values()].filter((x) => keyOf(x.fields) === key);
+      if (found.length > 1) {
+        throw new ApiError(
+          422,
+          "INVALID_VALUE_FOR_COLUMN",
+          `Cannot upsert: multiple records match ${key}`
+        );
+      }
+      return found[0]?.id ?? null;
+    });
+    this.dryRun(
+      table,
+      records.map((r) => ({ fields: r.fields }))
+    );
+    const createdRecords = [];
+    const updatedRecords = [];
+    const out = records.map((r, i) => {
+      const rec = this.write(table, targets[i], r.fields);
+      (targets[i] ? updatedRecords : createdRecords).push(rec.id);
+      return { ...rec, fields: { ...rec.fields } };
+    });
+    return { records: out, createdRecords, updatedRecords };
+  }
+}
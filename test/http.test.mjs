@@ -2,11 +2,13 @@ import {
   jest,
   describe,
   test,
+  expect,
   beforeEach,
   beforeAll,
   afterAll,
 } from "@jest/globals";
-import { requestJSON } from "../src/http.mjs";
+import { HttpError, requestJSON } from "../src/http.mjs";
+import { Logger } from "../src/logger.mjs";
 
 // Mock fetch globally
 const originalFetch = globalThis.fetch;
@@ -40,10 +42,9 @@ describe("http module", () => {
 
       expect(result).toEqual(expectedData);
       expect(mockFetch).toHaveBeenCalledTimes(1);
-      expect(mockFetch).toHaveBeenCalledWith(
-        "https://api.example.com/data",
-        {}
-      );
+      expect(mockFetch).toHaveBeenCalledWith("https://api.example.com/data", {
+        signal: expect.any(AbortSignal),
+      });
     });
 
     test("should pass through options to fetch", async () => {
@@ -63,10 +64,10 @@ describe("http module", () => {
       await requestJSON("https://api.example.com/data", options);
 
       expect(mockFetch).toHaveBeenCalledTimes(1);
-      expect(mockFetch).toHaveBeenCalledWith(
-        "https://api.example.com/data",
-        options
-      );
+      expect(mockFetch).toHaveBeenCalledWith("https://api.example.com/data", {
+        ...options,
+        signal: expect.any(AbortSignal),
+      });
     });
 
     test("should throw error on 4xx client errors (non-429)", async () => {
@@ -266,12 +267,18 @@ describe("http module", () => {
       expect(mockFetch).toHaveBeenCalledTimes(2); // Initial + 1 retry
     });
 
-    test("should handle network errors", async () => {
+    test("should retry network errors, then throw", async () => {
       mockFetch.mockRejectedValue(new Error("Network error"));
 
-      await expect(requestJSON("https://api.example.com/data")).rejects.toThrow(
-        "Network error"
-      );
+      await expect(
+        requestJSON(
+          "https://api.example.com/data",
+          {},
+          { retries: 2, baseDelayMs: 1 }
+        )
+      ).rejects.toThrow("Network error after 2 retries");
+
+      expect(mockFetch).toHaveBeenCalledTimes(3);
     });
 
     test("should handle JSON parsing errors", async () => {
@@ -311,6 +318,138 @@ describe("http module", () => {
       }
     });
 
+    test("should throw an HttpError with the status, Airtable type and attempts", async () => {
+      const body = JSON.stringify({
+        error: { type: "INVALID_PERMISSIONS", message: "Forbidden" },
+      });
+      mockFetch.mockResolvedValue({
+        ok: false,
+        status: 403,
+        text: jest.fn().mockResolvedValue(body),
+      });
+
+      const err = await requestJSON("https://api.example.com/data").catch(
+        (e) => e
+      );
+
+      expect(err).toBeInstanceOf(HttpError);
+      expect(err).toMatchObject({
+        message: `HTTP 403: ${body}`,
+        status: 403,
+        type: "INVALID_PERMISSIONS",
+        attempts: 1,
+      });
+    });
+
+    test("should wait for Retry-After before retrying", async () => {
+      jest.useFakeTimers();
+      try {
+        mockFetch
+          .mockResolvedValueOnce({
+            ok: false,
+            status: 429,
+            headers: new Headers({ "Retry-After": "2" }),
+            text: jest.fn().mockResolvedValue(""),
+          })
+          .mockResolvedValueOnce({
+            ok: true,
+            status: 200,
+            json: jest.fn().mockResolvedValue({}),
+          });
+
+        const pending = requestJSON("https://api.example.com/data");
+        await jest.advanceTimersByTimeAsync(1999);
+        expect(mockFetch).toHaveBeenCalledTimes(1);
+        await jest.advanceTimersByTimeAsync(1);
+        await pending;
+        expect(mockFetch).toHaveBeenCalledTimes(2);
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+
+    test("should cap the Retry-After delay at maxDelayMs", async () => {
+      jest.useFakeTimers();
+      try {
+        mockFetch
+          .mockResolvedValueOnce({
+            ok: false,
+            status: 429,
+            headers: new Headers({ "Retry-After": "3600" }),
+            text: jest.fn().mockResolvedValue(""),
+          })
+          .mockResolvedValueOnce({
+            ok: true,
+            status: 200,
+            json: jest.fn().mockResolvedValue({}),
+          });
+
+        const pending = requestJSON(
+          "https://api.example.com/data",
+          {},
+          { maxDelayMs: 5000 }
+        );
+        await jest.advanceTimersByTimeAsync(4999);
+        expect(mockFetch).toHaveBeenCalledTimes(1);
+        await jest.advanceTimersByTimeAsync(1);
+        await pending;
+        expect(mockFetch).toHaveBeenCalledTimes(2);
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+
+    test("should time out a hanging request and retry it", async () => {
+      mockFetch
+        .mockImplementationOnce(
+          (url, { signal }) =>
+            new Promise((resolve, reject) =>
+              signal.addEventListener("abort", () => reject(signal.reason))
+            )
+        )
+        .mockResolvedValueOnce({
+          ok: true,
+          status: 200,
+          json: jest.fn().mockResolvedValue({ late: false }),
+        });
+
+      const result = await requestJSON(
+        "https://api.example.com/data",
+        {},
+        { timeoutMs: 10, baseDelayMs: 1 }
+      );
+
+      expect(result).toEqual({ late: false });
+      expect(mockFetch).toHaveBeenCalledTimes(2);
+    });
+
+    test("should not retry a POST unless told it is idempotent", async () => {
+      mockFetch.mockResolvedValue({
+        ok: false,
+        status: 503,
+        text: jest.fn().mockResolvedValue("Unavailable"),
+      });
+      const post = { method: "POST", body: "{}" };
+
+      await expect(
+        requestJSON("https://api.example.com/data", post, { baseDelayMs: 1 })
+      ).rejects.toMatchObject({
+        message: "HTTP 503: Unavailable",
+        attempts: 1,
+      });
+      expect(mockFetch).toHaveBeenCalledTimes(1);
+
+      mockFetch.mockClear();
+      await expect(
+        requestJSON("https://api.example.com/data", post, {
+          retries: 2,
+          baseDelayMs: 1,
+          idempotent: true,
+        })
+      ).rejects.toMatchObject({ attempts: 3 });
+      expect(mockFetch).toHaveBeenCalledTimes(3);
+    });
+
     test("should not retry on successful response after initial failure", async () => {
       const expectedData = { recovered: true };
 
@@ -338,5 +477,65 @@ describe("http module", () => {
       expect(result).toEqual(expectedData);
       expect(mockFetch).toHaveBeenCalledTimes(2); // Stop after success
     });
+
+    test("should log each request with its status and attempt count", async () => {
+      const lines = [];
+      const logger = new Logger({
+        level: "debug",
+        stream: { write: (text) => lines.push(JSON.parse(text)) },
+      }).child({ table: "Leads", operation: "update" });
+
+      mockFetch
+        .mockResolvedValueOnce({
+          ok: false,
+          status: 503,
+          text: jest.fn().mockResolvedValue("Unavailable"),
+        })
+        .mockResolvedValueOnce({
+          ok: true,
+          status: 200,
+          json: jest.fn().mockResolvedValue({}),
+        });
+
+      await requestJSON(
+        "https://api.example.com/v0/base/Leads?filterByFormula=x",
+        { method: "patch" },
+        { retries: 2, baseDelayMs: 10, logger }
+      );
+
+      expect(lines.map((l) => l.msg)).toEqual(["retrying", "request"]);
+      expect(lines[1]).toEqual({
+        time: expect.any(String),
+        level: "debug",
+        msg: "request",
+        table: "Leads",
+        operation: "update",
+        method: "PATCH",
+        url: "/v0/base/Leads",
+        status: 200,
+        attempts: 2,
+        durationMs: expect.any(Number),
+      });
+    });
+
+    test("should stop waiting to retry when the signal is aborted", async () => {
+      const controller = new AbortController();
+      mockFetch.mockResolvedValue({
+        ok: false,
+        status: 503,
+        headers: { get: () => "60" }, // Retry-After: a minute
+        text: jest.fn().mockResolvedValue("Unavailable"),
+      });
+
+      const request = requestJSON(
+        "https://api.example.com/data",
+        { signal: controller.signal },
+        { retries: 5 }
+      );
+      setTimeout(() => controller.abort(new Error("Aborted")), 10);
+
+      await expect(request).rejects.toThrow("Aborted");
+      expect(mockFetch).toHaveBeenCalledTimes(1);
+    });
   });
 });
@@ -0,0 +1,530 @@
+import { jest, describe, test, expect, beforeEach } from "@jest/globals";
+import { importBatch, runImport } from "../src/importer.mjs";
+
+const tables = {
+  leads: { name: "leads", keyField: "placeId" },
+  reviews: { name: "reviews", keyField: "reviewId", linkToLeadField: "lead" },
+};
+
+const biz = (placeId, reviews = []) => ({
+  placeId,
+  title: `Business ${placeId}`,
+  reviews,
+});
+
+// Resolves every upserted lead with a record ID derived from its placeId
+const upsertAll = (created = true) =>
+  jest.fn(async (table, keyField, records) => {
+    return new Map(
+      records.map((f) => [f[keyField], { id: `rec_${f[keyField]}`, created }])
+    );
+  });
+
+describe("importer module", () => {
+  let repo;
+
+  beforeEach(() => {
+    repo = {
+      upsertManyByKey: upsertAll(),
+      findRecordsByKeys: jest.fn().mockResolvedValue(new Map()),
+      createMany: jest.fn(async (table, records) => ({
+        succeeded: records.map((r, i) => ({ id: `recNew${i}`, ...r })),
+        failed: [],
+      })),
+    };
+  });
+
+  describe("importBatch", () => {
+    test("should upsert all leads of the batch on their key field", async () => {
+      await importBatch(repo, [biz("p1"), biz("p2")], { tables });
+
+      expect(repo.upsertManyByKey).toHaveBeenCalledTimes(1);
+      expect(repo.upsertManyByKey).toHaveBeenCalledWith("leads", "placeId", [
+        expect.objectContaining({ placeId: "p1", companyName: "Business p1" }),
+        expect.objectContaining({ placeId: "p2", companyName: "Business p2" }),
+      ]);
+    });
+
+    test("should write only the changed fields of existing leads", async () => {
+      repo.upsertManyByKey = upsertAll(false);
+      repo.findRecordsByKeys.mockResolvedValueOnce(
+        new Map([
+          [
+            "p1",
+            {
+              id: "rec_p1",
+              fields: {
+                placeId: "p1",
+                companyName: "Old name",
+                reviewsCount: 0,
+              },
+            },
+          ],
+        ])
+      );
+
+      const [res] = await importBatch(repo, [biz("p1")], { tables });
+
+      expect(repo.findRecordsByKeys).toHaveBeenCalledWith(
+        "leads",
+        "placeId",
+        ["p1"],
+        { withFields: true }
+      );
+      expect(repo.upsertManyByKey).toHaveBeenCalledWith("leads", "placeId", [
+        { placeId: "p1", companyName: "Business p1" },
+      ]);
+      expect(res).toMatchObject({
+        status: "updated",
+        leadId: "rec_p1",
+        changes: [
+          { field: "companyName", from: "Old name", to: "Business p1" },
+        ],
+      });
+    });
+
+    test("should skip unchanged leads but still sync their reviews", async () => {
+      repo.findRecordsByKeys.mockResolvedValueOnce(
+        new Map([
+          [
+            "p1",
+            {
+              id: "rec_p1",
+              fields: {
+                placeId: "p1",
+                companyName: "Business p1",
+                reviewsCount: 1,
+              },
+            },
+          ],
+        ])
+      );
+
+      const [res] = await importBatch(
+        repo,
+        [biz("p1", [{ reviewId: "r1", stars: 5 }])],
+        { tables, prune: "off" }
+      );
+
+      expect(repo.upsertManyByKey).not.toHaveBeenCalled();
+      expect(repo.createMany).toHaveBeenCalledWith("reviews", [
+        { fields: expect.objectContaining({ lead: [{ id: "rec_p1" }] }) },
+      ]);
+      expect(res).toMatchObject({ status: "unchanged", leadId: "rec_p1" });
+    });
+
+    test("should sync the reviews of each business against its lead", async () => {
+      const [res] = await importBatch(
+        repo,
+        [biz("p1", [{ reviewId: "r1", stars: 5 }])],
+        { tables, prune: "off" }
+      );
+
+      expect(repo.createMany).toHaveBeenCalledWith("reviews", [
+        {
+          fields: expect.objectContaining({
+            reviewId: "r1",
+            lead: [{ id: "rec_p1" }],
+          }),
+        },
+      ]);
+      expect(res).toMatchObject({
+        status: "created",
+        leadId: "rec_p1",
+        reviews: { created: 1, updated: 0, pruned: 0 },
+      });
+    });
+
+    test("should report updated when the lead already existed", async () => {
+      repo.upsertManyByKey = upsertAll(false);
+
+      const [res] = await importBatch(repo, [biz("p1")], { tables });
+
+      expect(res.status).toBe("updated");
+    });
+
+    test("should fail only the business whose reviews failed", async () => {
+      repo.findRecordsByKeys
+        .mockResolvedValueOnce(new Map())
+        .mockRejectedValueOnce(new Error("boom"))
+        .mockResolvedValueOnce(new Map());
+
+      const results = await importBatch(
+        repo,
+        [biz("p1", [{ reviewId: "r1" }]), biz("p2", [{ reviewId: "r2" }])],
+        { tables, prune: "off" }
+      );
+
+      expect(results[0].error.message).toBe("boom");
+      expect(results[1].status).toBe("created");
+    });
+
+    test("should sync only the reviews the cursors pick for existing leads", async () => {
+      repo.upsertManyByKey = upsertAll(false);
+      const cursors = { pending: jest.fn(({ reviews }) => reviews.slice(1)) };
+
+      const [res] = await importBatch(
+        repo,
+        [biz("p1", [{ reviewId: "old" }, { reviewId: "new" }])],
+        { tables, prune: "off", cursors }
+      );
+
+      expect(res.reviews.created).toBe(1);
+      expect(repo.findRecordsByKeys).toHaveBeenLastCalledWith(
+        "reviews",
+        "reviewId",
+        ["new"],
+        { withFields: true }
+      );
+    });
+
+    test("should sync every review of a lead just created", async () => {
+      const cursors = { pending: jest.fn(() => []) };
+
+      const [res] = await importBatch(
+        repo,
+        [biz("p1", [{ reviewId: "r1" }, { reviewId: "r2" }])],
+        { tables, prune: "off", cursors }
+      );
+
+      expect(res.reviews.created).toBe(2);
+      expect(cursors.pending).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("runImport", () => {
+    test("should count created, updated, skipped and failed records", async () => {
+      repo.upsertManyByKey = jest
+        .fn()
+        .mockResolvedValueOnce(
+          new Map([
+            ["p1", { id: "rec1", created: true }],
+            ["p2", { id: "rec2", created: false }],
+          ])
+        )
+        .mockRejectedValueOnce(new Error("HTTP 422: bad"));
+
+      const summary = await runImport(
+        [biz("p1"), biz("p2"), { title: "no id" }, biz("p3")],
+        { repo, tables, concurrency: 1, batchSize: 2 }
+      );
+
+      expect(summary).toMatchObject({
+        total: 4,
+        created: 1,
+        updated: 1,
+        skipped: 1,
+        failed: 1,
+      });
+      expect(summary.errors).toEqual([
+        expect.objectContaining({ index: 2, kind: "skipped" }),
+        expect.objectContaining({
+          index: 3,
+          placeId: "p3",
+          kind: "failed",
+          message: "HTTP 422: bad",
+        }),
+      ]);
+    });
+
+    test("should count warnings per field instead of listing each one", async () => {
+      const badStars = (placeId) =>
+        biz(placeId, [
+          { reviewId: `${placeId}a`, stars: 0 },
+          { reviewId: `${placeId}b`, stars: 9 },
+        ]);
+
+      const summary = await runImport(
+        [badStars("p1"), { ...badStars("p2"), website: "nope" }],
+        { repo, tables, concurrency: 1 }
+      );
+
+      expect(summary.warnings).toBe(5);
+      expect(summary.warningsByField).toEqual({
+        "reviews[].stars": {
+          count: 4,
+          index: 0,
+          placeId: "p1",
+          message: "Star rating 0 is outside 1-5, it is left empty",
+        },
+        website: {
+          count: 1,
+          index: 1,
+          placeId: "p2",
+          message: 'Invalid website URL "nope"',
+        },
+      });
+      expect(summary.errors).toEqual([]);
+    });
+
+    test("should list reviews that failed without failing their business", async () => {
+      repo.createMany.mockImplementation(async (table, records) => ({
+        succeeded: [],
+        failed: records.map((record) => ({
+          record,
+          error: new Error("HTTP 422: INVALID_VALUE_FOR_COLUMN"),
+        })),
+      }));
+
+      const summary = await runImport(
+        [biz("p1", [{ reviewId: "r1", stars: 5 }])],
+        { repo, tables, concurrency: 1 }
+      );
+
+      expect(summary).toMatchObject({
+        created: 1,
+        failed: 0,
+        reviews: { created: 0, failed: 1 },
+      });
+      expect(summary.errors).toEqual([
+        {
+          index: 0,
+          placeId: "p1",
+          kind: "review failed",
+          message: "review r1: HTTP 422: INVALID_VALUE_FOR_COLUMN",
+        },
+      ]);
+    });
+
+    test("should count unchanged leads and log changed fields", async () => {
+      repo.upsertManyByKey = upsertAll(false);
+      repo.findRecordsByKeys.mockImplementation(async (table, keyField, keys) =>
+        table === "leads"
+          ? new Map(
+              keys.map((k) => [
+                k,
+                {
+                  id: `rec_${k}`,
+                  fields: {
+                    placeId: k,
+                    companyName: "Business p1",
+                    reviewsCount: 0,
+                  },
+                },
+              ])
+            )
+          : new Map()
+      );
+      const audit = { add: jest.fn() };
+
+      const summary = await runImport([biz("p1"), biz("p2")], {
+        repo,
+        tables,
+        concurrency: 1,
+        audit,
+      });
+
+      expect(summary).toMatchObject({ updated: 1, unchanged: 1 });
+      expect(audit.add).toHaveBeenCalledWith("leads", "p2", "rec_p2", [
+        { field: "companyName", from: "Business p1", to: "Business p2" },
+      ]);
+      expect(audit.add).toHaveBeenCalledWith("leads", "p1", "rec_p1", []);
+    });
+
+    test("should read streamed input only as fast as batches complete", async () => {
+      let produced = 0;
+      let maxAhead = 0;
+      let done = 0;
+      repo.upsertManyByKey = jest.fn(async (table, keyField, records) => {
+        await new Promise((r) => setTimeout(r, 1));
+        done += records.length;
+        return new Map(
+          records.map((f) => [f[keyField], { id: "rec", created: true }])
+        );
+      });
+      async function* source() {
+        for (let i = 0; i < 100; i++) {
+          produced++;
+          maxAhead = Math.max(maxAhead, produced - done);
+          yield biz(`p${i}`);
+        }
+      }
+
+      const summary = await runImport(source(), {
+        repo,
+        tables,
+        concurrency: 2,
+        batchSize: 5,
+      });
+
+      expect(summary).toMatchObject({ total: 100, created: 100 });
+      // At most `concurrency` batches in flight plus the one being filled
+      expect(maxAhead).toBeLessThanOrEqual(3 * 5);
+    });
+
+    test("should move the cursors of businesses whose reviews were all written", async () => {
+      repo.createMany = jest.fn(async (table, records) =>
+        table === "reviews" && records[0].fields.reviewId === "bad"
+          ? {
+              succeeded: [],
+              failed: [{ record: records[0], error: new Error("HTTP 422") }],
+            }
+          : {
+              succeeded: records.map((r, i) => ({ id: `recNew${i}`, ...r })),
+              failed: [],
+            }
+      );
+      const cursors = {
+        pending: jest.fn(({ reviews }) => reviews),
+        advance: jest.fn(),
+      };
+
+      await runImport(
+        [biz("p1", [{ reviewId: "ok" }]), biz("p2", [{ reviewId: "bad" }])],
+        { repo, tables, prune: "off", cursors, batchSize: 1 }
+      );
+
+      expect(cursors.advance.mock.calls.map(([b]) => b.placeId)).toEqual([
+        "p1",
+      ]);
+    });
+
+    test("should refuse review cursors with pruning on", async () => {
+      await expect(
+        runImport([], { repo, tables, prune: "unlink", cursors: {} })
+      ).rejects.toThrow(
+        "Incremental review sync can't be combined with pruning"
+      );
+    });
+
+    test("should stop reading input once maxFailures businesses failed", async () => {
+      repo.upsertManyByKey = jest.fn().mockRejectedValue(new Error("HTTP 500"));
+      const read = [];
+      async function* source() {
+        for (let i = 0; i < 20; i++) {
+          read.push(i);
+          yield biz(`p${i}`);
+        }
+      }
+
+      const summary = await runImport(source(), {
+        repo,
+        tables,
+        concurrency: 1,
+        batchSize: 2,
+        maxFailures: 3,
+      });
+
+      expect(summary).toMatchObject({
+        total: 4,
+        failed: 4,
+        stopped: "Stopped after 3 failures",
+      });
+      expect(read.length).toBeLessThan(20);
+    });
+
+    test("should finish the batches in flight when the signal is aborted", async () => {
+      const controller = new AbortController();
+      repo.upsertManyByKey = jest.fn(async (table, keyField, records) => {
+        controller.abort(new Error("Interrupted"));
+        await new Promise((r) => setTimeout(r, 1));
+        return new Map(
+          records.map((f) => [f[keyField], { id: "rec", created: true }])
+        );
+      });
+      const checkpoint = {
+        shouldImport: () => true,
+        done: jest.fn(),
+        fail: jest.fn(),
+      };
+
+      const summary = await runImport(
+        [biz("p1"), biz("p2"), biz("p3"), biz("p4"), biz("p5")],
+        {
+          repo,
+          tables,
+          concurrency: 1,
+          batchSize: 2,
+          checkpoint,
+          signal: controller.signal,
+        }
+      );
+
+      expect(summary).toMatchObject({
+        total: 2,
+        created: 2,
+        failed: 0,
+        stopped: "Interrupted",
+      });
+      expect(checkpoint.done).toHaveBeenCalledTimes(2);
+      expect(checkpoint.fail).not.toHaveBeenCalled();
+    });
+
+    test("should count a batch that throws once per business", async () => {
+      repo.upsertManyByKey = upsertAll(false);
+      const cursors = {
+        pending: () => {
+          throw new Error("corrupt cursor");
+        },
+        advance: jest.fn(),
+      };
+
+      const summary = await runImport([biz("p1"), biz("p2"), biz("p3")], {
+        repo,
+        tables,
+        concurrency: 1,
+        batchSize: 1,
+        maxFailures: 2,
+        cursors,
+      });
+
+      expect(summary).toMatchObject({
+        total: 2,
+        failed: 2,
+        stopped: "Stopped after 2 failures",
+      });
+    });
+
+    test("should abort the pool's tasks when cancelled", async () => {
+      const controller = new AbortController();
+      let started = 0;
+      repo.upsertManyByKey = jest.fn(async (table, keyField, records) => {
+        started++;
+        controller.abort(new Error("Aborted"));
+        throw new Error("request aborted");
+      });
+
+      const summary = await runImport(
+        [biz("p1"), biz("p2"), biz("p3"), biz("p4")],
+        {
+          repo,
+          tables,
+          concurrency: 1,
+          batchSize: 2,
+          cancel: controller.signal,
+        }
+      );
+
+      expect(started).toBe(1);
+      expect(summary).toMatchObject({
+        total: 2,
+        failed: 2,
+        stopped: "Aborted",
+      });
+    });
+
+    test("should not run batches holding the same placeId at once", async () => {
+      const running = new Set();
+      let overlap = false;
+      repo.upsertManyByKey = jest.fn(async (table, keyField, records) => {
+        for (const f of records) {
+          if (running.has(f[keyField])) overlap = true;
+          running.add(f[keyField]);
+        }
+        await new Promise((r) => setTimeout(r, 1));
+        for (const f of records) running.delete(f[keyField]);
+        return new Map(
+          records.map((f) => [f[keyField], { id: "rec", created: true }])
+        );
+      });
+
+      const summary = await runImport(
+        [biz("p1"), biz("p2"), biz("p1"), biz("p3")],
+        { repo, tables, concurrency: 2, batchSize: 1 }
+      );
+
+      expect(summary.created).toBe(4);
+      expect(overlap).toBe(false);
+    });
+  });
+});
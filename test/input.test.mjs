@@ -0,0 +1,230 @@
+import { describe, test, expect, beforeAll, afterAll } from "@jest/globals";
+import { createWriteStream } from "node:fs";
+import { mkdtemp, rm, writeFile } from "node:fs/promises";
+import { once } from "node:events";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { Readable } from "node:stream";
+import {
+  detectFormat,
+  parseJsonArray,
+  parseJsonLines,
+  readBusinesses,
+} from "../src/input.mjs";
+
+const collect = async (iterable) => {
+  const out = [];
+  for await (const item of iterable) out.push(item);
+  return out;
+};
+
+// Splits text into chunks of a fixed size, to exercise chunk boundaries
+async function* chunked(text, size) {
+  for (let i = 0; i < text.length; i += size) yield text.slice(i, i + size);
+}
+
+// Synthetic business roughly the shape (and size) of a real scrape record
+const syntheticBiz = (i) => ({
+  title: `Business ${i}`,
+  placeId: `ChIJ${String(i).padStart(23, "0")}`,
+  categoryName: "Plumber",
+  address: `${i} Main St, Columbia, MD 21044`,
+  totalScore: 4.5,
+  reviews: Array.from({ length: 3 }, (_, j) => ({
+    reviewId: `r${i}_${j}`,
+    name: "Reviewer",
+    stars: 5,
+    text: "Great service, would hire again. ".repeat(4),
+    publishedAtDate: "2025-08-11T14:22:17.367Z",
+  })),
+});
+
+describe("input module", () => {
+  let dir;
+
+  beforeAll(async () => {
+    dir = await mkdtemp(join(tmpdir(), "leads-input-"));
+  });
+
+  afterAll(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  describe("parseJsonArray", () => {
+    test("should yield every element regardless of chunk boundaries", async () => {
+      const data = [
+        { title: 'Quote " and ] bracket', nested: { list: [1, [2, 3]] } },
+        { title: "Escaped \\ backslash", text: "a,b,c" },
+        "plain string",
+        42,
+        null,
+      ];
+      const text = JSON.stringify(data, null, 2);
+
+      for (const size of [1, 3, 7, 64, text.length]) {
+        expect(await collect(parseJsonArray(chunked(text, size)))).toEqual(
+          data
+        );
+      }
+    });
+
+    test("should skip a leading byte order mark", async () => {
+      const text = '\uFEFF[{"placeId": "abc"}]';
+
+      for (const size of [1, 4, text.length]) {
+        expect(await collect(parseJsonArray(chunked(text, size)))).toEqual([
+          { placeId: "abc" },
+        ]);
+      }
+    });
+
+    test("should accept an empty array", async () => {
+      expect(await collect(parseJsonArray(chunked(" [ ] \n", 2)))).toEqual([]);
+    });
+
+    test("should reject input that is not an array", async () => {
+      await expect(
+        collect(parseJsonArray(chunked('{"a": 1}', 4)))
+      ).rejects.toThrow("Expected a top-level JSON array");
+    });
+
+    test("should reject a truncated array", async () => {
+      await expect(
+        collect(parseJsonArray(chunked('[{"a": 1}, {"b"', 4)))
+      ).rejects.toThrow("Unexpected end of the JSON array");
+    });
+  });
+
+  describe("parseJsonLines", () => {
+    test("should yield one value per non-empty line", async () => {
+      const input = Readable.from(['{"a":1}\n\n{"b"', ":2}\r\n"]);
+
+      expect(await collect(parseJsonLines(input))).toEqual([
+        { a: 1 },
+        { b: 2 },
+      ]);
+    });
+
+    test("should name the line of invalid JSON", async () => {
+      const input = Readable.from(['{"a":1}\n{oops}\n']);
+
+      await expect(collect(parseJsonLines(input))).rejects.toThrow(
+        "Invalid JSON on line 2"
+      );
+    });
+  });
+
+  describe("readBusinesses", () => {
+    test("should read JSON and JSONL files that start with a byte order mark", async () => {
+      const arrayPath = join(dir, "bom.json");
+      const linesPath = join(dir, "bom.jsonl");
+      const bizs = [syntheticBiz(1), syntheticBiz(2)];
+      await writeFile(arrayPath, `\uFEFF${JSON.stringify(bizs)}`);
+      await writeFile(
+        linesPath,
+        `\uFEFF${bizs.map((b) => JSON.stringify(b)).join("\n")}`
+      );
+
+      expect(await detectFormat(arrayPath)).toBe("json");
+      expect(await collect(readBusinesses(arrayPath))).toEqual(bizs);
+      expect(await collect(readBusinesses(linesPath))).toEqual(bizs);
+    });
+
+    test("should detect JSON arrays and JSONL files", async () => {
+      const arrayPath = join(dir, "leads.json");
+      const linesPath = join(dir, "leads.jsonl");
+      const bizs = [syntheticBiz(1), syntheticBiz(2)];
+      await writeFile(arrayPath, `\n ${JSON.stringify(bizs, null, 2)}`);
+      await writeFile(linesPath, bizs.map((b) => JSON.stringify(b)).join("\n"));
+
+      expect(await detectFormat(arrayPath)).toBe("json");
+      expect(await detectFormat(linesPath)).toBe("jsonl");
+      expect(await collect(readBusinesses(arrayPath))).toEqual(bizs);
+      expect(await collect(readBusinesses(linesPath))).toEqual(bizs);
+    });
+
+    test("should read CSV files and detect them from their header", async () => {
+      const path = join(dir, "leads-export");
+      await writeFile(path, "title,placeId,totalScore\nAcme,p1,4.5\n");
+
+      expect(await detectFormat(path)).toBe("csv");
+      expect(await detectFormat(join(dir, "x.CSV"))).toBe("csv");
+      expect(await collect(readBusinesses(path))).toEqual([
+        { title: "Acme", placeId: "p1", totalScore: 4.5 },
+      ]);
+    });
+
+    test("should add reviews from a separate file to their business", async () => {
+      const leadsPath = join(dir, "split.jsonl");
+      const reviewsPath = join(dir, "split-reviews.csv");
+      await writeFile(
+        leadsPath,
+        [
+          { placeId: "p1", title: "A", reviews: [{ reviewId: "r0" }] },
+          { placeId: "p2", title: "B" },
+        ]
+          .map((b) => JSON.stringify(b))
+          .join("\n")
+      );
+      await writeFile(
+        reviewsPath,
+        "Place,reviewId,stars\np1,r1,5\np9,r9,1\np1,r2,3\n"
+      );
+
+      const bizs = await collect(
+        readBusinesses(leadsPath, {
+          reviewsPath,
+          columns: { reviews: { Place: "placeId" } },
+        })
+      );
+
+      expect(bizs).toEqual([
+        {
+          placeId: "p1",
+          title: "A",
+          reviews: [
+            { reviewId: "r0" },
+            { reviewId: "r1", stars: 5 },
+            { reviewId: "r2", stars: 3 },
+          ],
+        },
+        { placeId: "p2", title: "B" },
+      ]);
+    });
+
+    test("should reject unknown formats", async () => {
+      await expect(
+        collect(readBusinesses(join(dir, "leads.json"), { format: "xml" }))
+      ).rejects.toThrow('Unknown input format "xml"');
+    });
+
+    test("should keep heap use bounded on 50k businesses", async () => {
+      const count = 50000;
+      const path = join(dir, "large.json");
+      const out = createWriteStream(path);
+      out.write("[\n");
+      for (let i = 0; i < count; i++) {
+        const line = `${i ? ",\n" : ""}${JSON.stringify(syntheticBiz(i))}`;
+        if (!out.write(line)) await once(out, "drain");
+      }
+      out.end("\n]\n");
+      await once(out, "finish");
+
+      const baseline = process.memoryUsage().heapUsed;
+      let peak = 0;
+      let seen = 0;
+      for await (const biz of readBusinesses(path)) {
+        if (biz.placeId !== syntheticBiz(seen).placeId) {
+          throw new Error(`Out of order at ${seen}`);
+        }
+        if (++seen % 1000 === 0) {
+          peak = Math.max(peak, process.memoryUsage().heapUsed - baseline);
+        }
+      }
+
+      // The file is ~45 MB; parsed in one go it would take several times that
+      expect(seen).toBe(count);
+      expect(peak).toBeLessThan(32 * 1024 * 1024);
+    }, 120000);
+  });
+});
@@ -0,0 +1,203 @@
+import { describe, test, expect, beforeEach, afterEach } from "@jest/globals";
+import { mkdtemp, readFile, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { runImport } from "../src/importer.mjs";
+import { JsonFileRepo } from "../src/jsonFileRepo.mjs";
+import { createRepo } from "../src/repo.mjs";
+
+const tables = {
+  leads: { name: "leads", keyField: "placeId", reviewsField: "reviews" },
+  reviews: { name: "reviews", keyField: "reviewId", linkToLeadField: "lead" },
+};
+
+describe("jsonFileRepo module", () => {
+  let dir;
+  let repo;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), "leads-filerepo-"));
+    repo = new JsonFileRepo({ dir, tables });
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  test("should upsert on a key field and report what was created", async () => {
+    const first = await repo.upsertManyByKey("leads", "placeId", [
+      { placeId: "p1", companyName: "A" },
+      { placeId: "p2", companyName: "B" },
+    ]);
+    const second = await repo.upsertManyByKey("leads", "placeId", [
+      { placeId: "p1", companyName: "A2", phone: null },
+    ]);
+
+    expect(first.get("p1")).toEqual({ id: expect.any(String), created: true });
+    expect(second.get("p1")).toEqual({
+      id: first.get("p1").id,
+      created: false,
+    });
+    expect(
+      await repo.findRecordsByKeys("leads", "placeId", ["p1", "p2", "p3"], {
+        withFields: true,
+      })
+    ).toEqual(
+      new Map([
+        [
+          "p1",
+          {
+            id: first.get("p1").id,
+            fields: { placeId: "p1", companyName: "A2" },
+          },
+        ],
+        [
+          "p2",
+          {
+            id: first.get("p2").id,
+            fields: { placeId: "p2", companyName: "B" },
+          },
+        ],
+      ])
+    );
+  });
+
+  test("should keep the lead's inverse reviews field in step", async () => {
+    const { id: leadId } = await repo.upsertByKey("leads", "placeId", {
+      placeId: "p1",
+    });
+    const {
+      succeeded: [r1, r2],
+    } = await repo.createMany("reviews", [
+      { fields: { reviewId: "r1", lead: [{ id: leadId }] } },
+      { fields: { reviewId: "r2", lead: [{ id: leadId }] } },
+    ]);
+
+    expect(r1.fields.lead).toEqual([leadId]);
+    expect((await repo.getRecord("leads", leadId)).fields.reviews).toEqual([
+      r1.id,
+      r2.id,
+    ]);
+
+    await repo.updateMany("reviews", [{ id: r1.id, fields: { lead: [] } }]);
+    await repo.deleteMany("reviews", [r2.id]);
+
+    expect((await repo.getRecord("leads", leadId)).fields).toEqual({
+      placeId: "p1",
+    });
+  });
+
+  test("should report updates of unknown records without failing the rest", async () => {
+    const {
+      succeeded: [rec],
+    } = await repo.createMany("reviews", [{ fields: { reviewId: "r1" } }]);
+
+    const res = await repo.updateMany("reviews", [
+      { id: "recMissing", fields: { stars: 1 } },
+      { id: rec.id, fields: { stars: 5 } },
+    ]);
+
+    expect(res.succeeded).toEqual([
+      expect.objectContaining({ fields: { reviewId: "r1", stars: 5 } }),
+    ]);
+    expect(res.failed).toEqual([
+      {
+        record: { id: "recMissing", fields: { stars: 1 } },
+        error: new Error("Record recMissing not found in reviews"),
+      },
+    ]);
+  });
+
+  test("should persist tables on close and load them again", async () => {
+    const summary = await runImport(
+      [
+        {
+          placeId: "p1",
+          title: "Business p1",
+          reviews: [{ reviewId: "r1", stars: 5, text: "Great" }],
+        },
+      ],
+      { repo, tables, concurrency: 1 }
+    );
+    await repo.close();
+
+    expect(summary).toMatchObject({ created: 1, reviews: { created: 1 } });
+    const leads = JSON.parse(await readFile(join(dir, "leads.json"), "utf8"));
+    const reviews = JSON.parse(
+      await readFile(join(dir, "reviews.json"), "utf8")
+    );
+    expect(leads).toEqual([
+      expect.objectContaining({
+        fields: expect.objectContaining({
+          placeId: "p1",
+          companyName: "Business p1",
+          reviews: [reviews[0].id],
+        }),
+      }),
+    ]);
+    expect(reviews[0].fields).toMatchObject({
+      reviewId: "r1",
+      stars: 5,
+      lead: [leads[0].id],
+    });
+
+    const reopened = createRepo("file", { dir, tables });
+    expect(
+      await reopened.findRecordsByKeys("reviews", "reviewId", ["r1"])
+    ).toEqual(new Map([["r1", reviews[0].id]]));
+  });
+
+  test("should link again a pruned review that shows up again", async () => {
+    const scrape = (...ids) => [
+      {
+        placeId: "p1",
+        title: "Business p1",
+        reviews: ids.map((reviewId) => ({ reviewId, stars: 5 })),
+      },
+    ];
+    const options = { repo, tables, concurrency: 1, prune: "unlink" };
+    await runImport(scrape("r1", "r2"), options);
+    await runImport(scrape("r1"), options);
+
+    const summary = await runImport(scrape("r1", "r2"), options);
+
+    expect(summary.reviews).toMatchObject({ created: 0, updated: 1 });
+    const leadId = (
+      await repo.findRecordsByKeys("leads", "placeId", ["p1"])
+    ).get("p1");
+    const reviews = await repo.findRecordsByKeys(
+      "reviews",
+      "reviewId",
+      ["r1", "r2"],
+      { withFields: true }
+    );
+    expect(reviews.get("r2").fields.lead).toEqual([leadId]);
+    expect((await repo.getRecord("leads", leadId)).fields.reviews).toEqual([
+      reviews.get("r1").id,
+      reviews.get("r2").id,
+    ]);
+  });
+
+  test("should tell when the writes made so far are on disk", async () => {
+    const path = join(dir, "leads.json");
+    await repo.createMany("leads", [{ fields: { placeId: "p1" } }]);
+    let flushed = false;
+    const waiting = repo.flushed().then(() => {
+      flushed = true;
+    });
+
+    await new Promise((resolve) => setImmediate(resolve));
+    expect(flushed).toBe(false);
+    await repo.flush();
+    await waiting;
+
+    expect(JSON.parse(await readFile(path, "utf8"))).toHaveLength(1);
+    await expect(repo.flushed()).resolves.toBeUndefined();
+  });
+
+  test("should reject unknown backends", () => {
+    expect(() => createRepo("sqlite")).toThrow(
+      'Unknown storage backend "sqlite" (use airtable or file)'
+    );
+  });
+});
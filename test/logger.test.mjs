@@ -0,0 +1,61 @@
+import { describe, test, expect } from "@jest/globals";
+import { Logger } from "../src/logger.mjs";
+
+const sink = () => {
+  const lines = [];
+  return {
+    lines,
+    write: (text) => lines.push(JSON.parse(text)),
+  };
+};
+
+describe("logger module", () => {
+  test("should write one JSON object per line at or above the level", () => {
+    const stream = sink();
+    const logger = new Logger({ level: "info", stream });
+
+    logger.debug("hidden");
+    logger.info("batch", { durationMs: 12 });
+    logger.error("business failed", { placeId: "p1" });
+
+    expect(stream.lines).toEqual([
+      {
+        time: expect.any(String),
+        level: "info",
+        msg: "batch",
+        durationMs: 12,
+      },
+      {
+        time: expect.any(String),
+        level: "error",
+        msg: "business failed",
+        placeId: "p1",
+      },
+    ]);
+    expect(logger.enabled("debug")).toBe(false);
+  });
+
+  test("should add child fields and follow the root configuration", () => {
+    const logger = new Logger();
+    const child = logger.child({ table: "leads" }).child({ operation: "list" });
+    expect(child.enabled("error")).toBe(false); // no stream yet
+
+    const stream = sink();
+    logger.configure({ level: "debug", stream });
+    child.debug("request", { attempts: 2, operation: "get" });
+
+    expect(stream.lines[0]).toMatchObject({
+      level: "debug",
+      msg: "request",
+      table: "leads",
+      operation: "get",
+      attempts: 2,
+    });
+  });
+
+  test("should reject an unknown level", () => {
+    expect(() => new Logger({ level: "verbose" })).toThrow(
+      'Unknown log level "verbose"'
+    );
+  });
+});
@@ -0,0 +1,305 @@
+import { describe, test, expect, beforeAll, afterAll } from "@jest/globals";
+import { mkdtemp, readFile, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import {
+  compileMapping,
+  loadMapping,
+  mapLeadFields,
+  mapReviewFields,
+} from "../src/mapping.mjs";
+import { checkBiz } from "../src/validation.mjs";
+
+describe("mapping module", () => {
+  let sample;
+  let dir;
+
+  beforeAll(async () => {
+    [sample] = JSON.parse(
+      await readFile(new URL("../data/leads.sample.json", import.meta.url))
+    );
+    dir = await mkdtemp(join(tmpdir(), "leads-mapping-"));
+  });
+
+  afterAll(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  describe("default profile", () => {
+    test("should map the sample business to the lead columns", () => {
+      const fields = mapLeadFields(sample);
+
+      expect(fields).toMatchObject({
+        placeId: "ChIJM9kflmzft4kRK5T5vyceXpk",
+        companyName: "Ehrhardt Brothers Quality Plumbing, Inc.",
+        listedPhone: "(410) 997-8414",
+        state: null,
+        googleRank: null,
+        totalScore: 4.7,
+        reviewsCount: 125,
+        reviewsDistribution:
+          '{"oneStar":6,"twoStar":2,"threeStar":1,"fourStar":3,"fiveStar":113}',
+      });
+      expect(fields.openingHours).toMatch(/^Monday: 7 AM to 5 PM \| /);
+      expect(JSON.parse(fields.ownerUpdatesJson)).toHaveLength(10);
+    });
+
+    test("should count scraped reviews when reviewsCount is missing", () => {
+      expect(
+        mapLeadFields({ placeId: "p1", reviews: [{}, {}] }).reviewsCount
+      ).toBe(2);
+    });
+
+    test("should map reviews with the rating fallback and the lead link", () => {
+      const fields = mapReviewFields(
+        sample,
+        { reviewId: "r1", rating: 3, text: "", name: "Ann" },
+        "recLead"
+      );
+
+      expect(fields).toEqual({
+        reviewId: "r1",
+        reviewerName: "Ann",
+        stars: 3,
+        reviewComment: null,
+        publishedAtDate: null,
+        responseFromOwnerText: null,
+        lead: [{ id: "recLead" }],
+      });
+    });
+
+    test("should map the dates validation warns about to null", () => {
+      const review = { reviewId: "r1", publishedAtDate: "garbage" };
+      const biz = { placeId: "p1", title: "X", scrapedAt: "yesterday" };
+      const warned = checkBiz({ ...biz, reviews: [review] }).map((i) => [
+        i.level,
+        i.field,
+      ]);
+
+      expect(warned).toEqual([
+        ["warning", "scrapedAt"],
+        ["warning", "reviews[0].publishedAtDate"],
+      ]);
+      expect(mapLeadFields(biz).scrapedAt).toBeNull();
+      expect(
+        mapReviewFields(biz, review, "recLead").publishedAtDate
+      ).toBeNull();
+      expect(
+        mapReviewFields(biz, { reviewId: "r2", publishedAtDate: "2025-01-02" })
+          .publishedAtDate
+      ).toBe("2025-01-02T00:00:00.000Z");
+    });
+
+    test("should read stored columns back into scrape fields", () => {
+      const mapper = compileMapping(
+        {
+          leads: {
+            placeId: { source: "placeId" },
+            hours: { source: "openingHours", transform: "hoursToLine" },
+            tags: { source: "categories", transform: "array-join( / )" },
+            dist: { source: "reviewsDistribution", transform: "stringify" },
+            phone: { source: ["phoneUnformatted", "phone"] },
+            domain: { source: "domain" },
+          },
+          reviews: {
+            reviewId: { source: "reviewId" },
+            placeId: { source: "business.placeId" },
+          },
+        },
+        { linkToLeadField: "lead" }
+      );
+      const biz = {
+        placeId: "p1",
+        openingHours: [{ day: "Monday", hours: "9 AM to 5 PM" }],
+        categories: ["Plumber", "Gas"],
+        reviewsDistribution: { oneStar: 1 },
+        phone: "555",
+        website: "https://x.com",
+      };
+
+      expect(mapper.unmapLead(mapper.mapLead(biz))).toEqual({
+        placeId: "p1",
+        openingHours: biz.openingHours,
+        categories: biz.categories,
+        reviewsDistribution: biz.reviewsDistribution,
+        phoneUnformatted: "555",
+      });
+      expect(
+        mapper.unmapReview(mapper.mapReview(biz, { reviewId: "r1" }, "rec1"))
+      ).toEqual({ reviewId: "r1" });
+    });
+  });
+
+  describe("compileMapping", () => {
+    test("should apply transforms and read business fields from reviews", () => {
+      const mapper = compileMapping(
+        {
+          leads: {
+            id: { source: "placeId", required: true },
+            oneStar: {
+              source: "reviewsDistribution.oneStar",
+              transform: "number",
+            },
+            tags: { source: "categories", transform: "array-join(; )" },
+            scraped: { source: "scrapedAt", transform: "date" },
+            name: { source: "title", transform: "truncate(8)" },
+          },
+          reviews: {
+            reviewId: { source: "reviewId" },
+            placeId: { source: "business.placeId" },
+            images: { source: "reviewImageUrls", transform: "array-join" },
+            localGuide: { source: "isLocalGuide", transform: "boolean" },
+            likes: { source: "likesCount", transform: "number" },
+            reviewerReviews: { source: "reviewerNumberOfReviews" },
+          },
+        },
+        { linkToLeadField: "business" }
+      );
+
+      expect(mapper.mapLead(sample)).toEqual({
+        id: sample.placeId,
+        oneStar: 6,
+        tags: "Plumber; Drainage service; Gas installation service",
+        scraped: "2025-09-02T20:05:36.433Z",
+        name: "Ehrhardt",
+      });
+      expect(
+        mapper.mapReview(
+          sample,
+          {
+            reviewId: "r1",
+            reviewImageUrls: ["a.jpg", "b.jpg"],
+            isLocalGuide: true,
+            likesCount: 2,
+            reviewerNumberOfReviews: 19,
+          },
+          null
+        )
+      ).toEqual({
+        reviewId: "r1",
+        placeId: sample.placeId,
+        images: "a.jpg, b.jpg",
+        localGuide: true,
+        likes: 2,
+        reviewerReviews: 19,
+        business: [],
+      });
+    });
+
+    test("should throw when a required field resolves to null", () => {
+      const mapper = compileMapping({
+        leads: { id: { source: ["placeId", "cid"], required: true } },
+      });
+
+      expect(() => mapper.mapLead({ title: "x" })).toThrow(
+        "Missing required leads.id (from placeId or cid)"
+      );
+    });
+
+    test("should infer column types from the transforms", () => {
+      const mapper = compileMapping({
+        leads: {
+          name: { source: "title" },
+          score: { source: "totalScore", transform: "number" },
+          open: { source: "permanentlyClosed", transform: "boolean" },
+          about: { source: "description", transform: "truncate(1000)" },
+          site: { source: "website", type: "url" },
+        },
+      });
+
+      expect(mapper.schema.leads).toEqual([
+        { name: "name", type: "singleLineText" },
+        { name: "score", type: "number" },
+        { name: "open", type: "checkbox" },
+        { name: "about", type: "multilineText" },
+        { name: "site", type: "url" },
+      ]);
+    });
+
+    test.each([
+      [
+        { leads: { x: { source: "nope" } } },
+        'Invalid mapping leads.x: unknown source path "nope"',
+      ],
+      [
+        { reviews: { x: { source: "business.nope" } } },
+        'Invalid mapping reviews.x: unknown source path "business.nope"',
+      ],
+      [
+        { leads: { x: { source: "title", transform: "upper" } } },
+        'Invalid mapping leads.x: unknown transform "upper"',
+      ],
+      [
+        { leads: { x: { source: "title", transform: "truncate(-1)" } } },
+        'Invalid mapping leads.x: truncate needs a positive length, got "-1"',
+      ],
+      [
+        { leads: { x: { source: "title", transform: "number(2)" } } },
+        "Invalid mapping leads.x: number takes no argument",
+      ],
+      [
+        { leads: { x: { sourse: "title" } } },
+        "Invalid mapping leads.x: unknown option(s) sourse",
+      ],
+      [
+        { leads: { x: { source: "title", type: "text" } } },
+        'Invalid mapping leads.x: unknown type "text"',
+      ],
+      [{ lead: {} }, 'Invalid mapping: unknown table "lead"'],
+    ])("should fail fast on invalid profiles (%#)", (spec, message) => {
+      expect(() => compileMapping(spec)).toThrow(message);
+    });
+  });
+
+  describe("loadMapping", () => {
+    test("should load a JSON profile", async () => {
+      const path = join(dir, "client.json");
+      await writeFile(
+        path,
+        JSON.stringify({
+          leads: { "Place ID": { source: "placeId" } },
+          reviews: { "Review ID": { source: "reviewId", tracked: true } },
+        })
+      );
+
+      const mapper = await loadMapping(path);
+
+      expect(mapper.mapLead(sample)).toEqual({ "Place ID": sample.placeId });
+      expect(mapper.trackedReviewFields).toEqual(["Review ID"]);
+    });
+
+    test("should write the added lead columns only with the enriched profile", async () => {
+      const biz = {
+        ...sample,
+        postalCode: "21044",
+        domain: "example.com",
+        enrichment: { leadScore: 70, hasWebsite: true },
+      };
+
+      const fields = (await loadMapping("src/mappings/enriched.mjs")).mapLead(
+        biz
+      );
+
+      expect(fields).toMatchObject({
+        placeId: sample.placeId,
+        zip: "21044",
+        domain: "example.com",
+        leadScore: 70,
+        hasWebsite: true,
+      });
+      const plain = mapLeadFields(biz);
+      for (const column of ["zip", "domain", "leadScore"]) {
+        expect(plain).not.toHaveProperty(column);
+      }
+    });
+
+    test("should name the file in validation errors", async () => {
+      const path = join(dir, "broken.json");
+      await writeFile(path, JSON.stringify({ leads: { x: { source: "?" } } }));
+
+      await expect(loadMapping(path)).rejects.toThrow(
+        `${path}: Invalid mapping leads.x: unknown source path "?"`
+      );
+    });
+  });
+});
@@ -0,0 +1,150 @@
+import { describe, test, expect } from "@jest/globals";
+import {
+  normalizeBiz,
+  normalizePhone,
+  normalizeUrl,
+  parseAddress,
+  rootDomain,
+} from "../src/normalize.mjs";
+
+describe("normalize module", () => {
+  describe("normalizePhone", () => {
+    test.each([
+      ["(410) 730-1200", "+14107301200"],
+      ["+1 410-730-1200", "+14107301200"],
+      ["1.410.730.1200", "+14107301200"],
+      ["410-730-1200 ext. 12", "+14107301200"],
+      ["+44 20 7946 0958", "+442079460958"],
+      ["730-1200", null],
+      ["", null],
+    ])("should read %p as %p", (phone, e164) => {
+      expect(normalizePhone(phone)).toBe(e164);
+    });
+
+    test("should not read numbers of other countries as US numbers", () => {
+      expect(normalizePhone("020 7946 0958", "GB")).toBeNull();
+      expect(normalizePhone("(410) 730-1200", "US")).toBe("+14107301200");
+    });
+  });
+
+  describe("normalizeUrl", () => {
+    test.each([
+      ["http://www.columbiaplumber.com/", "http://www.columbiaplumber.com"],
+      ["columbiaplumber.com", "https://columbiaplumber.com"],
+      ["HTTPS://Example.COM:443/About/", "https://example.com/About"],
+      [
+        "https://example.com/?utm_source=gmb&utm_medium=organic&id=4",
+        "https://example.com?id=4",
+      ],
+      ["https://example.com/?gclid=abc", "https://example.com"],
+      ["mailto:owner@example.com", null],
+      ["not a url", null],
+    ])("should canonicalize %p", (url, canonical) => {
+      expect(normalizeUrl(url)).toBe(canonical);
+    });
+  });
+
+  describe("rootDomain", () => {
+    test.each([
+      ["https://www.columbiaplumber.com", "columbiaplumber.com"],
+      ["https://shop.example.co.uk/x", "example.co.uk"],
+      ["https://example.com.au", "example.com.au"],
+      ["https://sites.google.com/view/x", "google.com"],
+      ["http://192.168.0.1", null],
+    ])("should find the domain of %p", (url, domain) => {
+      expect(rootDomain(url)).toBe(domain);
+    });
+  });
+
+  describe("parseAddress", () => {
+    test.each([
+      [
+        "5552 Cedar Ln, Columbia, MD 21044",
+        {
+          street: "5552 Cedar Ln",
+          city: "Columbia",
+          state: "MD",
+          postalCode: "21044",
+        },
+      ],
+      [
+        "Suite 4, 10 Main St, Ellicott City, md 21043-1234, United States",
+        {
+          street: "Suite 4, 10 Main St",
+          city: "Ellicott City",
+          state: "MD",
+          postalCode: "21043-1234",
+        },
+      ],
+      [
+        "Columbia, MD",
+        { street: null, city: "Columbia", state: "MD", postalCode: null },
+      ],
+      ["221B Baker St, London NW1 6XE, UK", null],
+      ["10 Main St, Springfield, ZZ 12345", null],
+      [null, null],
+    ])("should parse %p", (address, parts) => {
+      expect(parseAddress(address)).toEqual(parts);
+    });
+  });
+
+  describe("normalizeBiz", () => {
+    test("should normalize the sample business and fill in its state and ZIP", () => {
+      const biz = {
+        placeId: "p1",
+        address: "5552 Cedar Ln, Columbia, MD 21044",
+        street: "5552 Cedar Ln",
+        city: "Columbia",
+        state: null,
+        postalCode: null,
+        phone: "(410) 997-8414",
+        website: "http://www.columbiaplumber.com/?utm_source=gmb",
+      };
+
+      expect(normalizeBiz(biz)).toEqual({
+        ...biz,
+        state: "MD",
+        postalCode: "21044",
+        phone: "+14109978414",
+        website: "http://www.columbiaplumber.com",
+        domain: "columbiaplumber.com",
+      });
+    });
+
+    test("should keep values it can't normalize and fields already set", () => {
+      const biz = {
+        placeId: "p1",
+        address: "1 Elm St, Baltimore, MD 21201",
+        city: "Towson",
+        state: "MD",
+        phone: "call us",
+        website: "ftp://example.com",
+      };
+
+      expect(normalizeBiz(biz)).toEqual({
+        ...biz,
+        street: "1 Elm St",
+        postalCode: "21201",
+        domain: null,
+      });
+    });
+
+    test("should clear star ratings outside 1-5 and keep the review", () => {
+      const reviews = [
+        { reviewId: "r1", stars: 5 },
+        { reviewId: "r2", stars: 9, text: "Great" },
+        { reviewId: "r3", rating: 0.5 },
+      ];
+
+      expect(normalizeBiz({ placeId: "p1", reviews }).reviews).toEqual([
+        reviews[0],
+        { reviewId: "r2", stars: null, rating: null, text: "Great" },
+        { reviewId: "r3", stars: null, rating: null },
+      ]);
+      const clean = [reviews[0]];
+      expect(normalizeBiz({ placeId: "p1", reviews: clean }).reviews).toBe(
+        clean
+      );
+    });
+  });
+});
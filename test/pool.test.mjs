@@ -0,0 +1,126 @@
+import { jest, describe, test, expect } from "@jest/globals";
+import { Pool } from "../src/pool.mjs";
+
+// A task that resolves when told to, recording when it started
+const deferred = () => {
+  let resolve, reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+};
+
+const tick = () => new Promise((r) => setImmediate(r));
+
+describe("pool module", () => {
+  test("should run at most `limit` tasks at once and wait for idle", async () => {
+    const pool = new Pool(2);
+    let running = 0;
+    let peak = 0;
+    const task = async () => {
+      running++;
+      peak = Math.max(peak, running);
+      await tick();
+      running--;
+    };
+
+    for (let i = 0; i < 6; i++) pool.run(task);
+    await pool.onIdle();
+
+    expect(peak).toBe(2);
+    expect(pool.completed).toBe(6);
+    await expect(pool.onIdle()).resolves.toBeUndefined();
+  });
+
+  test("should run tasks sharing a key one after the other", async () => {
+    const pool = new Pool(3);
+    const order = [];
+    const gates = [deferred(), deferred(), deferred()];
+    const task = (name, gate) => async () => {
+      order.push(`start ${name}`);
+      await gate.promise;
+      order.push(`end ${name}`);
+    };
+
+    pool.run(task("a", gates[0]), { key: ["p1", "p2"] });
+    pool.run(task("b", gates[1]), { key: "p2" });
+    pool.run(task("c", gates[2]), { key: "p3" });
+    await tick();
+    expect(order).toEqual(["start a", "start c"]);
+
+    gates[0].resolve();
+    await tick();
+    expect(order).toEqual(["start a", "start c", "end a", "start b"]);
+
+    gates[1].resolve();
+    gates[2].resolve();
+    await pool.onIdle();
+    expect(pool.keys.size).toBe(0);
+  });
+
+  test("should release a key when its task fails", async () => {
+    const pool = new Pool(1);
+    const failed = pool.run(() => Promise.reject(new Error("boom")), {
+      key: "p1",
+    });
+    const next = pool.run(async () => "ran", { key: "p1" });
+
+    await expect(failed).rejects.toThrow("boom");
+    await expect(next).resolves.toBe("ran");
+  });
+
+  test("should report progress", async () => {
+    const onProgress = jest.fn();
+    const pool = new Pool(1, { onProgress });
+
+    await pool.run(async () => {});
+    await pool.run(() => Promise.reject(new Error("boom"))).catch(() => {});
+
+    expect(onProgress).toHaveBeenLastCalledWith({
+      completed: 1,
+      failed: 1,
+      active: 0,
+      queued: 0,
+    });
+  });
+
+  test("should stop after maxFailures, letting running tasks finish", async () => {
+    const pool = new Pool(1, { maxFailures: 2 });
+    const gate = deferred();
+
+    pool.fail();
+    const running = pool.run(() => gate.promise);
+    const queued = pool.run(async () => "never");
+    await tick();
+    pool.fail();
+
+    expect(pool.stopped).toBe(true);
+    await expect(queued).rejects.toThrow("Stopped after 2 failures");
+    expect(pool.signal.aborted).toBe(false);
+    gate.resolve("finished");
+    await expect(running).resolves.toBe("finished");
+    await expect(pool.run(async () => {})).rejects.toThrow(
+      "Stopped after 2 failures"
+    );
+  });
+
+  test("should abort running tasks and reject queued ones when cancelled", async () => {
+    const controller = new AbortController();
+    const pool = new Pool(1, { signal: controller.signal });
+    const running = pool.run(
+      (signal) =>
+        new Promise((resolve, reject) =>
+          signal.addEventListener("abort", () => reject(signal.reason))
+        )
+    );
+    const queued = pool.run(async () => "never");
+    await tick();
+
+    controller.abort(new Error("Cancelled"));
+
+    await expect(running).rejects.toThrow("Cancelled");
+    await expect(queued).rejects.toThrow("Cancelled");
+    await pool.onIdle();
+  });
+});
@@ -0,0 +1,137 @@
+import { describe, test, expect, beforeAll, afterAll } from "@jest/globals";
+import { mkdtemp, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import {
+  loadProfiles,
+  mapperFor,
+  pickProfiles,
+  profileDir,
+  profilePath,
+  resolveProfile,
+} from "../src/profiles.mjs";
+
+describe("profiles module", () => {
+  let dir;
+
+  beforeAll(async () => {
+    dir = await mkdtemp(join(tmpdir(), "profiles-"));
+  });
+
+  afterAll(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  test("should load profiles, merging table settings with the defaults", async () => {
+    const path = join(dir, "profiles.json");
+    process.env.ACME_TEST_TOKEN = "patAcme";
+    await writeFile(
+      path,
+      JSON.stringify({
+        acme: {
+          baseId: "appAcme",
+          tokenEnv: "ACME_TEST_TOKEN",
+          tables: {
+            leads: { name: "Leads" },
+            reviews: { linkToLeadField: "Lead" },
+          },
+          mapping: "mappings/acme.json",
+        },
+        globex: { baseId: "appGlobex", token: "patGlobex" },
+      })
+    );
+
+    const profiles = await loadProfiles(path);
+    delete process.env.ACME_TEST_TOKEN;
+
+    expect([...profiles.keys()]).toEqual(["acme", "globex"]);
+    expect(profiles.get("acme")).toEqual({
+      name: "acme",
+      baseId: "appAcme",
+      token: "patAcme",
+      apiUrl: "https://api.airtable.com",
+      tables: {
+        leads: { name: "Leads", keyField: "placeId", reviewsField: "reviews" },
+        reviews: {
+          name: "reviews",
+          keyField: "reviewId",
+          linkToLeadField: "Lead",
+        },
+      },
+      mapping: join(dir, "mappings/acme.json"),
+    });
+    expect(profiles.get("globex")).toMatchObject({
+      token: "patGlobex",
+      mapping: null,
+    });
+  });
+
+  test.each([
+    [{}, 'profile "x": baseId is required'],
+    [{ baseId: "app1", base: "app2" }, 'profile "x": unknown setting "base"'],
+    [
+      { baseId: "app1", tables: { leads: { link: "a" } } },
+      'profile "x": unknown setting "tables.leads.link"',
+    ],
+    [
+      { baseId: "app1", tables: { notes: {} } },
+      'profile "x": unknown table "notes"',
+    ],
+  ])("should reject invalid profile %j", (spec, message) => {
+    expect(() => resolveProfile("x", spec)).toThrow(message);
+  });
+
+  test("should name the file when a profile is invalid", async () => {
+    const path = join(dir, "bad.json");
+    await writeFile(path, JSON.stringify({ acme: { token: "pat" } }));
+    await expect(loadProfiles(path)).rejects.toThrow(
+      `${path}: profile "acme": baseId is required`
+    );
+  });
+
+  test("should pick profiles by name, accepting comma-separated lists", () => {
+    const profiles = new Map([
+      ["a", { name: "a" }],
+      ["b", { name: "b" }],
+      ["c", { name: "c" }],
+    ]);
+    expect(pickProfiles(profiles, ["c,a", "a"]).map((p) => p.name)).toEqual([
+      "c",
+      "a",
+    ]);
+    expect(() => pickProfiles(profiles, ["d"])).toThrow(
+      'Unknown profile "d" (use a, b, c)'
+    );
+  });
+
+  test("should link reviews through the profile's link field", async () => {
+    const mapper = await mapperFor(
+      resolveProfile("x", {
+        baseId: "app1",
+        tables: { reviews: { linkToLeadField: "Lead" } },
+      })
+    );
+    const fields = mapper.mapReview(
+      { placeId: "p1" },
+      { reviewId: "r1", stars: 5 },
+      "recLead"
+    );
+    expect(fields.Lead).toEqual([{ id: "recLead" }]);
+  });
+
+  test("should give each profile its own output files", () => {
+    expect(profilePath("run-report.json", { name: "acme" })).toBe(
+      "run-report.acme.json"
+    );
+    expect(profilePath("out/changes", { name: "acme" })).toBe(
+      "out/changes.acme"
+    );
+    expect(profilePath("run-report.json", { name: null })).toBe(
+      "run-report.json"
+    );
+    expect(profileDir(".import-state", { name: "acme" })).toBe(
+      join(".import-state", "acme")
+    );
+    expect(profileDir(".import-state", { name: null })).toBe(".import-state");
+  });
+});
@@ -0,0 +1,57 @@
+import { describe, test, expect } from "@jest/globals";
+import { Progress, formatDuration } from "../src/progress.mjs";
+
+const setup = (options) => {
+  let now = 0;
+  const out = [];
+  const progress = new Progress({
+    stream: { write: (text) => out.push(text) },
+    now: () => now,
+    ...options,
+  });
+  return { progress, out, advance: (ms) => (now += ms) };
+};
+
+describe("progress module", () => {
+  test("should format durations", () => {
+    expect(formatDuration(12_400)).toBe("12s");
+    expect(formatDuration(108_000)).toBe("1m48s");
+    expect(formatDuration(7_500_000)).toBe("2h05m");
+  });
+
+  test("should show processed/total, rate and ETA", () => {
+    const { progress, advance } = setup({ total: 100 });
+    advance(10_000);
+    progress.tick(25);
+    expect(progress.line()).toBe("25/100 businesses (25%), 2.5/s, ETA 30s");
+  });
+
+  test("should leave out the total and ETA when the total is unknown", () => {
+    const { progress, advance } = setup();
+    advance(2_000);
+    progress.tick(3);
+    expect(progress.line()).toBe("3 businesses, 1.5/s");
+  });
+
+  test("should redraw at most once per interval", () => {
+    const { progress, out, advance } = setup({ total: 10, intervalMs: 1000 });
+    progress.tick();
+    progress.tick();
+    advance(1000);
+    progress.tick();
+    expect(out).toHaveLength(2);
+    expect(out[1]).toMatch(/^\r\x1b\[K3\/10 businesses/);
+  });
+
+  test("should print text above the line and end it on finish", () => {
+    const { progress, out } = setup({ total: 2 });
+    progress.tick();
+    out.length = 0;
+    progress.write("log line\n");
+    progress.finish();
+    expect(out[0]).toBe("\r\x1b[K");
+    expect(out[1]).toBe("log line\n");
+    expect(out[2]).toMatch(/^\r\x1b\[K1\/2 businesses/);
+    expect(out.at(-1)).toBe("\n");
+  });
+});
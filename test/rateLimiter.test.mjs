@@ -0,0 +1,77 @@
+import {
+  jest,
+  describe,
+  test,
+  expect,
+  beforeEach,
+  afterEach,
+} from "@jest/globals";
+import { requestJSON } from "../src/http.mjs";
+import { RateLimiter } from "../src/rateLimiter.mjs";
+
+describe("rateLimiter module", () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: 0 });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test("should let a burst through and then pace requests", async () => {
+    const limiter = new RateLimiter({ ratePerSec: 2 });
+    const sent = [];
+    for (let i = 0; i < 4; i++) limiter.acquire().then(() => sent.push(i));
+
+    await jest.advanceTimersByTimeAsync(0);
+    expect(sent).toEqual([0, 1]);
+    await jest.advanceTimersByTimeAsync(499);
+    expect(sent).toEqual([0, 1]);
+    await jest.advanceTimersByTimeAsync(1);
+    expect(sent).toEqual([0, 1, 2]);
+    await jest.advanceTimersByTimeAsync(500);
+    expect(sent).toEqual([0, 1, 2, 3]);
+    expect(limiter.stats()).toEqual({
+      requests: 4,
+      waitedMs: 1500,
+      throttles: 0,
+      ratePerSec: 2,
+    });
+  });
+
+  test("should slow down after a 429 and recover over time", async () => {
+    const limiter = new RateLimiter({ ratePerSec: 4, recoverMs: 10000 });
+
+    limiter.throttled();
+    limiter.throttled(); // same burst, counted but not cut again
+    expect(limiter.stats()).toMatchObject({ throttles: 2, ratePerSec: 2 });
+
+    await jest.advanceTimersByTimeAsync(10000);
+    await limiter.acquire();
+    expect(limiter.stats().ratePerSec).toBe(3);
+
+    await jest.advanceTimersByTimeAsync(10000);
+    await limiter.acquire();
+    expect(limiter.stats().ratePerSec).toBe(4);
+  });
+
+  test("should route every requestJSON attempt through the limiter", async () => {
+    const limiter = { acquire: jest.fn(), throttled: jest.fn() };
+    const originalFetch = globalThis.fetch;
+    globalThis.fetch = jest
+      .fn()
+      .mockResolvedValueOnce({ ok: false, status: 429, text: async () => "" })
+      .mockResolvedValueOnce({ ok: true, status: 200, json: async () => ({}) });
+
+    try {
+      const pending = requestJSON("https://api.example.com", {}, { limiter });
+      await jest.advanceTimersByTimeAsync(400);
+      await pending;
+    } finally {
+      globalThis.fetch = originalFetch;
+    }
+
+    expect(limiter.acquire).toHaveBeenCalledTimes(2);
+    expect(limiter.throttled).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,87 @@
+import { describe, test, expect, beforeAll, afterAll } from "@jest/globals";
+import { mkdtemp, readFile, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { buildRunReport, writeRunReport } from "../src/report.mjs";
+
+const tables = {
+  leads: { name: "Leads" },
+  reviews: { name: "Reviews" },
+};
+
+const summary = {
+  total: 5,
+  created: 1,
+  updated: 1,
+  unchanged: 1,
+  skipped: 1,
+  failed: 1,
+  resumed: 0,
+  warnings: 3,
+  warningsByField: {
+    phone: { count: 1, index: 0, placeId: "p0", message: "bad" },
+    "reviews[].stars": { count: 2, index: 0, placeId: "p0", message: "0" },
+  },
+  reviews: { created: 4, updated: 2, pruned: 1, failed: 0 },
+  errors: [
+    { index: 1, placeId: "p1", kind: "skipped", message: "missing title" },
+    { index: 2, placeId: "p2", kind: "failed", message: "HTTP 422" },
+  ],
+};
+
+describe("report module", () => {
+  let dir;
+
+  beforeAll(async () => {
+    dir = await mkdtemp(join(tmpdir(), "report-"));
+  });
+
+  afterAll(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  test("should count each table and operation and list the failures", () => {
+    const report = buildRunReport(summary, {
+      startedAt: new Date("2024-05-01T12:00:00Z"),
+      finishedAt: new Date("2024-05-01T12:01:30Z"),
+      input: "leads.json",
+      api: { requests: 12, waitedMs: 800, throttles: 1, queued: 0 },
+      tables,
+    });
+
+    expect(report).toEqual({
+      startedAt: "2024-05-01T12:00:00.000Z",
+      finishedAt: "2024-05-01T12:01:30.000Z",
+      wallTimeMs: 90_000,
+      input: "leads.json",
+      dryRun: false,
+      businesses: {
+        total: 5,
+        skipped: 1,
+        failed: 1,
+        resumed: 0,
+        warnings: 3,
+      },
+      warnings: { phone: 1, "reviews[].stars": 2 },
+      tables: {
+        Leads: { created: 1, updated: 1, unchanged: 1, failed: 1 },
+        Reviews: { created: 4, updated: 2, pruned: 1, failed: 0 },
+      },
+      stopped: null,
+      failures: summary.errors,
+      api: { requests: 12, waitedMs: 800, throttles: 1 },
+    });
+  });
+
+  test("should write the report as JSON", async () => {
+    const path = join(dir, "run-report.json");
+    const report = buildRunReport(summary, {
+      startedAt: new Date(),
+      tables,
+    });
+    await writeRunReport(path, report);
+
+    expect(JSON.parse(await readFile(path, "utf8"))).toEqual(report);
+    expect(report.api).toBeNull();
+  });
+});
@@ -0,0 +1,106 @@
+import { describe, test, expect, beforeEach, afterEach } from "@jest/globals";
+import { mkdtemp, readFile, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { ReviewCursors } from "../src/reviewCursors.mjs";
+
+const review = (reviewId, publishedAtDate, responseFromOwnerDate) => ({
+  reviewId,
+  publishedAtDate,
+  responseFromOwnerDate,
+});
+
+describe("reviewCursors module", () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), "leads-cursors-"));
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  describe("ReviewCursors", () => {
+    const synced = {
+      placeId: "p1",
+      reviews: [
+        review("r1", "2025-03-01T00:00:00Z", "2025-03-02T00:00:00Z"),
+        review("r2", "2025-05-01T00:00:00Z", null),
+      ],
+    };
+
+    test("should pick every review of a business without a cursor", async () => {
+      const cursors = await ReviewCursors.open(dir);
+
+      expect(cursors.pending(synced)).toEqual(synced.reviews);
+      expect(cursors.pending({ placeId: "p1" })).toEqual([]);
+    });
+
+    test("should pick new reviews, new owner responses and undated reviews", async () => {
+      // r1 holds the newest owner response and r2 is the newest review, so
+      // both are picked again in case another shares their timestamp
+      const cursors = await ReviewCursors.open(dir);
+      cursors.advance(synced);
+      const [r1, r2] = synced.reviews;
+      const answered = { ...r2, responseFromOwnerDate: "2025-06-01T00:00:00Z" };
+      const fresh = review("r3", "2025-07-01T00:00:00Z", null);
+      const undated = review("r4", null, null);
+
+      expect(
+        cursors.pending({
+          placeId: "p1",
+          reviews: [fresh, r1, answered, undated],
+        })
+      ).toEqual([fresh, r1, answered, undated]);
+    });
+
+    test("should keep the cursors across runs", async () => {
+      const cursors = await ReviewCursors.open(dir);
+      cursors.advance(synced);
+      cursors.advance({ placeId: "p2", reviews: [review("r9", null, null)] });
+      await cursors.close();
+
+      const reopened = await ReviewCursors.open(dir);
+
+      expect(reopened.size).toBe(1);
+      expect(
+        JSON.parse(await readFile(join(dir, "review-cursors.json"), "utf8"))
+      ).toEqual({
+        p1: {
+          publishedAt: "2025-05-01T00:00:00.000Z",
+          respondedAt: "2025-03-02T00:00:00.000Z",
+        },
+      });
+      expect(
+        reopened.pending({
+          placeId: "p1",
+          reviews: [review("r0", "2025-01-01T00:00:00Z", null)],
+        })
+      ).toEqual([]);
+    });
+
+    test("should never move a cursor back", async () => {
+      const cursors = await ReviewCursors.open(dir);
+      cursors.advance(synced);
+      await cursors.close();
+
+      cursors.advance({
+        placeId: "p1",
+        reviews: [review("r0", "2024-01-01T00:00:00Z", null)],
+      });
+
+      expect(cursors.dirty).toBe(false);
+      expect(cursors.cursors.get("p1").publishedAt).toBe(
+        "2025-05-01T00:00:00.000Z"
+      );
+    });
+
+    test("should name the state file when it is invalid", async () => {
+      const path = join(dir, "review-cursors.json");
+      await writeFile(path, "{");
+
+      await expect(ReviewCursors.open(dir)).rejects.toThrow(`${path}: `);
+    });
+  });
+});
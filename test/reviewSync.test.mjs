@@ -0,0 +1,236 @@
+import { jest, describe, test, expect, beforeEach } from "@jest/globals";
+import { syncReviews } from "../src/reviewSync.mjs";
+
+const tables = {
+  leads: { name: "leads", keyField: "placeId", reviewsField: "reviews" },
+  reviews: { name: "reviews", keyField: "reviewId", linkToLeadField: "lead" },
+};
+
+const biz = {
+  placeId: "p1",
+  title: "Plumber",
+  reviews: [
+    { reviewId: "r1", name: "Ann", stars: 5, text: "Great" },
+    { reviewId: "r2", name: "Bob", stars: 4, text: "Good" },
+    { reviewId: "r3", name: "Cid", stars: 1, text: "Bad" },
+  ],
+};
+
+// Stored review fields as Airtable would return them (empty fields omitted)
+const stored = (r) => ({
+  reviewId: r.reviewId,
+  reviewerName: r.name,
+  stars: r.stars,
+  reviewComment: r.text,
+  lead: ["recLead"],
+});
+
+describe("reviewSync module", () => {
+  let repo;
+
+  beforeEach(() => {
+    repo = {
+      findRecordsByKeys: jest.fn().mockResolvedValue(new Map()),
+      createMany: jest.fn(async (table, records) => ({
+        succeeded: records.map((r, i) => ({
+          id: `recNew${i}`,
+          fields: r.fields,
+        })),
+        failed: [],
+      })),
+      updateMany: jest.fn(async (table, records) => ({
+        succeeded: records,
+        failed: [],
+      })),
+      deleteMany: jest.fn().mockResolvedValue([]),
+      getRecord: jest.fn(),
+    };
+  });
+
+  describe("syncReviews", () => {
+    test("should create every review on the first run", async () => {
+      const res = await syncReviews(repo, biz, "recLead", { tables });
+
+      expect(repo.findRecordsByKeys).toHaveBeenCalledWith(
+        "reviews",
+        "reviewId",
+        ["r1", "r2", "r3"],
+        { withFields: true }
+      );
+      expect(repo.createMany.mock.calls[0][1]).toHaveLength(3);
+      expect(repo.updateMany).not.toHaveBeenCalled();
+      expect(res).toEqual({
+        created: 3,
+        updated: 0,
+        pruned: 0,
+        failed: 0,
+        failures: [],
+      });
+    });
+
+    test("should write nothing when every review is unchanged", async () => {
+      repo.findRecordsByKeys.mockResolvedValue(
+        new Map(
+          biz.reviews.map((r, i) => [
+            r.reviewId,
+            { id: `rec${i}`, fields: stored(r) },
+          ])
+        )
+      );
+
+      const res = await syncReviews(repo, biz, "recLead", { tables });
+
+      expect(repo.createMany).not.toHaveBeenCalled();
+      expect(repo.updateMany).not.toHaveBeenCalled();
+      expect(res).toEqual({
+        created: 0,
+        updated: 0,
+        pruned: 0,
+        failed: 0,
+        failures: [],
+      });
+    });
+
+    test("should update only the changed fields of changed reviews", async () => {
+      repo.findRecordsByKeys.mockResolvedValue(
+        new Map([
+          ["r1", { id: "rec1", fields: stored(biz.reviews[0]) }],
+          [
+            "r2",
+            { id: "rec2", fields: { ...stored(biz.reviews[1]), stars: 3 } },
+          ],
+        ])
+      );
+
+      const res = await syncReviews(
+        repo,
+        {
+          ...biz,
+          reviews: [
+            { ...biz.reviews[0], responseFromOwnerText: "Thanks!" },
+            biz.reviews[1],
+          ],
+        },
+        "recLead",
+        { tables }
+      );
+
+      expect(repo.updateMany).toHaveBeenCalledWith("reviews", [
+        { id: "rec1", fields: { responseFromOwnerText: "Thanks!" } },
+        { id: "rec2", fields: { stars: 4 } },
+      ]);
+      expect(res).toEqual({
+        created: 0,
+        updated: 2,
+        pruned: 0,
+        failed: 0,
+        failures: [],
+      });
+    });
+
+    test("should link again reviews no longer linked to the lead", async () => {
+      repo.findRecordsByKeys.mockResolvedValue(
+        new Map([
+          ["r1", { id: "rec1", fields: stored(biz.reviews[0]) }],
+          [
+            "r2",
+            { id: "rec2", fields: { ...stored(biz.reviews[1]), lead: [] } },
+          ],
+        ])
+      );
+
+      const res = await syncReviews(
+        repo,
+        { ...biz, reviews: biz.reviews.slice(0, 2) },
+        "recLead",
+        { tables }
+      );
+
+      expect(repo.updateMany).toHaveBeenCalledWith("reviews", [
+        { id: "rec2", fields: { lead: [{ id: "recLead" }] } },
+      ]);
+      expect(res).toMatchObject({ created: 0, updated: 1 });
+    });
+
+    test("should unlink reviews gone from the scrape when pruning", async () => {
+      repo.findRecordsByKeys.mockResolvedValue(
+        new Map([["r1", { id: "rec1", fields: stored(biz.reviews[0]) }]])
+      );
+      repo.getRecord.mockResolvedValue({
+        id: "recLead",
+        fields: { reviews: ["rec1", "recNew0", "recGone"] },
+      });
+
+      const res = await syncReviews(
+        repo,
+        { ...biz, reviews: biz.reviews.slice(0, 2) },
+        "recLead",
+        { tables, prune: "unlink" }
+      );
+
+      expect(repo.getRecord).toHaveBeenCalledWith("leads", "recLead");
+      expect(repo.updateMany).toHaveBeenCalledWith("reviews", [
+        { id: "recGone", fields: { lead: [] } },
+      ]);
+      expect(res).toEqual({
+        created: 1,
+        updated: 0,
+        pruned: 1,
+        failed: 0,
+        failures: [],
+      });
+    });
+
+    test("should report reviews the repo rejected and count the rest", async () => {
+      const error = new Error("HTTP 422: INVALID_MULTIPLE_CHOICE_OPTIONS");
+      repo.createMany.mockImplementation(async (table, records) => ({
+        succeeded: records
+          .slice(1)
+          .map((r, i) => ({ id: `recNew${i}`, fields: r.fields })),
+        failed: [{ record: records[0], error }],
+      }));
+
+      const res = await syncReviews(repo, biz, "recLead", { tables });
+
+      expect(res).toEqual({
+        created: 2,
+        updated: 0,
+        pruned: 0,
+        failed: 1,
+        failures: [{ reviewId: "r1", error }],
+      });
+    });
+
+    test("should delete reviews gone from the scrape in delete mode", async () => {
+      repo.getRecord.mockResolvedValue({
+        id: "recLead",
+        fields: { reviews: ["recGone"] },
+      });
+
+      await syncReviews(repo, { ...biz, reviews: [] }, "recLead", {
+        tables,
+        prune: "delete",
+      });
+
+      expect(repo.deleteMany).toHaveBeenCalledWith("reviews", ["recGone"]);
+    });
+
+    test("should not prune businesses scraped without reviews", async () => {
+      const { reviews, ...noReviews } = biz;
+
+      await syncReviews(repo, noReviews, "recLead", {
+        tables,
+        prune: "delete",
+      });
+
+      expect(repo.getRecord).not.toHaveBeenCalled();
+      expect(repo.deleteMany).not.toHaveBeenCalled();
+    });
+
+    test("should reject unknown prune modes", async () => {
+      await expect(
+        syncReviews(repo, biz, "recLead", { tables, prune: "purge" })
+      ).rejects.toThrow('Unknown prune mode "purge"');
+    });
+  });
+});
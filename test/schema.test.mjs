@@ -0,0 +1,226 @@
+import {
+  describe,
+  test,
+  expect,
+  beforeAll,
+  afterAll,
+  beforeEach,
+} from "@jest/globals";
+import { createServer } from "node:http";
+import { defaultMapper } from "../src/mapping.mjs";
+import { MetaApi } from "../src/metaApi.mjs";
+import { RateLimiter } from "../src/rateLimiter.mjs";
+import {
+  checkSchema,
+  expectedSchema,
+  formatSchemaReport,
+} from "../src/schema.mjs";
+
+const tables = {
+  leads: { name: "leads", keyField: "placeId", reviewsField: "reviews" },
+  reviews: { name: "reviews", keyField: "reviewId", linkToLeadField: "lead" },
+};
+
+/**
+ * Minimal stand-in for the Airtable Meta API of one base
+ * Like Airtable, creating a link field also adds its inverse to the linked table
+ */
+function metaStub() {
+  const state = { tables: [], requests: [], seq: 0 };
+  const addField = (table, field) => {
+    const created = { id: `fld${++state.seq}`, ...field };
+    table.fields.push(created);
+    if (field.type === "multipleRecordLinks") {
+      const linked = state.tables.find(
+        (t) => t.id === field.options.linkedTableId
+      );
+      linked.fields.push({
+        id: `fld${++state.seq}`,
+        name: table.name,
+        type: "multipleRecordLinks",
+        options: { linkedTableId: table.id },
+      });
+    }
+    return created;
+  };
+
+  const server = createServer(async (req, res) => {
+    let body = "";
+    for await (const chunk of req) body += chunk;
+    state.requests.push({ method: req.method, url: req.url });
+    const send = (status, json) => {
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(json));
+    };
+
+    const base = "/v0/meta/bases/appTest/tables";
+    if (req.method === "GET" && req.url === base) {
+      return send(200, { tables: state.tables });
+    }
+    if (req.method === "POST" && req.url === base) {
+      const { name, fields } = JSON.parse(body);
+      const table = { id: `tbl${++state.seq}`, name, fields: [] };
+      state.tables.push(table);
+      for (const f of fields) addField(table, f);
+      return send(200, table);
+    }
+    const m = req.url.match(
+      /^\/v0\/meta\/bases\/appTest\/tables\/(\w+)\/fields$/
+    );
+    const table = m && state.tables.find((t) => t.id === m[1]);
+    if (req.method === "POST" && table) {
+      return send(200, addField(table, JSON.parse(body)));
+    }
+    send(404, { error: "NOT_FOUND" });
+  });
+  return { server, state };
+}
+
+describe("schema module", () => {
+  let stub;
+  let meta;
+
+  beforeAll(async () => {
+    stub = metaStub();
+    await new Promise((resolve) => stub.server.listen(0, "127.0.0.1", resolve));
+    meta = new MetaApi({
+      baseId: "appTest",
+      token: "patTest",
+      apiUrl: `http://127.0.0.1:${stub.server.address().port}`,
+      limiter: new RateLimiter({ ratePerSec: Infinity }),
+    });
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => stub.server.close(resolve));
+  });
+
+  beforeEach(() => {
+    stub.state.tables = [];
+    stub.state.requests = [];
+  });
+
+  test("should expect typed columns from the mapping, key field first", () => {
+    const [leads, reviews] = expectedSchema(defaultMapper, tables);
+
+    expect(leads.fields[0]).toEqual({
+      name: "placeId",
+      type: "singleLineText",
+    });
+    expect(leads.fields).toEqual(
+      expect.arrayContaining([
+        { name: "totalScore", type: "number" },
+        { name: "categories", type: "multipleSelects" },
+        { name: "ownerUpdatesJson", type: "multilineText" },
+        { name: "scrapedAt", type: "dateTime" },
+      ])
+    );
+    expect(reviews.fields).toEqual(
+      expect.arrayContaining([
+        { name: "reviewComment", type: "multilineText" },
+        { name: "lead", type: "multipleRecordLinks", linksTo: "leads" },
+      ])
+    );
+  });
+
+  test("should report missing and mismatched fields without changing anything", async () => {
+    stub.state.tables = [
+      {
+        id: "tblLeads",
+        name: "leads",
+        fields: defaultMapper.schema.leads
+          .filter((f) => f.name !== "ownerUpdatesJson")
+          .map((f, i) => ({
+            id: `fldL${i}`,
+            name: f.name,
+            type: f.name === "totalScore" ? "singleLineText" : f.type,
+          })),
+      },
+      {
+        id: "tblOther",
+        name: "other",
+        fields: [],
+      },
+    ];
+    stub.state.tables.push({
+      id: "tblReviews",
+      name: "reviews",
+      fields: [
+        ...defaultMapper.schema.reviews.map((f, i) => ({
+          id: `fldR${i}`,
+          ...f,
+        })),
+        {
+          id: "fldLink",
+          name: "lead",
+          type: "multipleRecordLinks",
+          options: { linkedTableId: "tblOther" },
+        },
+      ],
+    });
+
+    const result = await checkSchema({ meta, mapper: defaultMapper, tables });
+
+    expect(result.actions).toEqual([]);
+    expect(formatSchemaReport(result).split("\n")).toEqual([
+      "leads.totalScore: wrong type (expected number, found singleLineText)",
+      "leads.ownerUpdatesJson: missing field (expected multilineText)",
+      "leads.reviews: missing field (expected multipleRecordLinks to reviews)",
+      "reviews.lead: wrong link (expected multipleRecordLinks to leads, found multipleRecordLinks to other)",
+      "4 schema issues",
+    ]);
+    expect(stub.state.requests.map((r) => r.method)).toEqual(["GET"]);
+  });
+
+  test("should create missing tables and fields with --apply", async () => {
+    const result = await checkSchema({
+      meta,
+      mapper: defaultMapper,
+      tables,
+      apply: true,
+    });
+
+    expect(result).toEqual({
+      issues: [],
+      actions: [
+        "created table leads (19 fields)",
+        "created table reviews (7 fields)",
+      ],
+    });
+    const [leads, reviews] = stub.state.tables;
+    expect(leads.fields[0].name).toBe("placeId");
+    expect(leads.fields.find((f) => f.name === "totalScore")).toMatchObject({
+      type: "number",
+      options: { precision: 2 },
+    });
+    expect(reviews.fields.find((f) => f.name === "lead")).toMatchObject({
+      type: "multipleRecordLinks",
+      options: { linkedTableId: leads.id },
+    });
+  });
+
+  test("should add missing fields to existing tables and leave wrong types", async () => {
+    await checkSchema({ meta, mapper: defaultMapper, tables, apply: true });
+    const leads = stub.state.tables[0];
+    leads.fields = leads.fields.filter((f) => f.name !== "website");
+    leads.fields.find((f) => f.name === "city").type = "number";
+
+    const result = await checkSchema({
+      meta,
+      mapper: defaultMapper,
+      tables,
+      apply: true,
+    });
+
+    expect(result.actions).toEqual(["created field leads.website (url)"]);
+    expect(result.issues).toEqual([
+      {
+        table: "leads",
+        field: "city",
+        problem: "wrong type",
+        expected: "singleLineText",
+        actual: "number",
+      },
+    ]);
+  });
+});
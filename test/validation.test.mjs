@@ -0,0 +1,179 @@
+import { describe, test, expect, beforeAll, afterAll } from "@jest/globals";
+import { mkdtemp, readFile, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { runImport } from "../src/importer.mjs";
+import { checkBiz, RejectedReport, validateBiz } from "../src/validation.mjs";
+
+const biz = (extra = {}) => ({
+  placeId: "ChIJM9kflmzft4kRK5T5vyceXpk",
+  title: "Ehrhardt Brothers",
+  ...extra,
+});
+
+describe("validation module", () => {
+  let dir;
+
+  beforeAll(async () => {
+    dir = await mkdtemp(join(tmpdir(), "leads-validation-"));
+  });
+
+  afterAll(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  describe("checkBiz", () => {
+    test("should find no issues in a clean record", () => {
+      expect(
+        checkBiz(
+          biz({
+            totalScore: 4.7,
+            website: "https://example.com/",
+            reviews: [
+              { reviewId: "r1", stars: 5, publishedAtDate: "2025-01-02" },
+            ],
+          })
+        )
+      ).toEqual([]);
+    });
+
+    test("should collect every issue instead of stopping at the first", () => {
+      const issues = checkBiz({
+        placeId: "https://maps.google.com/?cid=1",
+        totalScore: "4,5",
+        website: "example dot com",
+        scrapedAt: "yesterday",
+        reviews: [
+          { reviewId: "r1", stars: 5, publishedAtDate: "yesterday" },
+          { reviewId: "r1", rating: 0 },
+          { stars: 3 },
+        ],
+      });
+
+      expect(issues).toEqual([
+        {
+          level: "error",
+          field: "placeId",
+          message: 'Malformed placeId "https://maps.google.com/?cid=1"',
+        },
+        {
+          level: "error",
+          field: "title",
+          message: "Missing title for placeId=https://maps.google.com/?cid=1",
+        },
+        {
+          level: "warning",
+          field: "totalScore",
+          message: 'Non-numeric totalScore "4,5"',
+        },
+        {
+          level: "warning",
+          field: "website",
+          message: 'Invalid website URL "example dot com"',
+        },
+        {
+          level: "warning",
+          field: "scrapedAt",
+          message: 'Unparseable scrapedAt "yesterday"',
+        },
+        {
+          level: "warning",
+          field: "reviews[0].publishedAtDate",
+          message: 'Unparseable publishedAtDate "yesterday"',
+        },
+        {
+          level: "warning",
+          field: "reviews[1].reviewId",
+          message: 'Duplicate reviewId "r1", the last copy is kept',
+        },
+        {
+          level: "warning",
+          field: "reviews[1].stars",
+          message: "Star rating 0 is outside 1-5, it is left empty",
+        },
+        {
+          level: "warning",
+          field: "reviews[2].reviewId",
+          message: "Review without reviewId is left out",
+        },
+      ]);
+    });
+
+    test.each([
+      [null, "Invalid record"],
+      [{ title: "x" }, "Missing placeId"],
+      [biz({ totalScore: 7 }), "totalScore 7 is outside 0-5"],
+      [biz({ reviews: {} }), "reviews must be an array"],
+    ])("should grade %j as an error", (record, message) => {
+      expect(checkBiz(record)).toContainEqual(
+        expect.objectContaining({ level: "error", message })
+      );
+    });
+  });
+
+  describe("validateBiz", () => {
+    test("should throw with every error but ignore warnings", () => {
+      expect(() => validateBiz(biz({ website: "nope" }))).not.toThrow();
+      expect(() => validateBiz({ placeId: "a b" })).toThrow(
+        'Malformed placeId "a b"; Missing title for placeId=a b'
+      );
+    });
+  });
+
+  describe("rejected report", () => {
+    test("should write skipped records with their reasons", async () => {
+      const path = join(dir, "rejected.json");
+      const report = await RejectedReport.create(path);
+      const repo = {
+        upsertManyByKey: async (table, keyField, records) =>
+          new Map(records.map((f) => [f.placeId, { id: "rec1" }])),
+        findRecordsByKeys: async () => new Map(),
+      };
+
+      const summary = await runImport(
+        [
+          { title: "no id" },
+          biz({ website: "nope" }),
+          biz({ placeId: "p2", totalScore: 9 }),
+        ],
+        { repo, concurrency: 1, rejected: report }
+      );
+      await report.close();
+
+      expect(summary).toMatchObject({ skipped: 2, warnings: 1 });
+      expect(summary.warningsByField).toEqual({
+        website: {
+          count: 1,
+          index: 1,
+          placeId: biz().placeId,
+          message: 'Invalid website URL "nope"',
+        },
+      });
+      const rejected = JSON.parse(await readFile(path, "utf8"));
+      expect(rejected).toEqual([
+        {
+          index: 0,
+          placeId: null,
+          title: "no id",
+          issues: [
+            { level: "error", field: "placeId", message: "Missing placeId" },
+          ],
+          record: { title: "no id" },
+        },
+        expect.objectContaining({
+          index: 2,
+          placeId: "p2",
+          issues: [expect.objectContaining({ field: "totalScore" })],
+        }),
+      ]);
+    });
+
+    test("should write an empty array when nothing was rejected", async () => {
+      const path = join(dir, "empty.json");
+      const report = await RejectedReport.create(path);
+      await report.close();
+
+      expect(JSON.parse(await readFile(path, "utf8"))).toEqual([]);
+    });
+  });
+});